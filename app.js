@@ -0,0 +1,86 @@
+const express = require('express')
+
+const authRoute = require('./routes/auth');
+const carsRoute = require('./routes/cars');
+const employeesRoute = require('./routes/employees');
+const driversRoute = require("./routes/drivers")
+const customersRoute = require('./routes/customers');
+const bookingsRoute = require('./routes/bookings');
+const expensesRoute = require('./routes/expenses');
+const reportsRoute = require('./routes/reports');
+const dashboardRoute = require('./routes/dashboard');
+const stakeholdersRoute = require('./routes/stakeholders');
+const cancellationPoliciesRoute = require('./routes/cancellationPolicies');
+const rateCardsRoute = require('./routes/rateCards');
+const inspectionsRoute = require('./routes/inspections');
+const claimsRoute = require('./routes/claims');
+const depositRatesRoute = require('./routes/depositRates');
+const recurringBookingsRoute = require('./routes/recurringBookings');
+const waitlistRoute = require('./routes/waitlist');
+const notificationsRoute = require('./routes/notifications');
+const driverPayrollRoute = require('./routes/driverPayroll');
+const maintenanceRoute = require('./routes/maintenance');
+const fuelRoute = require('./routes/fuel');
+const permissions = require('./middleware/permissions');
+
+const cors = require('cors');
+
+const app = express()
+
+app.use(express.json());
+
+app.use(cors());
+
+// Every route must be listed in the permission map, see middleware/permissions.js
+app.use(permissions);
+
+app.use('/auth', authRoute);
+
+app.use('/cars', carsRoute);
+
+app.use('/employees', employeesRoute);
+
+app.use('/drivers', driversRoute);
+
+app.use('/customers', customersRoute);
+
+app.use('/bookings', bookingsRoute);
+
+app.use('/expenses', expensesRoute);
+
+app.use('/reports', reportsRoute);
+
+app.use('/dashboard', dashboardRoute);
+
+app.use('/stakeholders', stakeholdersRoute);
+
+app.use('/cancellation-policies', cancellationPoliciesRoute);
+
+app.use('/rate-cards', rateCardsRoute);
+
+app.use('/inspections', inspectionsRoute);
+
+app.use('/claims', claimsRoute);
+
+app.use('/deposit-rates', depositRatesRoute);
+
+app.use('/recurring-bookings', recurringBookingsRoute);
+
+app.use('/waitlist', waitlistRoute);
+
+app.use('/notifications', notificationsRoute);
+
+app.use('/driver-payroll', driverPayrollRoute);
+
+app.use('/maintenance', maintenanceRoute);
+
+app.use('/fuel', fuelRoute);
+
+app.get('/status', (req, res)=> {
+    res.status(200).json({
+        status: 'Up',
+        frontend: process.env.FRONT_END_URL
+    })
+})
+
+module.exports = app;
@@ -0,0 +1,228 @@
+const auth = require("./auth");
+
+// Roles a signed-in user can hold; accounts without one (e.g. self sign-ups) only reach AUTHENTICATED routes
+const ROLES = ['admin', 'employee', 'stakeholder', 'driver'];
+
+// Reachable without a token
+const PUBLIC = 'public';
+// Reachable by any valid token, whatever its role
+const AUTHENTICATED = 'authenticated';
+
+const ADMIN = ['admin'];
+const STAFF = ['admin', 'employee'];
+const OWNERS = ['admin', 'stakeholder'];
+const STAFF_AND_OWNERS = ['admin', 'employee', 'stakeholder'];
+
+// Older accounts carry differently spelled roles
+const LEGACY_ROLES = { Admin: 'admin' };
+
+// Who may call each route, keyed by method and full path as mounted in server.js.
+// Routes missing from the map are refused, so every new route has to be added here.
+const PERMISSIONS = {
+    'GET /status': PUBLIC,
+
+    'POST /auth/signup': PUBLIC,
+    'POST /auth/login': PUBLIC,
+    'POST /auth/forget-password': PUBLIC,
+    'POST /auth/check-token': PUBLIC,
+    'POST /auth/upload-image': AUTHENTICATED,
+    'POST /auth/upload-profilePic': AUTHENTICATED,
+    'PATCH /auth/auth/change-password': AUTHENTICATED,
+
+    'GET /cars/mine': ['stakeholder'],
+    'GET /cars/all': ADMIN,
+    'POST /cars': OWNERS,
+    'GET /cars': STAFF,
+    'GET /cars/:modelName': STAFF,
+    'GET /cars/details/:carId': STAFF,
+    'GET /cars/detailed/info/:id': OWNERS,
+    'PATCH /cars/:carId': OWNERS,
+    'PATCH /cars/:carId/status': ADMIN,
+    'DELETE /cars/:carId': ADMIN,
+    'GET /cars/download': STAFF,
+    'GET /cars/report/:carId': STAFF_AND_OWNERS,
+    'GET /cars/report/pdf/:carId': STAFF_AND_OWNERS,
+    'GET /cars/:carId/mileage': STAFF,
+    'GET /cars/maintenance/due': STAFF,
+    'GET /cars/:carId/maintenance-plans': STAFF,
+    'POST /cars/:carId/maintenance-plans': ADMIN,
+    'PATCH /cars/:carId/maintenance-plans/:planId': ADMIN,
+    'DELETE /cars/:carId/maintenance-plans/:planId': ADMIN,
+    'GET /cars/documents/expiring': STAFF_AND_OWNERS,
+    'GET /cars/:carId/documents': STAFF,
+    'POST /cars/:carId/documents': ADMIN,
+    'DELETE /cars/:carId/documents/:documentId': ADMIN,
+
+    'GET /employees': ADMIN,
+    'POST /employees': ADMIN,
+    'PATCH /employees/:employeeId/password': ADMIN,
+    'DELETE /employees/:employeeId': ADMIN,
+
+    'GET /drivers': STAFF,
+    'POST /drivers': ADMIN,
+    'GET /drivers/names': STAFF,
+    'GET /drivers/available': STAFF,
+    'GET /drivers/:driverId/schedule': STAFF,
+    'POST /drivers/:driverId/leaves': ADMIN,
+    'DELETE /drivers/:driverId/leaves/:leaveId': ADMIN,
+    'PUT /drivers/:driverId/off-days': ADMIN,
+    'PATCH /drivers/:driverId': ADMIN,
+    'PATCH /drivers/:driverId/status': ADMIN,
+    'POST /drivers/:driverId/documents': ADMIN,
+    'DELETE /drivers/:driverId': ADMIN,
+
+    'GET /customers': STAFF,
+    'GET /customers/search': STAFF,
+    'POST /customers': STAFF,
+    'GET /customers/:id': STAFF,
+    'GET /customers/:customerId/details': STAFF,
+    'PATCH /customers/:customerId': STAFF,
+
+    'POST /bookings': STAFF,
+    'POST /bookings/quote': STAFF,
+    'GET /bookings': STAFF,
+    'GET /bookings/status/:status': STAFF,
+    'GET /bookings/active': STAFF,
+    'GET /bookings/:bookingId/details': STAFF,
+    'GET /bookings/:bookingId/edit': STAFF,
+    'PATCH /bookings/:bookingId': STAFF,
+    'POST /bookings/:bookingId/extend': STAFF,
+    'PATCH /bookings/:bookingId/confirm': STAFF,
+    'PATCH /bookings/:bookingId/start': STAFF,
+    'PATCH /bookings/:bookingId/allocate': STAFF,
+    'PATCH /bookings/:bookingId/no-show': STAFF,
+    'GET /bookings/:bookingId/cancellation-preview': STAFF,
+    'PATCH /bookings/:bookingId/cancel': STAFF,
+    'PATCH /bookings/:bookingId/end': STAFF,
+    'POST /bookings/:bookingId/payments': STAFF,
+    'GET /bookings/:bookingId/payments': STAFF,
+    'GET /bookings/:bookingId/history': STAFF,
+    'GET /bookings/:bookingId/agreement.pdf': STAFF,
+    'GET /bookings/:bookingId/invoice.pdf': STAFF,
+
+    'GET /expenses': STAFF,
+    'POST /expenses': STAFF,
+    'GET /expenses/statistics': STAFF,
+    'DELETE /expenses/:expenseId': STAFF,
+
+    'GET /reports/monthly': STAFF,
+    'GET /reports/kilometers': STAFF,
+    'GET /reports/deposits': STAFF,
+
+    'GET /dashboard': STAFF_AND_OWNERS,
+
+    'POST /stakeholders': ADMIN,
+    'GET /stakeholders': ADMIN,
+    'GET /stakeholders/details/:id': ADMIN,
+
+    'GET /cancellation-policies': STAFF,
+    'POST /cancellation-policies': ADMIN,
+    'PATCH /cancellation-policies/:policyId': ADMIN,
+    'DELETE /cancellation-policies/:policyId': ADMIN,
+
+    'GET /rate-cards': STAFF,
+    'POST /rate-cards': ADMIN,
+    'PATCH /rate-cards/:rateCardId': ADMIN,
+    'DELETE /rate-cards/:rateCardId': ADMIN,
+
+    'GET /inspections/:bookingId': STAFF,
+    'POST /inspections/:bookingId/:type': STAFF,
+    'PATCH /inspections/:bookingId/return/charges': STAFF,
+
+    'GET /claims': STAFF,
+    'GET /claims/:claimId': STAFF,
+    'POST /claims': STAFF,
+    'PATCH /claims/:claimId/status': STAFF,
+
+    'GET /deposit-rates': STAFF,
+    'POST /deposit-rates': ADMIN,
+    'PATCH /deposit-rates/:rateId': ADMIN,
+    'DELETE /deposit-rates/:rateId': ADMIN,
+
+    'GET /recurring-bookings': STAFF,
+    'GET /recurring-bookings/:recurringBookingId': STAFF,
+    'POST /recurring-bookings': STAFF,
+    'PATCH /recurring-bookings/:recurringBookingId/occurrences/:bookingId/cancel': STAFF,
+    'PATCH /recurring-bookings/:recurringBookingId/cancel': STAFF,
+
+    'GET /waitlist': STAFF,
+    'POST /waitlist': STAFF,
+    'PATCH /waitlist/:entryId/status': STAFF,
+
+    'GET /notifications': STAFF,
+    'PATCH /notifications/:notificationId/done': STAFF,
+
+    'GET /driver-payroll/duty-logs/:bookingId': STAFF,
+    'PUT /driver-payroll/duty-logs/:bookingId': STAFF,
+    'GET /driver-payroll': ADMIN,
+    'POST /driver-payroll/:month/generate': ADMIN,
+    'PATCH /driver-payroll/:payrollId/approve': ADMIN,
+    'POST /driver-payroll/:month/expenses': ADMIN,
+
+    'GET /maintenance': STAFF,
+    'POST /maintenance': STAFF,
+    'PATCH /maintenance/:workOrderId/start': STAFF,
+    'PATCH /maintenance/:workOrderId/complete': STAFF,
+    'PATCH /maintenance/:workOrderId/cancel': STAFF,
+
+    'GET /fuel': STAFF,
+    'GET /fuel/report': STAFF,
+    'GET /fuel/cars/:carId/efficiency': STAFF,
+    'POST /fuel': STAFF,
+    'DELETE /fuel/:entryId': ADMIN
+};
+
+// Compile the map into matchers; literal segments win over parameters, as /cars/download over /cars/:modelName
+const RULES = Object.entries(PERMISSIONS)
+    .map(([route, allowed]) => {
+        const [method, path] = route.split(' ');
+        const segments = path.split('/').filter(Boolean);
+        const pattern = segments
+            .map(segment => segment.startsWith(':')
+                ? '[^/]+'
+                : segment.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))
+            .join('/');
+
+        return {
+            method,
+            regexp: new RegExp(`^/${pattern}/?$`, 'i'),
+            params: segments.filter(segment => segment.startsWith(':')).length,
+            allowed
+        };
+    })
+    .sort((a, b) => a.params - b.params);
+
+// The rule covering a request, or undefined when the route is not in the map; HEAD is answered like GET
+const ruleFor = (method, path) => {
+    const lookup = method === 'HEAD' ? 'GET' : method;
+    return RULES.find(rule => rule.method === lookup && rule.regexp.test(path));
+};
+
+// A user's role with legacy spellings normalised
+const roleOf = (user) => LEGACY_ROLES[user?.role] || user?.role;
+
+// Enforce the permission map in front of every router
+const permissions = (req, res, next) => {
+    const rule = ruleFor(req.method, req.path);
+
+    if (!rule) {
+        return res.status(403).json({ msg: 'Access denied. No permission rule for this route.' });
+    }
+
+    if (rule.allowed === PUBLIC) {
+        return next();
+    }
+
+    auth(req, res, () => {
+        if (rule.allowed === AUTHENTICATED || rule.allowed.includes(roleOf(req.user))) {
+            return next();
+        }
+        return res.status(403).json({ msg: 'Access denied. Your role cannot access this route.' });
+    });
+};
+
+module.exports = permissions;
+module.exports.ROLES = ROLES;
+module.exports.PERMISSIONS = PERMISSIONS;
+module.exports.ruleFor = ruleFor;
+module.exports.roleOf = roleOf;
@@ -1,16 +1,195 @@
 const mongoose = require("mongoose");
 const Schema = mongoose.Schema;
+const { envNumber } = require("../utils/env");
+
+// A single entry in a booking's payment ledger
+const PaymentSchema = new Schema(
+    {
+        amount: {
+            type: Number,
+            required: true,
+            min: [0, 'Payment amount cannot be negative']
+        },
+        type: {
+            type: String,
+            // Deposits are held apart from the bill until they are released or applied to it
+            enum: ['advance', 'installment', 'refund', 'security-deposit', 'deposit-release', 'deposit-applied'],
+            required: true
+        },
+        method: {
+            type: String,
+            enum: ['cash', 'bank', 'card', 'cheque'],
+            default: 'cash'
+        },
+        reference: {
+            type: String,
+            trim: true
+        },
+        receivedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "User",
+            required: true
+        },
+        receivedAt: {
+            type: Date,
+            default: Date.now
+        }
+    }
+);
+
+// Itemized bill computed from a rate card
+const BillBreakdownSchema = new Schema(
+    {
+        rateCardId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "RateCard"
+        },
+        days: Number,
+        nights: Number,
+        dailyRate: Number,
+        rentalCharge: Number,
+        driverCharge: Number,
+        nightStayCharge: Number,
+        kilometerAllowance: Number,
+        kilometersDriven: Number,
+        extraKilometers: Number,
+        perKmOverage: Number,
+        overageCharge: Number,
+        earlyReturnCredit: Number,
+        total: Number
+    },
+    { _id: false }
+);
+
+// A change to the trip end made after the booking was created
+const ExtensionSchema = new Schema(
+    {
+        previousEndAt: {
+            type: Date,
+            required: true
+        },
+        newEndAt: {
+            type: Date,
+            required: true
+        },
+        days: {
+            type: Number,
+            min: [0, 'Extension days cannot be negative']
+        },
+        charge: {
+            type: Number,
+            required: true,
+            min: [0, 'Extension charge cannot be negative']
+        },
+        reason: {
+            type: String,
+            trim: true
+        },
+        extendedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "User",
+            required: true
+        },
+        extendedAt: {
+            type: Date,
+            default: Date.now
+        }
+    }
+);
+
+// Credit given when the car comes back before the scheduled end
+const EarlyReturnSchema = new Schema(
+    {
+        scheduledEndAt: Date,
+        returnedAt: Date,
+        daysUsed: Number,
+        unusedDays: Number,
+        creditPercentage: Number,
+        credit: Number
+    },
+    { _id: false }
+);
+
+// Booking lifecycle: a tentative hold is confirmed, handed over and completed,
+// or ends early as cancelled or no-show
+const STATUS_TRANSITIONS = {
+    'pending': ['confirmed', 'cancelled'],
+    'confirmed': ['in-progress', 'cancelled', 'no-show'],
+    'in-progress': ['completed'],
+    'completed': [],
+    'cancelled': [],
+    'no-show': []
+};
+
+// Ways of picking a concrete car for a booking made against a model
+const ALLOCATION_STRATEGIES = ['least-used', 'lowest-odometer', 'stakeholder-balance'];
+
+// Whether a car satisfies the color and variant asked for on a model-level booking
+const matchesSpec = (car, { carColor, carVariant }) =>
+    (!carColor || car.color.toLowerCase() === carColor.toLowerCase()) &&
+    (!carVariant || (car.variant || '') === carVariant);
+
+// Whether every demand can be given its own matching car (augmenting-path bipartite matching)
+const canFulfil = (cars, demands) => {
+    const carOwner = new Map();
+
+    const assign = (demandIndex, visited) => {
+        for (const car of cars) {
+            const carKey = car._id.toString();
+            if (visited.has(carKey) || !matchesSpec(car, demands[demandIndex])) continue;
+            visited.add(carKey);
+
+            if (!carOwner.has(carKey) || assign(carOwner.get(carKey), visited)) {
+                carOwner.set(carKey, demandIndex);
+                return true;
+            }
+        }
+        return false;
+    };
+
+    return demands.every((demand, index) => assign(index, new Set()));
+};
 
 const BookingSchema = new Schema(
     {
+        // Left empty on model-level bookings until a car is allocated
         carId: { 
             type: mongoose.Schema.Types.ObjectId, 
             ref: "Car", 
-            required: true 
+            required: function() {
+                return !this.carModel || ['in-progress', 'completed'].includes(this.status);
+            }
+        },
+        // Requested model, color and variant of a booking made without picking a car
+        carModel: {
+            type: String,
+            trim: true
         },
+        carColor: {
+            type: String,
+            trim: true
+        },
+        carVariant: {
+            type: String,
+            trim: true
+        },
+        allocationStrategy: {
+            type: String,
+            enum: ALLOCATION_STRATEGIES
+        },
+        allocatedAt: {
+            type: Date
+        },
+        allocatedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "User"
+        },
+        // Taken from the allocated car on model-level bookings
         meterReading: { 
             type: Number, 
-            required: true 
+            required: function() {
+                return !!this.carId;
+            }
         },
         customerId: { 
             type: mongoose.Schema.Types.ObjectId,
@@ -95,6 +274,28 @@ const BookingSchema = new Schema(
                 message: 'End time must be in HH:mm format'
             }
         },
+        tripEndTime: {
+            type: String,
+            validate: {
+                validator: function(value) {
+                    return value ? /^([01]?[0-9]|2[0-3]):[0-5][0-9]$/.test(value) : true;
+                },
+                message: 'Trip end time must be in HH:mm format'
+            }
+        },
+        // Precise trip interval derived from the dates and HH:mm times
+        startAt: {
+            type: Date
+        },
+        endAt: {
+            type: Date,
+            validate: {
+                validator: function(value) {
+                    return !value || !this.startAt || value > this.startAt;
+                },
+                message: 'Trip must end after it starts'
+            }
+        },
         totalBill: { 
             type: Number,
             required: true,
@@ -106,11 +307,29 @@ const BookingSchema = new Schema(
             min: [0, 'Advance paid cannot be negative'],
             validate: {
                 validator: function(value) {
-                    return value <= this.totalBill;
+                    // Update validators run against the query; routes check the advance against the bill themselves
+                    if (this instanceof mongoose.Query) return true;
+
+                    // Advances refunded after an early return credit no longer count against the bill
+                    const refunded = (this.payments || [])
+                        .filter(payment => payment.type === 'refund')
+                        .reduce((sum, payment) => sum + payment.amount, 0);
+                    return value - refunded <= this.totalBill;
                 },
                 message: 'Advance paid cannot be greater than total bill'
             }
         },
+        billBreakdown: {
+            type: BillBreakdownSchema
+        },
+        billOverrideReason: {
+            type: String,
+            trim: true
+        },
+        billOverriddenBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "User"
+        },
         discountPercentage: { 
             type: Number,
             default: 0,
@@ -132,8 +351,141 @@ const BookingSchema = new Schema(
         },
         status: {
             type: String,
-            enum: ['active', 'completed', 'cancelled'],
-            default: 'active'
+            enum: Object.keys(STATUS_TRANSITIONS),
+            default: 'confirmed'
+        },
+        // Pending holds are released once this passes
+        holdExpiresAt: {
+            type: Date,
+            required: function() {
+                return this.status === 'pending';
+            }
+        },
+        confirmedAt: {
+            type: Date
+        },
+        confirmedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "User"
+        },
+        startedAt: {
+            type: Date
+        },
+        startedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "User"
+        },
+        noShowAt: {
+            type: Date
+        },
+        noShowBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "User"
+        },
+        payments: {
+            type: [PaymentSchema],
+            default: []
+        },
+        cancellationReason: {
+            type: String,
+            trim: true
+        },
+        cancelledAt: {
+            type: Date
+        },
+        cancelledBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "User"
+        },
+        finalMeterReading: {
+            type: Number,
+            validate: {
+                validator: function(value) {
+                    return value == null || value >= this.meterReading;
+                },
+                message: 'Final meter reading cannot be less than initial meter reading'
+            }
+        },
+        additionalCharges: {
+            type: Number,
+            default: 0,
+            min: [0, 'Additional charges cannot be negative']
+        },
+        additionalChargesDescription: {
+            type: String,
+            trim: true
+        },
+        remainingPaymentReceived: {
+            type: Number,
+            min: [0, 'Remaining payment cannot be negative']
+        },
+        completedAt: {
+            type: Date
+        },
+        completedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "User"
+        },
+        cancellationPolicyId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "CancellationPolicy"
+        },
+        cancellationFee: {
+            type: Number,
+            min: [0, 'Cancellation fee cannot be negative']
+        },
+        refundAmount: {
+            type: Number,
+            min: [0, 'Refund amount cannot be negative']
+        },
+        refundOverrideReason: {
+            type: String,
+            trim: true
+        },
+        refundOverriddenBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "User"
+        },
+        extensions: {
+            type: [ExtensionSchema],
+            default: []
+        },
+        earlyReturn: {
+            type: EarlyReturnSchema
+        },
+        // Self-drive bookings take a deposit at handover, settled when the trip ends
+        securityDepositRequired: {
+            type: Number,
+            default: 0,
+            min: [0, 'Security deposit cannot be negative']
+        },
+        securityDepositStatus: {
+            type: String,
+            enum: ['not-required', 'pending', 'held', 'released', 'partially-withheld', 'withheld'],
+            default: 'not-required'
+        },
+        securityDepositWithheld: {
+            type: Number,
+            min: [0, 'Withheld deposit cannot be negative']
+        },
+        securityDepositWithholdReason: {
+            type: String,
+            trim: true
+        },
+        securityDepositSettledAt: {
+            type: Date
+        },
+        // Set on bookings generated from a recurring series
+        recurringBookingId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "RecurringBooking"
+        },
+        invoiceNumber: {
+            type: String,
+            trim: true
+        },
+        invoiceIssuedAt: {
+            type: Date
         }
     },
     { 
@@ -150,11 +502,47 @@ BookingSchema.virtual('tripDuration').get(function() {
     return diffDays;
 });
 
+// Virtual for the kilometers driven on a completed trip
+BookingSchema.virtual('totalKilometers').get(function() {
+    if (this.finalMeterReading == null) return null;
+    return this.finalMeterReading - this.meterReading;
+});
+
+// Virtual for the net amount paid towards the bill (security deposits are held separately)
+BookingSchema.virtual('amountPaid').get(function() {
+    // Bookings created before the ledger existed only carry advancePaid
+    if (!this.payments || this.payments.length === 0) {
+        return this.advancePaid || 0;
+    }
+
+    return this.payments.reduce((sum, payment) => {
+        if (payment.type === 'refund') return sum - payment.amount;
+        if (payment.type === 'security-deposit' || payment.type === 'deposit-release') return sum;
+        return sum + payment.amount;
+    }, 0);
+});
+
+// Virtual for the total security deposit collected through the ledger
+BookingSchema.virtual('securityDepositCollected').get(function() {
+    return (this.payments || [])
+        .filter(payment => payment.type === 'security-deposit')
+        .reduce((sum, payment) => sum + payment.amount, 0);
+});
+
+// Virtual for the part of the security deposit still held
+BookingSchema.virtual('securityDepositHeld').get(function() {
+    return (this.payments || []).reduce((sum, payment) => {
+        if (payment.type === 'security-deposit') return sum + payment.amount;
+        if (payment.type === 'deposit-release' || payment.type === 'deposit-applied') return sum - payment.amount;
+        return sum;
+    }, 0);
+});
+
 // Virtual for calculating remaining balance with discount
 BookingSchema.virtual('remainingBalance').get(function() {
     const discountAmount = (this.totalBill * (this.discountPercentage || 0)) / 100;
     const discountedTotal = this.totalBill - discountAmount;
-    return discountedTotal - this.advancePaid;
+    return discountedTotal - this.amountPaid;
 });
 
 // Add virtual for discounted total amount
@@ -163,39 +551,548 @@ BookingSchema.virtual('discountedTotalAmount').get(function() {
     return this.totalBill - discountAmount;
 });
 
-// Method to check if dates overlap with existing bookings
-BookingSchema.statics.checkAvailability = async function(carId, startDate, endDate, excludeBookingId = null) {
+// Combine a date with an HH:mm time into a single Date
+BookingSchema.statics.combineDateAndTime = function(date, time) {
+    const combined = new Date(date);
+    if (time) {
+        const [hours, minutes] = time.split(':').map(Number);
+        combined.setHours(hours, minutes, 0, 0);
+    }
+    return combined;
+};
+
+// Work out the precise trip interval from the booking dates and HH:mm times
+BookingSchema.statics.intervalFor = function({ startDate, endDate, tripStartTime, tripEndTime }) {
+    const startAt = this.combineDateAndTime(startDate, tripStartTime);
+    let endAt = this.combineDateAndTime(endDate, tripEndTime || tripStartTime);
+
+    // Without an explicit end time a same-day trip runs until the end of the day
+    if (endAt <= startAt && !tripEndTime) {
+        endAt = new Date(endDate);
+        endAt.setHours(23, 59, 59, 999);
+    }
+
+    return { startAt, endAt };
+};
+
+// Time kept free between bookings of the same car for cleaning and handover
+BookingSchema.statics.turnaroundBufferMs = function() {
+    return envNumber('TURNAROUND_BUFFER_MINUTES', 60) * 60 * 1000;
+};
+
+// Share of the unused days' charges credited back on an early return
+BookingSchema.statics.earlyReturnCreditPercentage = function() {
+    return Math.min(100, envNumber('EARLY_RETURN_CREDIT_PERCENTAGE', 50));
+};
+
+// Query conditions matching bookings whose interval (plus turnaround) overlaps the given one
+BookingSchema.statics.overlapQuery = function(startAt, endAt, buffer = this.turnaroundBufferMs()) {
+    return {
+        startAt: { $lt: new Date(new Date(endAt).getTime() + buffer) },
+        endAt: { $gt: new Date(new Date(startAt).getTime() - buffer) }
+    };
+};
+
+// Fill startAt/endAt on bookings created before they existed
+BookingSchema.statics.backfillDatetimes = async function() {
+    const bookings = await this.find({
+        $or: [{ startAt: { $exists: false } }, { endAt: { $exists: false } }]
+    });
+
+    for (const booking of bookings) {
+        const { startAt, endAt } = this.intervalFor({
+            startDate: booking.startDate,
+            endDate: booking.endDate,
+            tripStartTime: booking.tripStartTime || booking.startTime,
+            tripEndTime: booking.tripEndTime
+        });
+        await this.updateOne({ _id: booking._id }, { $set: { startAt, endAt } });
+    }
+
+    return bookings.length;
+};
+
+// Method to check if the trip interval overlaps with existing bookings
+BookingSchema.statics.checkAvailability = async function(carId, startAt, endAt, excludeBookingId = null, session = null) {
     const query = {
         carId: carId,
-        status: 'active',
+        status: { $in: this.OPEN_STATUSES },
+        ...this.overlapQuery(startAt, endAt)
+    };
+
+    // Exclude current booking when checking for updates
+    if (excludeBookingId) {
+        query._id = { $ne: excludeBookingId };
+    }
+
+    const existingBooking = await this.findOne(query).session(session);
+    if (existingBooking) return false;
+
+    // Cars in the workshop cannot be booked
+    const inMaintenance = await mongoose.model('MaintenanceWorkOrder').blockedCarIds([carId], startAt, endAt, session);
+    if (inMaintenance.size > 0) return false;
+
+    // Taking the car must leave enough cars for unallocated bookings of its model
+    const car = await mongoose.model('Car').findById(carId).session(session);
+    if (!car) return true;
+
+    // Cars out of service cannot be booked, whatever their bookings
+    if (car.status !== 'active') return false;
+
+    return this.hasModelCapacity({
+        carModel: car.model,
+        carId,
+        startAt,
+        endAt,
+        excludeBookingId,
+        session
+    });
+};
+
+// Cars of a model free of bookings and maintenance for an interval, and the unallocated bookings competing for them
+BookingSchema.statics.modelDemand = async function({ carModel, startAt, endAt, excludeBookingId = null, session = null }) {
+    const query = {
+        status: { $in: this.OPEN_STATUSES },
+        ...this.overlapQuery(startAt, endAt)
+    };
+    if (excludeBookingId) {
+        query._id = { $ne: excludeBookingId };
+    }
+
+    const cars = await mongoose.model('Car').find({ model: carModel, status: 'active' }).session(session);
+    const overlapping = await this.find({
+        ...query,
         $or: [
-            {
-                startDate: { $lte: endDate },
-                endDate: { $gte: startDate }
-            }
+            { carId: { $in: cars.map(car => car._id) } },
+            { carModel, carId: null }
         ]
+    }).session(session);
+
+    const busyCarIds = await mongoose.model('MaintenanceWorkOrder')
+        .blockedCarIds(cars.map(car => car._id), startAt, endAt, session);
+    overlapping
+        .filter(booking => booking.carId)
+        .forEach(booking => busyCarIds.add(booking.carId.toString()));
+
+    return {
+        freeCars: cars.filter(car => !busyCarIds.has(car._id.toString())),
+        unallocated: overlapping.filter(booking => !booking.carId)
+    };
+};
+
+// Whether a model can take one more booking for the interval without being oversold:
+// either a specific car (carId) or any car matching carColor/carVariant
+BookingSchema.statics.hasModelCapacity = async function({ carModel, carColor, carVariant, carId, startAt, endAt, excludeBookingId = null, session = null }) {
+    const { freeCars, unallocated } = await this.modelDemand({ carModel, startAt, endAt, excludeBookingId, session });
+
+    if (carId) {
+        const remaining = freeCars.filter(car => car._id.toString() !== carId.toString());
+        return canFulfil(remaining, unallocated);
+    }
+
+    return canFulfil(freeCars, [...unallocated, { carColor, carVariant }]);
+};
+
+// Order candidate cars by an allocation strategy, best first
+BookingSchema.statics.rankCarsForAllocation = async function(cars, strategy, session = null) {
+    const carIds = cars.map(car => car._id);
+    const completed = await this.find({ carId: { $in: carIds }, status: 'completed' }).session(session);
+    const score = new Map(cars.map(car => [car._id.toString(), 0]));
+
+    if (strategy === 'lowest-odometer') {
+        const odometers = await mongoose.model('Car').odometerReadings(carIds);
+        for (const [carId, { reading }] of odometers) {
+            score.set(carId, reading);
+        }
+    } else if (strategy === 'stakeholder-balance') {
+        // Revenue earned by each car's owner over the last 30 days
+        const since = new Date(Date.now() - 30 * 24 * 60 * 60 * 1000);
+        const ownerCars = await mongoose.model('Car').find({ user: { $in: cars.map(car => car.user) } }).session(session);
+        const ownerOf = new Map(ownerCars.map(car => [car._id.toString(), car.user.toString()]));
+        const ownerBookings = await this.find({
+            carId: { $in: ownerCars.map(car => car._id) },
+            status: 'completed',
+            completedAt: { $gte: since }
+        }).session(session);
+
+        const ownerRevenue = new Map();
+        for (const booking of ownerBookings) {
+            const owner = ownerOf.get(booking.carId.toString());
+            ownerRevenue.set(owner, (ownerRevenue.get(owner) || 0) + booking.totalBill);
+        }
+        for (const car of cars) {
+            score.set(car._id.toString(), ownerRevenue.get(car.user.toString()) || 0);
+        }
+    } else {
+        for (const booking of completed) {
+            const key = booking.carId.toString();
+            score.set(key, score.get(key) + 1);
+        }
+    }
+
+    return [...cars].sort((a, b) => score.get(a._id.toString()) - score.get(b._id.toString()));
+};
+
+// Default strategy for model-level bookings
+BookingSchema.statics.defaultAllocationStrategy = function() {
+    const strategy = process.env.CAR_ALLOCATION_STRATEGY;
+    return ALLOCATION_STRATEGIES.includes(strategy) ? strategy : 'least-used';
+};
+
+// Whether model-level bookings get their car when confirmed rather than at handover
+BookingSchema.statics.allocatesOnConfirmation = function() {
+    return process.env.CAR_ALLOCATION_POINT === 'confirmation';
+};
+
+BookingSchema.statics.ALLOCATION_STRATEGIES = ALLOCATION_STRATEGIES;
+
+BookingSchema.statics.matchesSpec = matchesSpec;
+
+// Whether the booking's car, or while unallocated a car of its model, is free for an interval
+BookingSchema.methods.isCarAvailable = function(startAt, endAt, session = null) {
+    if (this.carId) {
+        return this.constructor.checkAvailability(this.carId, startAt, endAt, this._id, session);
+    }
+
+    return this.constructor.hasModelCapacity({
+        carModel: this.carModel,
+        carColor: this.carColor,
+        carVariant: this.carVariant,
+        startAt,
+        endAt,
+        excludeBookingId: this._id,
+        session
+    });
+};
+
+// Allocate a car to a model-level booking inside a transaction, keeping enough cars for the
+// model's other unallocated bookings; returns the car or null when none can be allocated
+BookingSchema.methods.allocateCar = async function({ carId, strategy, allocatedBy, session }) {
+    const { freeCars, unallocated } = await this.constructor.modelDemand({
+        carModel: this.carModel,
+        startAt: this.startAt,
+        endAt: this.endAt,
+        excludeBookingId: this._id,
+        session
+    });
+
+    // Out-of-city trips can only take cars whose insurance and registration outlast the trip
+    let candidates = freeCars.filter(car => matchesSpec(car, this) &&
+        (this.tripType !== 'outofcity' || !car.documentExpiryReason(this.endAt)));
+    if (carId) {
+        candidates = candidates.filter(car => car._id.toString() === carId.toString());
+    } else {
+        candidates = await this.constructor.rankCarsForAllocation(
+            candidates,
+            strategy || this.allocationStrategy || this.constructor.defaultAllocationStrategy(),
+            session
+        );
+    }
+
+    const car = candidates.find(candidate => canFulfil(
+        freeCars.filter(other => other._id.toString() !== candidate._id.toString()),
+        unallocated
+    ));
+    if (!car) return null;
+
+    // The trip starts from the car's last recorded reading
+    const lastReading = await mongoose.model('OdometerReading').lastReading(car._id, session);
+
+    this.carId = car._id;
+    if (this.meterReading == null) {
+        this.meterReading = lastReading ?? 0;
+    }
+    this.allocatedAt = new Date();
+    this.allocatedBy = allocatedBy;
+    return car;
+};
+
+// Method to check if a driver has no other trip during the interval
+BookingSchema.statics.checkDriverAvailability = async function(driverId, startAt, endAt, excludeBookingId = null, session = null) {
+    const query = {
+        driverId: driverId,
+        status: { $in: this.OPEN_STATUSES },
+        // Drivers need no turnaround time between trips
+        ...this.overlapQuery(startAt, endAt, 0)
     };
 
-    // Exclude current booking when checking for updates
     if (excludeBookingId) {
         query._id = { $ne: excludeBookingId };
     }
 
-    const existingBooking = await this.findOne(query);
+    const existingBooking = await this.findOne(query).session(session);
     return !existingBooking;
 };
 
+// Touch the car and driver inside a transaction so concurrent reservations of them conflict.
+// Every car of the model is touched, as model-level bookings can be allocated to any of them
+BookingSchema.statics.lockResources = async function({ carId, carModel, driverId }, session) {
+    const Car = mongoose.model('Car');
+
+    if (!carModel) {
+        const car = await Car.findById(carId).session(session);
+        carModel = car?.model;
+    }
+
+    await Car.updateMany(
+        carModel ? { model: carModel } : { _id: carId },
+        { $inc: { reservationVersion: 1 } },
+        { session }
+    );
+
+    if (driverId) {
+        await mongoose.model('Driver').updateOne(
+            { _id: driverId },
+            { $inc: { reservationVersion: 1 } },
+            { session }
+        );
+    }
+};
+
+// Statuses in which a booking reserves its car and driver
+BookingSchema.statics.OPEN_STATUSES = ['pending', 'confirmed', 'in-progress'];
+
+// Statuses of bookings that ended without a trip; only their fees count as revenue
+BookingSchema.statics.UNFULFILLED_STATUSES = ['cancelled', 'no-show'];
+
+BookingSchema.statics.STATUSES = Object.keys(STATUS_TRANSITIONS);
+
+// How long a pending booking holds the car before it is released
+BookingSchema.statics.holdDurationMs = function() {
+    return envNumber('BOOKING_HOLD_MINUTES', 30) * 60 * 1000;
+};
+
+// Whether a booking may move from one status to another
+BookingSchema.statics.canTransition = function(from, to) {
+    return (STATUS_TRANSITIONS[from] || []).includes(to);
+};
+
+BookingSchema.methods.canTransitionTo = function(status) {
+    return this.constructor.canTransition(this.status, status);
+};
+
+// Split the old 'active' status into confirmed (not started yet) and in-progress
+BookingSchema.statics.migrateActiveStatus = async function() {
+    const now = new Date();
+    const started = await this.updateMany(
+        { status: 'active', startAt: { $lte: now } },
+        { $set: { status: 'in-progress', startedAt: now } }
+    );
+    const upcoming = await this.updateMany(
+        { status: 'active' },
+        { $set: { status: 'confirmed' } }
+    );
+    return started.modifiedCount + upcoming.modifiedCount;
+};
+
+// Cancel pending bookings whose hold has expired, refunding anything paid towards them
+BookingSchema.statics.releaseExpiredHolds = async function() {
+    const BookingHistory = mongoose.model('BookingHistory');
+    const now = new Date();
+    const expired = await this.find({ status: 'pending', holdExpiresAt: { $lte: now } });
+
+    let released = 0;
+    for (const { _id } of expired) {
+        // Released with its history record in one transaction, skipping holds confirmed since they were read
+        let releasedBooking = null;
+        const session = await mongoose.startSession();
+        try {
+            await session.withTransaction(async () => {
+                releasedBooking = null;
+
+                const booking = await this.findOne({ _id, status: 'pending', holdExpiresAt: { $lte: now } }).session(session);
+                if (!booking) return;
+
+                const before = BookingHistory.snapshot(booking);
+                const refundAmount = Math.max(0, booking.amountPaid);
+
+                const update = {
+                    $set: {
+                        status: 'cancelled',
+                        cancellationReason: 'Hold expired',
+                        cancelledAt: now,
+                        cancellationFee: 0,
+                        refundAmount
+                    }
+                };
+                const payments = [];
+                if (refundAmount > 0) {
+                    payments.push({
+                        amount: refundAmount,
+                        type: 'refund',
+                        reference: 'Hold expired',
+                        receivedBy: booking.bookedBy,
+                        receivedAt: now
+                    });
+                }
+
+                // A deposit taken against the hold is handed back with it
+                const depositRelease = booking.depositRelease({ releasedBy: booking.bookedBy, releasedAt: now });
+                if (depositRelease) {
+                    payments.push(depositRelease.payment);
+                    Object.assign(update.$set, depositRelease.fields);
+                }
+
+                if (payments.length > 0) {
+                    update.$push = { payments: { $each: payments } };
+                }
+
+                releasedBooking = await this.findOneAndUpdate(
+                    { _id, status: 'pending' },
+                    update,
+                    { new: true, session }
+                );
+
+                await BookingHistory.record({
+                    booking: releasedBooking,
+                    action: 'expire',
+                    changedBy: booking.bookedBy,
+                    before,
+                    note: 'Hold expired',
+                    session
+                });
+            });
+        } finally {
+            await session.endSession();
+        }
+        if (!releasedBooking) continue;
+
+        released++;
+
+        await mongoose.model('WaitlistEntry').matchFreedBooking(releasedBooking)
+            .catch(error => console.error("Error matching waitlist:", error));
+    }
+
+    return released;
+};
+
 // Add method to check if booking can be modified
 BookingSchema.methods.canModify = function() {
-    return this.status === 'active' && new Date(this.startDate) > new Date();
+    return ['pending', 'confirmed'].includes(this.status) && new Date(this.startDate) > new Date();
+};
+
+// Add method to append an entry to the payment ledger
+BookingSchema.methods.recordPayment = function(payment) {
+    // Seed the ledger with the advance for bookings created before it existed
+    if (this.payments.length === 0 && this.advancePaid > 0) {
+        this.payments.push({
+            amount: this.advancePaid,
+            type: 'advance',
+            receivedBy: this.bookedBy,
+            receivedAt: this.createdAt
+        });
+    }
+
+    this.payments.push(payment);
+    return this.payments[this.payments.length - 1];
+};
+
+// Apply part of the held deposit to the bill and release the rest
+BookingSchema.methods.settleSecurityDeposit = function({ withheld = 0, reason, settledBy, method = 'cash' }) {
+    const held = this.securityDepositHeld;
+    const amountWithheld = Math.min(Math.max(0, withheld), held);
+    const amountReleased = held - amountWithheld;
+    const settledAt = new Date();
+
+    if (amountWithheld > 0) {
+        this.recordPayment({
+            amount: amountWithheld,
+            type: 'deposit-applied',
+            method,
+            reference: reason || 'Deposit applied to charges',
+            receivedBy: settledBy,
+            receivedAt: settledAt
+        });
+    }
+
+    if (amountReleased > 0) {
+        this.recordPayment({
+            amount: amountReleased,
+            type: 'deposit-release',
+            method,
+            reference: 'Deposit released',
+            receivedBy: settledBy,
+            receivedAt: settledAt
+        });
+    }
+
+    if (held > 0) {
+        this.securityDepositStatus = amountWithheld === 0
+            ? 'released'
+            : amountReleased === 0 ? 'withheld' : 'partially-withheld';
+        this.securityDepositWithheld = amountWithheld;
+        this.securityDepositWithholdReason = amountWithheld > 0 ? reason : undefined;
+        this.securityDepositSettledAt = settledAt;
+    }
+
+    return { held, withheld: amountWithheld, released: amountReleased };
+};
+
+// Ledger entry and fields releasing the whole held deposit of a booking that ends without a trip,
+// for updates that must leave concurrently recorded payments in place; null when none is held
+BookingSchema.methods.depositRelease = function({ releasedBy, method = 'cash', releasedAt = new Date() }) {
+    const held = this.securityDepositHeld;
+    if (held <= 0) return null;
+
+    return {
+        payment: {
+            amount: held,
+            type: 'deposit-release',
+            method,
+            reference: 'Deposit released',
+            receivedBy: releasedBy,
+            receivedAt: releasedAt
+        },
+        fields: {
+            securityDepositStatus: 'released',
+            securityDepositWithheld: 0,
+            securityDepositSettledAt: releasedAt
+        }
+    };
+};
+
+// Work out the credit for returning the car before the scheduled end, or null if none is due
+BookingSchema.methods.prorateEarlyReturn = function(returnedAt) {
+    const breakdown = this.billBreakdown;
+
+    // Only rate card bills carry the per-day charges needed to prorate
+    if (!breakdown || !breakdown.days || this.billOverrideReason) return null;
+    if (!this.endAt || returnedAt >= this.endAt) return null;
+
+    const dayInMs = 1000 * 60 * 60 * 24;
+    const daysUsed = Math.max(1, Math.ceil((returnedAt - this.startAt) / dayInMs));
+    const unusedDays = Math.max(0, breakdown.days - daysUsed);
+    if (unusedDays === 0) return null;
+
+    // Night stay allowances are not daily charges and stay as billed
+    const perDayCharge = ((breakdown.rentalCharge || 0) + (breakdown.driverCharge || 0)) / breakdown.days;
+    const creditPercentage = this.constructor.earlyReturnCreditPercentage();
+
+    return {
+        scheduledEndAt: this.endAt,
+        returnedAt,
+        daysUsed,
+        unusedDays,
+        creditPercentage,
+        credit: Math.round((unusedDays * perDayCharge * creditPercentage) / 100)
+    };
 };
 
 // Add indexes for frequently queried fields
 BookingSchema.index({ carId: 1 });
+BookingSchema.index({ carModel: 1, status: 1 });
 BookingSchema.index({ driverId: 1 });
 BookingSchema.index({ status: 1 });
+BookingSchema.index({ status: 1, holdExpiresAt: 1 });
+BookingSchema.index({ securityDepositStatus: 1 });
+BookingSchema.index({ recurringBookingId: 1, startAt: 1 });
 BookingSchema.index({ startDate: 1, endDate: 1 });
+BookingSchema.index({ startAt: 1, endAt: 1 });
 BookingSchema.index({ createdAt: -1 });
+BookingSchema.index({ cancelledBy: 1 });
+BookingSchema.index({ completedBy: 1 });
+BookingSchema.index({ completedAt: -1 });
+BookingSchema.index({ invoiceNumber: 1 }, { unique: true, sparse: true });
 
 // Time format validation function
 const timeFormatValidator = function(time) {
@@ -213,6 +1110,19 @@ const timeFormatValidator = function(time) {
     return timeRegex.test(time);
 };
 
+// Derive the precise trip interval whenever the dates or times change
+BookingSchema.pre('validate', function(next) {
+    const intervalChanged = ['startDate', 'endDate', 'tripStartTime', 'tripEndTime']
+        .some(path => this.isModified(path));
+
+    if (!this.startAt || !this.endAt || intervalChanged) {
+        const { startAt, endAt } = this.constructor.intervalFor(this);
+        this.startAt = startAt;
+        this.endAt = endAt;
+    }
+    next();
+});
+
 // Pre-save middleware to format the time
 BookingSchema.pre('save', function(next) {
     if (this.endTime) {
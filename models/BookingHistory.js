@@ -0,0 +1,138 @@
+const mongoose = require("mongoose");
+const Schema = mongoose.Schema;
+
+// Booking fields whose changes are recorded in the history
+const TRACKED_FIELDS = [
+    'status',
+    'holdExpiresAt',
+    'carId',
+    'driverId',
+    'driverPreference',
+    'customerLicenseNumber',
+    'tripType',
+    'cityName',
+    'tripDescription',
+    'startDate',
+    'endDate',
+    'tripStartTime',
+    'tripEndTime',
+    'startAt',
+    'endAt',
+    'meterReading',
+    'finalMeterReading',
+    'endTime',
+    'totalBill',
+    'billOverrideReason',
+    'advancePaid',
+    'amountPaid',
+    'discountPercentage',
+    'discountReference',
+    'additionalCharges',
+    'additionalChargesDescription',
+    'cancellationReason',
+    'cancellationFee',
+    'refundAmount',
+    'refundOverrideReason'
+];
+
+const ChangeSchema = new Schema(
+    {
+        field: { type: String, required: true },
+        oldValue: { type: Schema.Types.Mixed },
+        newValue: { type: Schema.Types.Mixed }
+    },
+    { _id: false }
+);
+
+const BookingHistorySchema = new Schema(
+    {
+        bookingId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "Booking",
+            required: true
+        },
+        version: {
+            type: Number,
+            required: true,
+            min: 1
+        },
+        action: {
+            type: String,
+            enum: ['create', 'edit', 'extend', 'confirm', 'start', 'cancel', 'expire', 'no-show', 'end', 'payment', 'allocate'],
+            required: true
+        },
+        changes: {
+            type: [ChangeSchema],
+            default: []
+        },
+        note: {
+            type: String,
+            trim: true
+        },
+        changedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "User",
+            required: true
+        }
+    },
+    {
+        timestamps: { createdAt: true, updatedAt: false }
+    }
+);
+
+// Normalize ids and dates so values compare and store consistently
+const normalize = (value) => {
+    if (value === undefined || value === null || value === '') return null;
+    if (value instanceof Date) return value.toISOString();
+    if (value instanceof mongoose.Types.ObjectId) return value.toString();
+    if (value._id instanceof mongoose.Types.ObjectId) return value._id.toString();
+    return value;
+};
+
+// Capture the tracked fields of a booking as plain values
+BookingHistorySchema.statics.snapshot = function(booking) {
+    if (!booking) return null;
+
+    return TRACKED_FIELDS.reduce((snapshot, field) => {
+        snapshot[field] = normalize(booking[field]);
+        return snapshot;
+    }, {});
+};
+
+// Write the next version for a booking, storing only the fields that changed
+BookingHistorySchema.statics.record = async function({ booking, action, changedBy, before = null, note, session = null }) {
+    const after = this.snapshot(booking);
+
+    const changes = TRACKED_FIELDS
+        .filter(field => JSON.stringify(before ? before[field] : null) !== JSON.stringify(after[field]))
+        .map(field => ({
+            field,
+            oldValue: before ? before[field] : null,
+            newValue: after[field]
+        }));
+
+    // An edit that changed nothing is not worth a version
+    if (action === 'edit' && changes.length === 0) return null;
+
+    const latest = await this.findOne({ bookingId: booking._id })
+        .sort({ version: -1 })
+        .session(session);
+
+    const entry = new this({
+        bookingId: booking._id,
+        version: latest ? latest.version + 1 : 1,
+        action,
+        changes,
+        note,
+        changedBy
+    });
+
+    await entry.save({ session });
+    return entry;
+};
+
+BookingHistorySchema.index({ bookingId: 1, version: 1 }, { unique: true });
+
+const BookingHistory = mongoose.model("BookingHistory", BookingHistorySchema);
+
+module.exports = BookingHistory;
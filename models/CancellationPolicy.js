@@ -0,0 +1,99 @@
+const mongoose = require("mongoose");
+const Schema = mongoose.Schema;
+
+// A single refund tier, e.g. "100% refund when cancelled 48 or more hours before the trip"
+const CancellationRuleSchema = new Schema(
+    {
+        minHoursBeforeStart: {
+            type: Number,
+            required: true
+        },
+        refundPercentage: {
+            type: Number,
+            required: true,
+            min: [0, 'Refund percentage cannot be negative'],
+            max: [100, 'Refund percentage cannot exceed 100']
+        }
+    },
+    { _id: false }
+);
+
+const CancellationPolicySchema = new Schema(
+    {
+        name: {
+            type: String,
+            required: true,
+            trim: true
+        },
+        tripType: {
+            type: String,
+            enum: ['withincity', 'outofcity', 'all'],
+            default: 'all'
+        },
+        rules: {
+            type: [CancellationRuleSchema],
+            validate: {
+                validator: function(value) {
+                    return value.length > 0;
+                },
+                message: 'A cancellation policy needs at least one rule'
+            }
+        },
+        active: {
+            type: Boolean,
+            default: true
+        },
+        createdBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "User",
+            required: true
+        }
+    },
+    {
+        timestamps: true
+    }
+);
+
+// Find the active policy for a trip type, falling back to the generic one
+CancellationPolicySchema.statics.findApplicable = async function(tripType) {
+    const policies = await this.find({
+        active: true,
+        tripType: { $in: [tripType, 'all'] }
+    }).sort({ updatedAt: -1 });
+
+    return policies.find(policy => policy.tripType === tripType)
+        || policies.find(policy => policy.tripType === 'all')
+        || null;
+};
+
+// Work out the refund and fee for cancelling a booking at a given moment
+CancellationPolicySchema.methods.evaluate = function(booking, cancelledAt = new Date()) {
+    const tripStart = booking.startAt
+        ? new Date(booking.startAt)
+        : booking.constructor.combineDateAndTime(booking.startDate, booking.tripStartTime);
+
+    const hoursBeforeStart = (tripStart - cancelledAt) / (1000 * 60 * 60);
+
+    // Rules are checked from the most generous threshold downwards
+    const rule = this.rules
+        .slice()
+        .sort((a, b) => b.minHoursBeforeStart - a.minHoursBeforeStart)
+        .find(rule => hoursBeforeStart >= rule.minHoursBeforeStart);
+
+    const refundPercentage = rule ? rule.refundPercentage : 0;
+    const amountPaid = booking.amountPaid;
+    const refundAmount = Math.round((amountPaid * refundPercentage) / 100);
+
+    return {
+        hoursBeforeStart: Math.round(hoursBeforeStart * 10) / 10,
+        refundPercentage,
+        refundAmount,
+        cancellationFee: amountPaid - refundAmount
+    };
+};
+
+CancellationPolicySchema.index({ active: 1, tripType: 1 });
+
+const CancellationPolicy = mongoose.model("CancellationPolicy", CancellationPolicySchema);
+
+module.exports = CancellationPolicy;
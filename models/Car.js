@@ -1,5 +1,38 @@
 const mongoose = require("mongoose");
 const Schema = mongoose.Schema;
+const { envNumber } = require("../utils/env");
+
+const DAY_IN_MS = 1000 * 60 * 60 * 24;
+
+const STATUSES = ['active', 'in-maintenance', 'off-road', 'sold', 'written-off'];
+
+// A recurring service, due every intervalKm kilometres or intervalMonths months, whichever comes first
+const maintenancePlanSchema = new Schema({
+    type: { type: String, enum: ['oil-change', 'tyre-rotation', 'tuning', 'other'], required: true },
+    name: { type: String, trim: true },
+    intervalKm: { type: Number, min: 0 },
+    intervalMonths: { type: Number, min: 0 },
+    lastServicedAt: { type: Date, required: true },
+    lastServicedKm: { type: Number, min: 0, default: 0 },
+    addedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+});
+
+// A vehicle document such as the insurance policy or fitness certificate; renewals are added as new records
+const documentSchema = new Schema({
+    type: {
+        type: String,
+        enum: ['registration', 'insurance', 'token-tax', 'route-permit', 'fitness-certificate', 'other'],
+        required: true
+    },
+    // Policy, certificate or receipt number
+    number: { type: String, trim: true },
+    issueDate: { type: Date },
+    expiryDate: { type: Date },
+    files: { type: [String], default: [] },
+    notes: { type: String, trim: true },
+    uploadedAt: { type: Date, default: Date.now },
+    uploadedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+});
 
 const CarSchema = new Schema(
     {
@@ -11,11 +44,132 @@ const CarSchema = new Schema(
         engineNumber: { type: String, unique: true, required: true },
         image: { type: String },
         user: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+        // Set for cars off the road, sold or written off, for the queries and clients written before the status existed
         deleted: { type: Boolean, default: false },
+        // Lifecycle status; only active cars can be booked, while sold and written-off cars stay in historical reports
+        status: { type: String, enum: STATUSES, default: 'active' },
+        statusReason: { type: String, trim: true },
+        statusChangedAt: { type: Date },
+        statusChangedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+        soldAt: { type: Date },
+        salePrice: { type: Number, min: 0 },
+        buyer: { type: String, trim: true },
+        writtenOffAt: { type: Date },
         variant: { type: String},
+        // Decides the security deposit taken on self-drive bookings
+        category: { type: String, enum: ['economy', 'standard', 'suv', 'luxury', 'van'], default: 'standard' },
+        reservationVersion: { type: Number, default: 0 },
+        maintenancePlans: { type: [maintenancePlanSchema], default: [] },
+        documents: { type: [documentSchema], default: [] },
     },
     { timestamps: true }
 );
 
+// Latest odometer reading of each car from its odometer log
+CarSchema.statics.odometerReadings = async function(carIds) {
+    const readings = await mongoose.model('OdometerReading').aggregate([
+        { $match: { carId: { $in: carIds } } },
+        { $sort: { reading: -1 } },
+        { $group: { _id: "$carId", reading: { $first: "$reading" }, at: { $first: "$recordedAt" } } }
+    ]);
+
+    return new Map(readings.map(({ _id, reading, at }) => [_id.toString(), { reading, at }]));
+};
+
+// Kilometres and days before a plan falls due at which it is reported as due soon
+CarSchema.statics.maintenanceDueSoon = function() {
+    return {
+        km: envNumber('MAINTENANCE_DUE_SOON_KM', 500),
+        days: envNumber('MAINTENANCE_DUE_SOON_DAYS', 14)
+    };
+};
+
+// When each maintenance plan falls due and whether it is overdue, due soon or fine
+CarSchema.methods.maintenanceStatus = function(odometer = 0, now = new Date()) {
+    const dueSoon = this.constructor.maintenanceDueSoon();
+
+    return this.maintenancePlans.map(plan => {
+        const dueKm = plan.intervalKm ? plan.lastServicedKm + plan.intervalKm : null;
+        let dueAt = null;
+        if (plan.intervalMonths) {
+            dueAt = new Date(plan.lastServicedAt);
+            dueAt.setMonth(dueAt.getMonth() + plan.intervalMonths);
+        }
+
+        const remainingKm = dueKm !== null ? dueKm - odometer : null;
+        const remainingDays = dueAt ? Math.floor((dueAt - now) / DAY_IN_MS) : null;
+
+        let status = 'ok';
+        if ((remainingKm !== null && remainingKm <= 0) || (dueAt && dueAt <= now)) {
+            status = 'overdue';
+        } else if ((remainingKm !== null && remainingKm <= dueSoon.km) || (remainingDays !== null && remainingDays <= dueSoon.days)) {
+            status = 'due-soon';
+        }
+
+        return { plan, dueKm, dueAt, remainingKm, remainingDays, status };
+    });
+};
+
+// Documents a car must hold unexpired for out-of-city trips
+CarSchema.statics.OUT_OF_CITY_DOCUMENTS = ['insurance', 'registration'];
+
+// Days before expiry at which a document is reported as expiring soon
+CarSchema.statics.documentExpiryWarningDays = function() {
+    return envNumber('VEHICLE_DOCUMENT_EXPIRY_WARNING_DAYS', 30);
+};
+
+// The document of each type currently in force, the one expiring last
+CarSchema.methods.currentDocuments = function() {
+    const current = {};
+    for (const document of this.documents) {
+        const existing = current[document.type];
+        if (!existing || (existing.expiryDate && (!document.expiryDate || document.expiryDate > existing.expiryDate))) {
+            current[document.type] = document;
+        }
+    }
+    return Object.values(current);
+};
+
+// Why the car cannot go on an out-of-city trip ending at endAt; null if it can.
+// Only recorded documents are checked, so cars not yet in the registry are not refused
+CarSchema.methods.documentExpiryReason = function(endAt) {
+    const expired = this.currentDocuments().find(document =>
+        this.constructor.OUT_OF_CITY_DOCUMENTS.includes(document.type) &&
+        document.expiryDate && document.expiryDate < new Date(endAt)
+    );
+    return expired ? `Car's ${expired.type} expires before the trip ends` : null;
+};
+
+// Statuses of cars that have left the fleet for good
+CarSchema.statics.RETIRED_STATUSES = ['sold', 'written-off'];
+
+CarSchema.statics.STATUSES = STATUSES;
+
+// Statuses of cars that are out of the fleet, as the deleted flag used to mark; cars in the workshop stay in it
+CarSchema.statics.REMOVED_STATUSES = ['off-road', ...CarSchema.statics.RETIRED_STATUSES];
+
+// Give cars created before the lifecycle status one, deleted cars being off the road
+CarSchema.statics.migrateStatus = async function() {
+    const offRoad = await this.updateMany(
+        { status: { $exists: false }, deleted: true },
+        { $set: { status: 'off-road' } }
+    );
+    const active = await this.updateMany(
+        { status: { $exists: false } },
+        { $set: { status: 'active' } }
+    );
+    // Cars in maintenance were once flagged as deleted with the rest of the unavailable cars
+    const inMaintenance = await this.updateMany(
+        { status: 'in-maintenance', deleted: true },
+        { $set: { deleted: false } }
+    );
+    return offRoad.modifiedCount + active.modifiedCount + inMaintenance.modifiedCount;
+};
+
+CarSchema.pre('save', function(next) {
+    this.deleted = this.constructor.REMOVED_STATUSES.includes(this.status);
+    next();
+});
+
 const Car = mongoose.model("Car", CarSchema);
-module.exports = Car;
\ No newline at end of file
+module.exports = Car;
@@ -0,0 +1,106 @@
+const mongoose = require("mongoose");
+const Schema = mongoose.Schema;
+
+// A claim is raised open, billed to the customer and then paid, or waived
+const STATUS_TRANSITIONS = {
+    'open': ['billed', 'paid', 'waived'],
+    'billed': ['paid', 'waived'],
+    'paid': [],
+    'waived': []
+};
+
+const ClaimSchema = new Schema(
+    {
+        bookingId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "Booking",
+            required: true
+        },
+        customerId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "Customer",
+            required: true
+        },
+        carId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "Car",
+            required: true
+        },
+        type: {
+            type: String,
+            enum: ['damage', 'fine', 'toll', 'fuel-shortfall'],
+            required: true
+        },
+        amount: {
+            type: Number,
+            required: true,
+            min: [0, 'Claim amount cannot be negative']
+        },
+        description: {
+            type: String,
+            trim: true
+        },
+        // When the damage happened or the challan was issued
+        incidentDate: {
+            type: Date
+        },
+        evidence: {
+            type: [String],
+            default: []
+        },
+        status: {
+            type: String,
+            enum: Object.keys(STATUS_TRANSITIONS),
+            default: 'open'
+        },
+        billedAt: {
+            type: Date
+        },
+        paidAt: {
+            type: Date
+        },
+        paymentMethod: {
+            type: String,
+            enum: ['cash', 'bank', 'card', 'cheque']
+        },
+        paymentReference: {
+            type: String,
+            trim: true
+        },
+        waivedAt: {
+            type: Date
+        },
+        waiverReason: {
+            type: String,
+            trim: true
+        },
+        settledBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "User"
+        },
+        createdBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "User",
+            required: true
+        }
+    },
+    {
+        timestamps: true
+    }
+);
+
+// Statuses of claims the customer still owes
+ClaimSchema.statics.OUTSTANDING_STATUSES = ['open', 'billed'];
+
+ClaimSchema.methods.canTransitionTo = function(status) {
+    return (STATUS_TRANSITIONS[this.status] || []).includes(status);
+};
+
+ClaimSchema.index({ customerId: 1, status: 1 });
+ClaimSchema.index({ bookingId: 1 });
+ClaimSchema.index({ carId: 1 });
+ClaimSchema.index({ createdAt: -1 });
+
+const Claim = mongoose.model("Claim", ClaimSchema);
+
+module.exports = Claim;
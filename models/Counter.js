@@ -0,0 +1,41 @@
+const mongoose = require("mongoose");
+const Schema = mongoose.Schema;
+
+// Named sequences used for human readable document numbers
+const CounterSchema = new Schema(
+    {
+        name: {
+            type: String,
+            required: true,
+            unique: true,
+            trim: true
+        },
+        seq: {
+            type: Number,
+            default: 0
+        }
+    },
+    {
+        timestamps: true
+    }
+);
+
+// Atomically take the next value of a sequence, creating it on first use
+CounterSchema.statics.next = async function(name, session = null) {
+    const counter = await this.findOneAndUpdate(
+        { name },
+        { $inc: { seq: 1 } },
+        { new: true, upsert: true, session }
+    );
+    return counter.seq;
+};
+
+// Next invoice number for a year, e.g. INV-2025-0042
+CounterSchema.statics.nextInvoiceNumber = async function(year, session = null) {
+    const seq = await this.next(`invoice-${year}`, session);
+    return `INV-${year}-${String(seq).padStart(4, '0')}`;
+};
+
+const Counter = mongoose.model("Counter", CounterSchema);
+
+module.exports = Counter;
@@ -0,0 +1,45 @@
+const mongoose = require("mongoose");
+const Schema = mongoose.Schema;
+
+// Security deposit required on self-drive bookings of a car category
+const DepositRateSchema = new Schema(
+    {
+        category: {
+            type: String,
+            enum: ['economy', 'standard', 'suv', 'luxury', 'van'],
+            required: true
+        },
+        amount: {
+            type: Number,
+            required: true,
+            min: [0, 'Deposit amount cannot be negative']
+        },
+        active: {
+            type: Boolean,
+            default: true
+        },
+        createdBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "User",
+            required: true
+        }
+    },
+    {
+        timestamps: true
+    }
+);
+
+// Deposit required for a car, or 0 when its category has no active rate
+DepositRateSchema.statics.requiredFor = async function(car) {
+    const rate = await this.findOne({
+        category: car.category || 'standard',
+        active: true
+    });
+    return rate ? rate.amount : 0;
+};
+
+DepositRateSchema.index({ category: 1, active: 1 });
+
+const DepositRate = mongoose.model("DepositRate", DepositRateSchema);
+
+module.exports = DepositRate;
@@ -1,19 +1,129 @@
 const mongoose = require("mongoose");
 const Schema = mongoose.Schema;
 
+const leaveSchema = new Schema({
+    startDate: { type: Date, required: true },
+    endDate: { type: Date, required: true },
+    reason: { type: String, trim: true },
+    addedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+});
+
+// Scanned driver documents such as the licence and ID card
+const documentSchema = new Schema({
+    type: { type: String, enum: ['licence', 'id-card', 'other'], required: true },
+    url: { type: String, required: true },
+    expiryDate: { type: Date },
+    uploadedAt: { type: Date, default: Date.now },
+    uploadedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+});
+
 const driverSchema = new Schema({
     name: { type: String, required: true },
     avatar: { type: String, default: "https://cdn.pixabay.com/photo/2015/10/05/22/37/blank-profile-picture-973460_960_720.png" },
+    // Mirrors status === 'active' for clients written before the status existed
     available: { type: Boolean, default: true },
+    // Employment status; whether an active driver is free for a trip depends on bookings, leaves and off days
+    status: { type: String, enum: ['active', 'inactive', 'suspended'], default: 'active' },
+    statusReason: { type: String, trim: true },
+    statusChangedAt: { type: Date },
     phone: { type: String},
     createdAt: { type: Date, default: Date.now},
     idNumber: { type: String, required: true },
     address: { type: String, required: true },
     lisenceNumber: {type: String, required: true},
+    licenceExpiryDate: { type: Date },
+    documents: { type: [documentSchema], default: [] },
     emergencyPhone: { type: String},
+    reservationVersion: { type: Number, default: 0 },
+    // Monthly pay, with overtime paid per hour beyond the daily duty hours
+    baseSalary: { type: Number, default: 0, min: 0 },
+    overtimeHourlyRate: { type: Number, default: 0, min: 0 },
+    leaves: { type: [leaveSchema], default: [] },
+    // Weekly off days, 0 = Sunday ... 6 = Saturday
+    offDays: {
+        type: [{ type: Number, min: 0, max: 6 }],
+        default: []
+    },
     resetPasswordToken: String,
     resetPasswordExpires: Date,
 });
 
+// Leave periods overlapping the given interval
+driverSchema.methods.leavesBetween = function(startAt, endAt) {
+    return this.leaves.filter(leave =>
+        leave.startDate < new Date(endAt) && leave.endDate > new Date(startAt)
+    );
+};
+
+// Off days (as dates) falling inside the given interval
+driverSchema.methods.offDaysBetween = function(startAt, endAt) {
+    if (!this.offDays || this.offDays.length === 0) return [];
+
+    const days = [];
+    const day = new Date(startAt);
+    day.setHours(0, 0, 0, 0);
+    while (day < new Date(endAt)) {
+        if (this.offDays.includes(day.getDay())) {
+            days.push(new Date(day));
+        }
+        day.setDate(day.getDate() + 1);
+    }
+    return days;
+};
+
+// Whether a date falls on one of the driver's weekly off days
+driverSchema.methods.isOffDay = function(date) {
+    return (this.offDays || []).includes(new Date(date).getDay());
+};
+
+// Why the driver cannot work during an interval, ignoring bookings; null if they can
+driverSchema.methods.unavailabilityReason = function(startAt, endAt) {
+    if (this.status === 'suspended') {
+        return "Driver is suspended";
+    }
+    if (this.status === 'inactive') {
+        return "Driver is inactive";
+    }
+    if (this.licenceExpiryDate && this.licenceExpiryDate < new Date(endAt)) {
+        return "Driver's licence expires before the trip ends";
+    }
+    if (this.leavesBetween(startAt, endAt).length > 0) {
+        return "Driver is on leave during the selected dates";
+    }
+    // Off days inside a multi-day trip are worked, but a trip cannot start or end on one
+    if (this.isOffDay(startAt) || this.isOffDay(endAt)) {
+        return "Trip starts or ends on the driver's off day";
+    }
+    return null;
+};
+
+// Clear the flag bookings used to set on drivers; it now only marks deactivated drivers
+driverSchema.statics.releaseBookingHolds = async function() {
+    const bookedDriverIds = await mongoose.model('Booking').distinct('driverId', { status: 'active' });
+    const result = await this.updateMany(
+        { _id: { $in: bookedDriverIds }, available: false },
+        { $set: { available: true } }
+    );
+    return result.modifiedCount;
+};
+
+// Give drivers created before the status existed one, from the old available flag
+driverSchema.statics.migrateStatus = async function() {
+    const inactive = await this.updateMany(
+        { status: { $exists: false }, available: false },
+        { $set: { status: 'inactive' } }
+    );
+    const active = await this.updateMany(
+        { status: { $exists: false } },
+        { $set: { status: 'active' } }
+    );
+    return inactive.modifiedCount + active.modifiedCount;
+};
+
+driverSchema.pre('save', function(next) {
+    this.available = this.status === 'active';
+    next();
+});
+
 const Driver = mongoose.model("Driver", driverSchema);
 module.exports = Driver;
\ No newline at end of file
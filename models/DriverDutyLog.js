@@ -0,0 +1,127 @@
+const mongoose = require("mongoose");
+const Schema = mongoose.Schema;
+const { envNumber } = require("../utils/env");
+
+const HOUR_IN_MS = 1000 * 60 * 60;
+const DAY_IN_MS = HOUR_IN_MS * 24;
+
+// Hours a driver worked on a booking, nights spent away and the allowances owed for it
+const DriverDutyLogSchema = new Schema(
+    {
+        bookingId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "Booking",
+            required: true
+        },
+        driverId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "Driver",
+            required: true
+        },
+        dutyStartAt: {
+            type: Date,
+            required: true
+        },
+        dutyEndAt: {
+            type: Date,
+            required: true,
+            validate: {
+                validator: function(value) {
+                    return value > this.dutyStartAt;
+                },
+                message: 'Duty must end after it starts'
+            }
+        },
+        overnightStays: {
+            type: Number,
+            default: 0,
+            min: [0, 'Overnight stays cannot be negative']
+        },
+        foodAllowance: {
+            type: Number,
+            default: 0,
+            min: [0, 'Food allowance cannot be negative']
+        },
+        stayAllowance: {
+            type: Number,
+            default: 0,
+            min: [0, 'Stay allowance cannot be negative']
+        },
+        notes: {
+            type: String,
+            trim: true
+        },
+        recordedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "User",
+            required: true
+        }
+    },
+    {
+        timestamps: true
+    }
+);
+
+// Rest hours not counted as duty for each night away on an out-of-city trip
+DriverDutyLogSchema.statics.overnightRestHours = function() {
+    return envNumber('DRIVER_OVERNIGHT_REST_HOURS', 10);
+};
+
+// Hours a driver works per day before overtime starts
+DriverDutyLogSchema.statics.dailyDutyHours = function() {
+    return envNumber('DRIVER_DAILY_DUTY_HOURS', 10);
+};
+
+// Default allowances paid per day away and per night stayed
+DriverDutyLogSchema.statics.allowanceRates = function() {
+    return {
+        foodPerDay: envNumber('DRIVER_FOOD_ALLOWANCE_PER_DAY', 0),
+        stayPerNight: envNumber('DRIVER_STAY_ALLOWANCE_PER_NIGHT', 0)
+    };
+};
+
+// Duty worked out from a booking's actual handover and return, used until a log is recorded
+DriverDutyLogSchema.statics.defaultsFor = function(booking) {
+    const dutyStartAt = booking.startedAt || booking.startAt;
+    const dutyEndAt = booking.completedAt || booking.endAt;
+
+    let overnightStays = 0;
+    if (booking.tripType === 'outofcity') {
+        const firstDay = new Date(dutyStartAt).setHours(0, 0, 0, 0);
+        const lastDay = new Date(dutyEndAt).setHours(0, 0, 0, 0);
+        overnightStays = booking.billBreakdown?.nights ?? Math.max(0, Math.round((lastDay - firstDay) / DAY_IN_MS));
+    }
+
+    // Food is paid for each day away on out-of-city trips
+    const { foodPerDay, stayPerNight } = this.allowanceRates();
+    const daysAway = booking.tripType === 'outofcity' ? overnightStays + 1 : 0;
+
+    return {
+        bookingId: booking._id,
+        driverId: booking.driverId,
+        dutyStartAt,
+        dutyEndAt,
+        overnightStays,
+        foodAllowance: daysAway * foodPerDay,
+        stayAllowance: overnightStays * stayPerNight
+    };
+};
+
+// Hours on duty and the part of them that is overtime
+DriverDutyLogSchema.statics.hoursFor = function({ dutyStartAt, dutyEndAt, overnightStays = 0 }) {
+    const spanHours = Math.max(0, (new Date(dutyEndAt) - new Date(dutyStartAt)) / HOUR_IN_MS);
+    const dutyHours = Math.max(0, spanHours - overnightStays * this.overnightRestHours());
+    const overtimeHours = Math.max(0, dutyHours - (overnightStays + 1) * this.dailyDutyHours());
+
+    return {
+        dutyHours: Math.round(dutyHours * 100) / 100,
+        overtimeHours: Math.round(overtimeHours * 100) / 100
+    };
+};
+
+DriverDutyLogSchema.index({ bookingId: 1 }, { unique: true });
+DriverDutyLogSchema.index({ driverId: 1, dutyStartAt: -1 });
+
+const DriverDutyLog = mongoose.model("DriverDutyLog", DriverDutyLogSchema);
+
+module.exports = DriverDutyLog;
@@ -0,0 +1,146 @@
+const mongoose = require("mongoose");
+const Schema = mongoose.Schema;
+
+// A month's pay for a driver; drafts are recomputed until approved, then booked as a Salary expense
+const DriverPayrollSchema = new Schema(
+    {
+        driverId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "Driver",
+            required: true
+        },
+        // Calendar month as YYYY-MM
+        month: {
+            type: String,
+            required: true,
+            match: [/^\d{4}-(0[1-9]|1[0-2])$/, 'Month must be in YYYY-MM format']
+        },
+        trips: {
+            type: Number,
+            default: 0
+        },
+        bookingIds: [{
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "Booking"
+        }],
+        dutyHours: {
+            type: Number,
+            default: 0
+        },
+        overtimeHours: {
+            type: Number,
+            default: 0
+        },
+        overnightStays: {
+            type: Number,
+            default: 0
+        },
+        baseSalary: {
+            type: Number,
+            default: 0
+        },
+        overtimePay: {
+            type: Number,
+            default: 0
+        },
+        foodAllowance: {
+            type: Number,
+            default: 0
+        },
+        stayAllowance: {
+            type: Number,
+            default: 0
+        },
+        total: {
+            type: Number,
+            default: 0
+        },
+        status: {
+            type: String,
+            enum: ['draft', 'approved', 'expensed'],
+            default: 'draft'
+        },
+        approvedAt: {
+            type: Date
+        },
+        approvedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "User"
+        },
+        expenseId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "Expense"
+        },
+        generatedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "User",
+            required: true
+        }
+    },
+    {
+        timestamps: true
+    }
+);
+
+// First and last instant of a YYYY-MM month
+DriverPayrollSchema.statics.monthRange = function(month) {
+    const [year, monthIndex] = month.split('-').map(Number);
+    return {
+        start: new Date(year, monthIndex - 1, 1),
+        end: new Date(year, monthIndex, 0, 23, 59, 59, 999)
+    };
+};
+
+// Work out a driver's pay for a month from the trips they completed in it
+DriverPayrollSchema.statics.compute = async function(driver, month) {
+    const Booking = mongoose.model('Booking');
+    const DriverDutyLog = mongoose.model('DriverDutyLog');
+    const { start, end } = this.monthRange(month);
+
+    const bookings = await Booking.find({
+        driverId: driver._id,
+        status: 'completed',
+        completedAt: { $gte: start, $lte: end }
+    });
+    const logs = await DriverDutyLog.find({ bookingId: { $in: bookings.map(booking => booking._id) } });
+    const logByBooking = new Map(logs.map(log => [log.bookingId.toString(), log]));
+
+    const summary = {
+        driverId: driver._id,
+        month,
+        trips: bookings.length,
+        bookingIds: bookings.map(booking => booking._id),
+        dutyHours: 0,
+        overtimeHours: 0,
+        overnightStays: 0,
+        foodAllowance: 0,
+        stayAllowance: 0
+    };
+
+    for (const booking of bookings) {
+        // Trips without a recorded log are paid from the booking's handover and return
+        const log = logByBooking.get(booking._id.toString()) || DriverDutyLog.defaultsFor(booking);
+        const { dutyHours, overtimeHours } = DriverDutyLog.hoursFor(log);
+
+        summary.dutyHours += dutyHours;
+        summary.overtimeHours += overtimeHours;
+        summary.overnightStays += log.overnightStays;
+        summary.foodAllowance += log.foodAllowance;
+        summary.stayAllowance += log.stayAllowance;
+    }
+
+    summary.dutyHours = Math.round(summary.dutyHours * 100) / 100;
+    summary.overtimeHours = Math.round(summary.overtimeHours * 100) / 100;
+    summary.baseSalary = driver.baseSalary || 0;
+    summary.overtimePay = Math.round(summary.overtimeHours * (driver.overtimeHourlyRate || 0));
+    summary.total = summary.baseSalary + summary.overtimePay + summary.foodAllowance + summary.stayAllowance;
+
+    return summary;
+};
+
+DriverPayrollSchema.index({ driverId: 1, month: 1 }, { unique: true });
+DriverPayrollSchema.index({ month: 1, status: 1 });
+
+const DriverPayroll = mongoose.model("DriverPayroll", DriverPayrollSchema);
+
+module.exports = DriverPayroll;
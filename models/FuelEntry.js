@@ -0,0 +1,148 @@
+const mongoose = require("mongoose");
+const Schema = mongoose.Schema;
+const { envNumber } = require("../utils/env");
+
+// A refuelling of a car; tanks are assumed filled up, so the distance since the previous
+// refuelling over the litres put in gives the efficiency achieved on that stretch
+const FuelEntrySchema = new Schema(
+    {
+        carId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "Car",
+            required: true
+        },
+        // Trip the car was on when refuelled, and who was driving it
+        bookingId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "Booking"
+        },
+        driverId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "Driver"
+        },
+        litres: {
+            type: Number,
+            required: true,
+            min: [0.01, 'Litres must be positive']
+        },
+        pricePerLitre: {
+            type: Number,
+            required: true,
+            min: [0, 'Price per litre cannot be negative']
+        },
+        amount: {
+            type: Number,
+            required: true,
+            min: [0, 'Amount cannot be negative']
+        },
+        odometer: {
+            type: Number,
+            required: true,
+            min: [0, 'Odometer reading cannot be negative']
+        },
+        station: {
+            type: String,
+            trim: true
+        },
+        paidBy: {
+            type: String,
+            enum: ['company', 'customer'],
+            default: 'company'
+        },
+        filledAt: {
+            type: Date,
+            default: Date.now
+        },
+        // Worked out against the previous refuelling by odometer; null for a car's first
+        kilometers: {
+            type: Number,
+            default: null
+        },
+        kmPerLitre: {
+            type: Number,
+            default: null
+        },
+        anomaly: {
+            type: Boolean,
+            default: false
+        },
+        anomalyReason: {
+            type: String
+        },
+        // Fuel paid by the company is booked as a Fuel expense
+        expenseId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "Expense"
+        },
+        notes: {
+            type: String,
+            trim: true
+        },
+        recordedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "User",
+            required: true
+        }
+    },
+    {
+        timestamps: true
+    }
+);
+
+// Drop in km/litre against the car's recent average that flags a refuelling
+FuelEntrySchema.statics.efficiencyDropPercentage = function() {
+    return envNumber('FUEL_EFFICIENCY_DROP_PERCENTAGE', 25);
+};
+
+// Number of earlier refuellings averaged as the car's usual efficiency
+FuelEntrySchema.statics.baselineEntries = function() {
+    return Math.max(1, Math.round(envNumber('FUEL_EFFICIENCY_BASELINE_ENTRIES', 5)));
+};
+
+// Work out distance, efficiency and anomaly flags for all of a car's refuellings in odometer order,
+// so entries recorded late or removed are accounted for
+FuelEntrySchema.statics.recompute = async function(carId) {
+    const entries = await this.find({ carId }).sort({ odometer: 1, filledAt: 1 });
+    const dropPercentage = this.efficiencyDropPercentage();
+    const baselineEntries = this.baselineEntries();
+    const history = [];
+
+    for (let i = 0; i < entries.length; i++) {
+        const entry = entries[i];
+        const previous = entries[i - 1];
+
+        entry.kilometers = previous ? entry.odometer - previous.odometer : null;
+        entry.kmPerLitre = previous ? Math.round(entry.kilometers / entry.litres * 100) / 100 : null;
+        entry.anomaly = false;
+        entry.anomalyReason = undefined;
+
+        if (entry.kmPerLitre !== null) {
+            const recent = history.slice(-baselineEntries);
+            if (recent.length > 0) {
+                const baseline = recent.reduce((sum, value) => sum + value, 0) / recent.length;
+                if (entry.kmPerLitre < baseline * (1 - dropPercentage / 100)) {
+                    entry.anomaly = true;
+                    entry.anomalyReason = `${entry.kmPerLitre} km/l against a usual ${Math.round(baseline * 100) / 100} km/l`;
+                }
+            }
+            // Flagged refuellings are kept out of the baseline so they do not hide the next one
+            if (!entry.anomaly) {
+                history.push(entry.kmPerLitre);
+            }
+        }
+
+        if (entry.isModified()) {
+            await entry.save();
+        }
+    }
+
+    return entries;
+};
+
+FuelEntrySchema.index({ carId: 1, odometer: 1 });
+FuelEntrySchema.index({ driverId: 1, filledAt: -1 });
+FuelEntrySchema.index({ filledAt: -1 });
+
+const FuelEntry = mongoose.model("FuelEntry", FuelEntrySchema);
+
+module.exports = FuelEntry;
@@ -0,0 +1,184 @@
+const mongoose = require("mongoose");
+const Schema = mongoose.Schema;
+
+// Items checked in the car at handover and return
+const CHECKLIST_ITEMS = [
+    'spare-tyre',
+    'jack',
+    'wheel-spanner',
+    'documents',
+    'first-aid-kit',
+    'floor-mats'
+];
+
+// Zones of the car diagram that damage can be marked on
+const DAMAGE_ZONES = [
+    'front-bumper',
+    'rear-bumper',
+    'bonnet',
+    'roof',
+    'boot',
+    'windshield',
+    'rear-windshield',
+    'front-left-door',
+    'front-right-door',
+    'rear-left-door',
+    'rear-right-door',
+    'left-fender',
+    'right-fender',
+    'left-mirror',
+    'right-mirror',
+    'wheels',
+    'interior'
+];
+
+const ChecklistItemSchema = new Schema(
+    {
+        item: {
+            type: String,
+            enum: CHECKLIST_ITEMS,
+            required: true
+        },
+        present: {
+            type: Boolean,
+            required: true
+        },
+        note: {
+            type: String,
+            trim: true
+        }
+    },
+    { _id: false }
+);
+
+// A damage marked on the car diagram; x/y are percentages across the diagram
+const DamageSchema = new Schema(
+    {
+        zone: {
+            type: String,
+            enum: DAMAGE_ZONES,
+            required: true
+        },
+        x: {
+            type: Number,
+            min: 0,
+            max: 100
+        },
+        y: {
+            type: Number,
+            min: 0,
+            max: 100
+        },
+        severity: {
+            type: String,
+            enum: ['minor', 'moderate', 'major'],
+            default: 'minor'
+        },
+        description: {
+            type: String,
+            trim: true
+        },
+        photoUrl: {
+            type: String
+        },
+        // Only damage found at return is charged to the customer
+        charge: {
+            type: Number,
+            default: 0,
+            min: [0, 'Damage charge cannot be negative']
+        }
+    }
+);
+
+const InspectionSchema = new Schema(
+    {
+        bookingId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "Booking",
+            required: true
+        },
+        carId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "Car",
+            required: true
+        },
+        type: {
+            type: String,
+            enum: ['handover', 'return'],
+            required: true
+        },
+        fuelLevel: {
+            type: Number,
+            required: true,
+            min: [0, 'Fuel level cannot be negative'],
+            max: [100, 'Fuel level cannot exceed 100']
+        },
+        odometer: {
+            type: Number,
+            required: true,
+            min: [0, 'Odometer reading cannot be negative']
+        },
+        checklist: {
+            type: [ChecklistItemSchema],
+            default: []
+        },
+        damages: {
+            type: [DamageSchema],
+            default: []
+        },
+        photos: {
+            type: [String],
+            default: []
+        },
+        notes: {
+            type: String,
+            trim: true
+        },
+        inspectedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "User",
+            required: true
+        }
+    },
+    {
+        timestamps: true
+    }
+);
+
+// Total of the damage charges raised on this inspection
+InspectionSchema.virtual('damageCharges').get(function() {
+    return this.damages.reduce((sum, damage) => sum + (damage.charge || 0), 0);
+});
+
+// Compare a return inspection against the handover of the same booking
+InspectionSchema.statics.compare = function(handover, returned) {
+    if (!handover || !returned) return null;
+
+    const presentAtHandover = handover.checklist
+        .filter(entry => entry.present)
+        .map(entry => entry.item);
+    const presentAtReturn = returned.checklist
+        .filter(entry => entry.present)
+        .map(entry => entry.item);
+
+    // Damage in a zone that was clean at handover is new
+    const damagedZones = handover.damages.map(damage => damage.zone);
+
+    return {
+        fuelDifference: returned.fuelLevel - handover.fuelLevel,
+        kilometersDriven: returned.odometer - handover.odometer,
+        missingItems: presentAtHandover.filter(item => !presentAtReturn.includes(item)),
+        newDamages: returned.damages.filter(damage => !damagedZones.includes(damage.zone)),
+        damageCharges: returned.damageCharges
+    };
+};
+
+InspectionSchema.statics.CHECKLIST_ITEMS = CHECKLIST_ITEMS;
+InspectionSchema.statics.DAMAGE_ZONES = DAMAGE_ZONES;
+
+InspectionSchema.index({ bookingId: 1, type: 1 }, { unique: true });
+InspectionSchema.index({ carId: 1, createdAt: -1 });
+
+const Inspection = mongoose.model("Inspection", InspectionSchema);
+
+module.exports = Inspection;
@@ -0,0 +1,131 @@
+const mongoose = require("mongoose");
+const Schema = mongoose.Schema;
+
+// A work order is scheduled, started when the car goes into the workshop and completed when it is back, or cancelled
+const STATUS_TRANSITIONS = {
+    'scheduled': ['in-progress', 'completed', 'cancelled'],
+    'in-progress': ['completed', 'cancelled'],
+    'completed': [],
+    'cancelled': []
+};
+
+// Servicing or repair work that takes a car off the road for its duration
+const MaintenanceWorkOrderSchema = new Schema(
+    {
+        carId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "Car",
+            required: true
+        },
+        // The car's maintenance plan serviced by this order, if any
+        planId: {
+            type: mongoose.Schema.Types.ObjectId
+        },
+        type: {
+            type: String,
+            enum: ['oil-change', 'tyre-rotation', 'tuning', 'repair', 'other'],
+            required: true
+        },
+        title: {
+            type: String,
+            required: true,
+            trim: true
+        },
+        description: {
+            type: String,
+            trim: true
+        },
+        // Window the car is blocked for; in-progress orders block it until completed
+        startAt: {
+            type: Date,
+            required: true
+        },
+        endAt: {
+            type: Date,
+            required: true,
+            validate: {
+                validator: function(value) {
+                    return value > this.startAt;
+                },
+                message: 'Maintenance must end after it starts'
+            }
+        },
+        status: {
+            type: String,
+            enum: Object.keys(STATUS_TRANSITIONS),
+            default: 'scheduled'
+        },
+        workshop: {
+            type: String,
+            trim: true
+        },
+        cost: {
+            type: Number,
+            min: [0, 'Cost cannot be negative']
+        },
+        // Odometer when the work was done
+        meterReading: {
+            type: Number,
+            min: [0, 'Meter reading cannot be negative']
+        },
+        expenseId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "Expense"
+        },
+        startedAt: {
+            type: Date
+        },
+        completedAt: {
+            type: Date
+        },
+        completedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "User"
+        },
+        cancelledAt: {
+            type: Date
+        },
+        cancellationReason: {
+            type: String,
+            trim: true
+        },
+        createdBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "User",
+            required: true
+        }
+    },
+    {
+        timestamps: true
+    }
+);
+
+// Statuses in which a work order keeps its car off the road
+MaintenanceWorkOrderSchema.statics.BLOCKING_STATUSES = ['scheduled', 'in-progress'];
+
+// Ids of cars (all cars when carIds is null) blocked by maintenance at some point of an interval
+MaintenanceWorkOrderSchema.statics.blockedCarIds = async function(carIds, startAt, endAt, session = null) {
+    const query = {
+        status: { $in: this.BLOCKING_STATUSES },
+        startAt: { $lt: new Date(endAt) },
+        // A car still in the workshop stays blocked past the planned end
+        $or: [{ endAt: { $gt: new Date(startAt) } }, { status: 'in-progress' }]
+    };
+    if (carIds) {
+        query.carId = { $in: carIds };
+    }
+
+    const workOrders = await this.find(query).session(session);
+    return new Set(workOrders.map(workOrder => workOrder.carId.toString()));
+};
+
+MaintenanceWorkOrderSchema.methods.canTransitionTo = function(status) {
+    return (STATUS_TRANSITIONS[this.status] || []).includes(status);
+};
+
+MaintenanceWorkOrderSchema.index({ carId: 1, status: 1, startAt: 1 });
+MaintenanceWorkOrderSchema.index({ status: 1, startAt: 1 });
+
+const MaintenanceWorkOrder = mongoose.model("MaintenanceWorkOrder", MaintenanceWorkOrderSchema);
+
+module.exports = MaintenanceWorkOrder;
@@ -0,0 +1,55 @@
+const mongoose = require("mongoose");
+const Schema = mongoose.Schema;
+
+// A task for staff, such as calling back a waitlisted customer
+const NotificationSchema = new Schema(
+    {
+        type: {
+            type: String,
+            enum: ['waitlist-match'],
+            required: true
+        },
+        message: {
+            type: String,
+            required: true,
+            trim: true
+        },
+        waitlistEntryId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "WaitlistEntry"
+        },
+        customerId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "Customer"
+        },
+        bookingId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "Booking"
+        },
+        status: {
+            type: String,
+            enum: ['open', 'done'],
+            default: 'open'
+        },
+        outcome: {
+            type: String,
+            trim: true
+        },
+        handledAt: {
+            type: Date
+        },
+        handledBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "User"
+        }
+    },
+    {
+        timestamps: true
+    }
+);
+
+NotificationSchema.index({ status: 1, createdAt: -1 });
+
+const Notification = mongoose.model("Notification", NotificationSchema);
+
+module.exports = Notification;
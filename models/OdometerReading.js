@@ -0,0 +1,116 @@
+const mongoose = require("mongoose");
+const Schema = mongoose.Schema;
+
+// A car's odometer as read at handover, return, inspection or service; readings never go backwards
+const OdometerReadingSchema = new Schema(
+    {
+        carId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "Car",
+            required: true
+        },
+        reading: {
+            type: Number,
+            required: true,
+            min: [0, 'Odometer reading cannot be negative'],
+            validate: {
+                validator: async function(value) {
+                    if (!this.isNew) return true;
+                    const last = await this.constructor.lastReading(this.carId, this.$session());
+                    return last === null || value >= last;
+                },
+                message: props => `Odometer reading ${props.value} is below the car's last recorded reading`
+            }
+        },
+        recordedAt: {
+            type: Date,
+            default: Date.now
+        },
+        source: {
+            type: String,
+            enum: ['booking-start', 'booking-end', 'inspection', 'maintenance'],
+            required: true
+        },
+        bookingId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "Booking"
+        },
+        inspectionId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "Inspection"
+        },
+        workOrderId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "MaintenanceWorkOrder"
+        },
+        recordedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "User"
+        }
+    },
+    {
+        timestamps: true
+    }
+);
+
+// The highest reading recorded for a car, or null before its first
+OdometerReadingSchema.statics.lastReading = async function(carId, session = null) {
+    const last = await this.findOne({ carId }).sort({ reading: -1 }).session(session);
+    return last ? last.reading : null;
+};
+
+// Why a new reading cannot be accepted for a car; null if it can
+OdometerReadingSchema.statics.checkReading = async function(carId, reading, session = null) {
+    const last = await this.lastReading(carId, session);
+    if (last !== null && Number(reading) < last) {
+        return `Meter reading cannot be less than the car's last reading of ${last} km`;
+    }
+    return null;
+};
+
+// Log the readings of trips made before the odometer log existed, for cars with no log yet
+OdometerReadingSchema.statics.backfillFromBookings = async function() {
+    const Booking = mongoose.model('Booking');
+    const loggedCarIds = await this.distinct('carId');
+
+    const bookings = await Booking.find({
+        carId: { $nin: loggedCarIds, $ne: null },
+        status: { $in: ['in-progress', 'completed'] }
+    }).sort({ startAt: 1 });
+
+    const readings = [];
+    for (const booking of bookings) {
+        if (booking.meterReading != null) {
+            readings.push({
+                carId: booking.carId,
+                reading: booking.meterReading,
+                recordedAt: booking.startedAt || booking.startAt,
+                source: 'booking-start',
+                bookingId: booking._id
+            });
+        }
+        if (booking.finalMeterReading != null) {
+            readings.push({
+                carId: booking.carId,
+                reading: booking.finalMeterReading,
+                recordedAt: booking.completedAt || booking.endAt,
+                source: 'booking-end',
+                bookingId: booking._id
+            });
+        }
+    }
+
+    // Historic readings are logged as they were, even where they went backwards
+    if (readings.length > 0) {
+        await this.insertMany(readings, { lean: true });
+    }
+
+    return readings.length;
+};
+
+OdometerReadingSchema.index({ carId: 1, reading: -1 });
+OdometerReadingSchema.index({ carId: 1, recordedAt: 1 });
+
+const OdometerReading = mongoose.model("OdometerReading", OdometerReadingSchema);
+
+module.exports = OdometerReading;
@@ -0,0 +1,125 @@
+const mongoose = require("mongoose");
+const Schema = mongoose.Schema;
+
+const RateCardSchema = new Schema(
+    {
+        model: {
+            type: String,
+            required: true,
+            trim: true
+        },
+        // Empty variant means the rate applies to every variant of the model
+        variant: {
+            type: String,
+            trim: true,
+            default: ''
+        },
+        withinCityDailyRate: {
+            type: Number,
+            required: true,
+            min: [0, 'Daily rate cannot be negative']
+        },
+        outOfCityDailyRate: {
+            type: Number,
+            required: true,
+            min: [0, 'Daily rate cannot be negative']
+        },
+        kmAllowancePerDay: {
+            type: Number,
+            default: 0,
+            min: [0, 'Kilometer allowance cannot be negative']
+        },
+        perKmOverage: {
+            type: Number,
+            default: 0,
+            min: [0, 'Per kilometer overage cannot be negative']
+        },
+        driverFeePerDay: {
+            type: Number,
+            default: 0,
+            min: [0, 'Driver fee cannot be negative']
+        },
+        nightStayAllowance: {
+            type: Number,
+            default: 0,
+            min: [0, 'Night stay allowance cannot be negative']
+        },
+        active: {
+            type: Boolean,
+            default: true
+        },
+        createdBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "User",
+            required: true
+        }
+    },
+    {
+        timestamps: true
+    }
+);
+
+// Find the rate card for a car, preferring one specific to its variant
+RateCardSchema.statics.findForCar = async function(car) {
+    const rateCards = await this.find({
+        model: car.model,
+        variant: { $in: [car.variant || '', ''] },
+        active: true
+    });
+
+    return rateCards.find(rateCard => car.variant && rateCard.variant === car.variant)
+        || rateCards.find(rateCard => rateCard.variant === '')
+        || null;
+};
+
+// Compute an itemized price for a trip
+RateCardSchema.methods.quote = function({ startDate, endDate, tripType, driverPreference, kilometers }) {
+    const start = new Date(startDate);
+    const end = new Date(endDate);
+    const dayInMs = 1000 * 60 * 60 * 24;
+
+    const days = Math.max(1, Math.ceil((end - start) / dayInMs));
+
+    // Nights away are the calendar dates crossed between start and end
+    const startDay = new Date(start.getFullYear(), start.getMonth(), start.getDate());
+    const endDay = new Date(end.getFullYear(), end.getMonth(), end.getDate());
+    const nights = tripType === 'outofcity'
+        ? Math.max(0, Math.round((endDay - startDay) / dayInMs))
+        : 0;
+
+    const withDriver = driverPreference === 'driver';
+    const dailyRate = tripType === 'outofcity' ? this.outOfCityDailyRate : this.withinCityDailyRate;
+
+    const rentalCharge = days * dailyRate;
+    const driverCharge = withDriver ? days * this.driverFeePerDay : 0;
+    const nightStayCharge = withDriver ? nights * this.nightStayAllowance : 0;
+
+    const kilometerAllowance = days * this.kmAllowancePerDay;
+    const kilometersDriven = kilometers != null ? Number(kilometers) : null;
+    const extraKilometers = kilometersDriven != null && this.kmAllowancePerDay > 0
+        ? Math.max(0, kilometersDriven - kilometerAllowance)
+        : 0;
+    const overageCharge = extraKilometers * this.perKmOverage;
+
+    return {
+        rateCardId: this._id,
+        days,
+        nights,
+        dailyRate,
+        rentalCharge,
+        driverCharge,
+        nightStayCharge,
+        kilometerAllowance,
+        kilometersDriven,
+        extraKilometers,
+        perKmOverage: this.perKmOverage,
+        overageCharge,
+        total: rentalCharge + driverCharge + nightStayCharge + overageCharge
+    };
+};
+
+RateCardSchema.index({ model: 1, variant: 1 });
+
+const RateCard = mongoose.model("RateCard", RateCardSchema);
+
+module.exports = RateCard;
@@ -0,0 +1,398 @@
+const mongoose = require("mongoose");
+const Schema = mongoose.Schema;
+const { envNumber } = require("../utils/env");
+
+const DAY_IN_MS = 1000 * 60 * 60 * 24;
+
+const startOfDay = (date) => {
+    const day = new Date(date);
+    day.setHours(0, 0, 0, 0);
+    return day;
+};
+
+// How a series repeats; each occurrence lasts durationDays calendar days
+const ScheduleSchema = new Schema(
+    {
+        frequency: {
+            type: String,
+            enum: ['daily', 'weekdays', 'weekly', 'monthly'],
+            required: true
+        },
+        // Days of the week (0 = Sunday) for weekly series
+        daysOfWeek: {
+            type: [{ type: Number, min: 0, max: 6 }],
+            default: []
+        },
+        startDate: {
+            type: Date,
+            required: true
+        },
+        endDate: {
+            type: Date
+        },
+        durationDays: {
+            type: Number,
+            default: 1,
+            min: [1, 'An occurrence lasts at least one day']
+        }
+    },
+    { _id: false }
+);
+
+// An occurrence that could not be booked
+const ConflictSchema = new Schema(
+    {
+        startDate: {
+            type: Date,
+            required: true
+        },
+        reason: {
+            type: String,
+            required: true
+        },
+        detectedAt: {
+            type: Date,
+            default: Date.now
+        }
+    },
+    { _id: false }
+);
+
+const RecurringBookingSchema = new Schema(
+    {
+        customerId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "Customer",
+            required: true
+        },
+        companyName: {
+            type: String,
+            trim: true
+        },
+        // Either a specific car or any available car of a model
+        carId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "Car"
+        },
+        carModel: {
+            type: String,
+            trim: true,
+            required: function() {
+                return !this.carId;
+            }
+        },
+        driverPreference: {
+            type: String,
+            enum: ['driver', 'self'],
+            required: true
+        },
+        driverId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "Driver",
+            required: function() {
+                return this.driverPreference === 'driver';
+            }
+        },
+        customerLicenseNumber: {
+            type: String,
+            trim: true
+        },
+        tripType: {
+            type: String,
+            enum: ['withincity', 'outofcity'],
+            required: true
+        },
+        cityName: {
+            type: String,
+            trim: true,
+            required: function() {
+                return this.tripType === 'outofcity';
+            }
+        },
+        tripStartTime: {
+            type: String,
+            required: true,
+            match: [/^([01]?[0-9]|2[0-3]):[0-5][0-9]$/, 'Trip start time must be in HH:mm format']
+        },
+        tripEndTime: {
+            type: String,
+            match: [/^([01]?[0-9]|2[0-3]):[0-5][0-9]$/, 'Trip end time must be in HH:mm format']
+        },
+        tripDescription: {
+            type: String,
+            trim: true
+        },
+        schedule: {
+            type: ScheduleSchema,
+            required: true
+        },
+        // Agreed price of each occurrence
+        ratePerOccurrence: {
+            type: Number,
+            required: true,
+            min: [0, 'Rate cannot be negative']
+        },
+        status: {
+            type: String,
+            enum: ['active', 'cancelled'],
+            default: 'active'
+        },
+        // Occurrences up to this day have been generated
+        generatedUntil: {
+            type: Date
+        },
+        conflicts: {
+            type: [ConflictSchema],
+            default: []
+        },
+        cancellationReason: {
+            type: String,
+            trim: true
+        },
+        cancelledAt: {
+            type: Date
+        },
+        cancelledBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "User"
+        },
+        createdBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "User",
+            required: true
+        }
+    },
+    {
+        timestamps: true
+    }
+);
+
+// How far ahead occurrences are turned into bookings
+RecurringBookingSchema.statics.generationWindowMs = function() {
+    return envNumber('RECURRING_GENERATE_DAYS', 14) * DAY_IN_MS;
+};
+
+// Whether the series has an occurrence starting on the given day
+RecurringBookingSchema.methods.occursOn = function(day) {
+    const { frequency, daysOfWeek, startDate } = this.schedule;
+
+    if (frequency === 'daily') return true;
+    if (frequency === 'weekdays') return day.getDay() >= 1 && day.getDay() <= 5;
+    if (frequency === 'weekly') return daysOfWeek.includes(day.getDay());
+
+    // Monthly series fall on the last day of months shorter than the start date
+    const lastDayOfMonth = new Date(day.getFullYear(), day.getMonth() + 1, 0).getDate();
+    return day.getDate() === Math.min(new Date(startDate).getDate(), lastDayOfMonth);
+};
+
+// Start and end dates of the occurrences starting between two days
+RecurringBookingSchema.methods.occurrencesBetween = function(from, to) {
+    const { startDate, endDate, durationDays } = this.schedule;
+    const first = startOfDay(Math.max(new Date(from), new Date(startDate)));
+    const last = startOfDay(endDate ? Math.min(new Date(to), new Date(endDate)) : to);
+
+    const occurrences = [];
+    for (let day = first; day <= last; day = new Date(day.getFullYear(), day.getMonth(), day.getDate() + 1)) {
+        if (this.occursOn(day)) {
+            occurrences.push({
+                startDate: day,
+                endDate: new Date(day.getFullYear(), day.getMonth(), day.getDate() + durationDays - 1)
+            });
+        }
+    }
+    return occurrences;
+};
+
+// Book one occurrence, returning the booking or the reason it could not be booked
+RecurringBookingSchema.methods.bookOccurrence = async function({ startDate, endDate }) {
+    const Booking = mongoose.model('Booking');
+    const BookingHistory = mongoose.model('BookingHistory');
+    const Car = mongoose.model('Car');
+    const Driver = mongoose.model('Driver');
+    const DepositRate = mongoose.model('DepositRate');
+
+    const { startAt, endAt } = Booking.intervalFor({
+        startDate,
+        endDate,
+        tripStartTime: this.tripStartTime,
+        tripEndTime: this.tripEndTime
+    });
+
+    if (this.driverPreference === 'driver') {
+        const driver = await Driver.findById(this.driverId);
+        if (!driver) {
+            return { conflict: "Driver no longer exists" };
+        }
+        const reason = driver.unavailabilityReason(startAt, endAt);
+        if (reason) return { conflict: reason };
+    }
+
+    const cars = this.carId
+        ? await Car.find({ _id: this.carId, deleted: false })
+        : await Car.find({ model: this.carModel, deleted: false });
+    if (cars.length === 0) {
+        return { conflict: "No car of the requested model is in the fleet" };
+    }
+
+    const driverId = this.driverPreference === 'driver' ? this.driverId : null;
+    let booking = null;
+    let conflict = null;
+
+    for (const car of cars) {
+        const documentReason = this.tripType === 'outofcity' && car.documentExpiryReason(endAt);
+        if (documentReason) {
+            conflict = documentReason;
+            continue;
+        }
+
+        // The trip starts from the car's last recorded reading
+        const lastReading = await mongoose.model('OdometerReading').lastReading(car._id);
+        const securityDepositRequired = this.driverPreference === 'self'
+            ? await DepositRate.requiredFor(car)
+            : 0;
+
+        const session = await mongoose.startSession();
+        try {
+            await session.withTransaction(async () => {
+                booking = null;
+                conflict = null;
+
+                await Booking.lockResources({ carId: car._id, driverId }, session);
+
+                if (!(await Booking.checkAvailability(car._id, startAt, endAt, null, session))) {
+                    conflict = "Car is not available";
+                    return;
+                }
+
+                if (driverId && !(await Booking.checkDriverAvailability(driverId, startAt, endAt, null, session))) {
+                    conflict = "Driver is already assigned to another trip";
+                    return;
+                }
+
+                booking = new Booking({
+                    carId: car._id,
+                    driverId: driverId || undefined,
+                    customerId: this.customerId,
+                    recurringBookingId: this._id,
+                    tripType: this.tripType,
+                    cityName: this.cityName,
+                    startDate,
+                    endDate,
+                    tripStartTime: this.tripStartTime,
+                    tripEndTime: this.tripEndTime,
+                    startAt,
+                    endAt,
+                    tripDescription: this.tripDescription,
+                    driverPreference: this.driverPreference,
+                    customerLicenseNumber: this.driverPreference === 'self' ? this.customerLicenseNumber : undefined,
+                    meterReading: lastReading ?? 0,
+                    totalBill: this.ratePerOccurrence,
+                    advancePaid: 0,
+                    bookedBy: this.createdBy,
+                    status: 'confirmed',
+                    confirmedAt: new Date(),
+                    confirmedBy: this.createdBy,
+                    securityDepositRequired,
+                    securityDepositStatus: securityDepositRequired > 0 ? 'pending' : 'not-required'
+                });
+
+                await booking.save({ session });
+
+                await BookingHistory.record({
+                    booking,
+                    action: 'create',
+                    changedBy: this.createdBy,
+                    note: 'Generated from recurring booking',
+                    session
+                });
+            });
+        } finally {
+            await session.endSession();
+        }
+
+        if (booking) return { booking };
+    }
+
+    return { conflict };
+};
+
+// Generate bookings for the occurrences inside the generation window
+RecurringBookingSchema.methods.generate = async function(until = new Date(Date.now() + this.constructor.generationWindowMs())) {
+    // Past days are never booked, even for a series backdated on creation
+    const from = new Date(Math.max(
+        startOfDay(new Date()),
+        this.generatedUntil
+            ? startOfDay(this.generatedUntil).getTime() + DAY_IN_MS
+            : new Date(this.schedule.startDate)
+    ));
+
+    const created = [];
+    const conflicts = [];
+
+    if (this.status !== 'active') return { created, conflicts };
+
+    // Claim the window before booking it, so a concurrent run for the series finds it taken
+    const claimed = await this.constructor.findOneAndUpdate(
+        { _id: this._id, status: 'active', generatedUntil: this.generatedUntil ?? null },
+        { $set: { generatedUntil: startOfDay(until) } },
+        { new: true }
+    );
+    if (!claimed) return { created, conflicts };
+    this.generatedUntil = claimed.generatedUntil;
+
+    // The window is already claimed, so an occurrence that fails is reported rather than retried
+    for (const occurrence of this.occurrencesBetween(from, until)) {
+        try {
+            const result = await this.bookOccurrence(occurrence);
+            if (result.booking) {
+                created.push(result.booking);
+            } else {
+                conflicts.push({ startDate: occurrence.startDate, reason: result.conflict });
+            }
+        } catch (error) {
+            console.error("Error booking recurring occurrence:", error);
+            conflicts.push({ startDate: occurrence.startDate, reason: `Booking failed: ${error.message}` });
+        }
+    }
+
+    if (conflicts.length > 0) {
+        await this.constructor.updateOne({ _id: this._id }, { $push: { conflicts: { $each: conflicts } } });
+        this.conflicts.push(...conflicts);
+    }
+
+    return { created, conflicts };
+};
+
+// Scheduled job: top up every active series
+RecurringBookingSchema.statics.generateUpcoming = async function() {
+    const series = await this.find({
+        status: 'active',
+        $or: [
+            { 'schedule.endDate': { $exists: false } },
+            { 'schedule.endDate': null },
+            { 'schedule.endDate': { $gte: startOfDay(new Date()) } }
+        ]
+    });
+
+    let created = 0;
+    let conflicts = 0;
+    // One series failing does not hold up the others
+    for (const recurringBooking of series) {
+        try {
+            const result = await recurringBooking.generate();
+            created += result.created.length;
+            conflicts += result.conflicts.length;
+        } catch (error) {
+            console.error(`Error generating recurring booking ${recurringBooking._id}:`, error);
+        }
+    }
+
+    return { created, conflicts };
+};
+
+RecurringBookingSchema.index({ status: 1 });
+RecurringBookingSchema.index({ customerId: 1 });
+
+const RecurringBooking = mongoose.model("RecurringBooking", RecurringBookingSchema);
+
+module.exports = RecurringBooking;
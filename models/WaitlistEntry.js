@@ -0,0 +1,169 @@
+const mongoose = require("mongoose");
+const Schema = mongoose.Schema;
+
+// Higher priorities are offered freed cars first
+const PRIORITIES = ['low', 'normal', 'high'];
+
+// A customer waiting for a car of a fully booked model; matched entries are called back by staff
+const STATUS_TRANSITIONS = {
+    'waiting': ['matched', 'booked', 'cancelled'],
+    'matched': ['waiting', 'booked', 'cancelled'],
+    'booked': [],
+    'cancelled': []
+};
+
+const WaitlistEntrySchema = new Schema(
+    {
+        // Walk-in customers may not be on file yet
+        customerId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "Customer"
+        },
+        customerName: {
+            type: String,
+            required: true,
+            trim: true
+        },
+        phoneNumber: {
+            type: String,
+            required: true,
+            trim: true,
+            match: [/^[0-9]{11}$/, 'Please enter a valid phone number']
+        },
+        carModel: {
+            type: String,
+            required: true,
+            trim: true
+        },
+        carColor: {
+            type: String,
+            trim: true
+        },
+        carVariant: {
+            type: String,
+            trim: true
+        },
+        startAt: {
+            type: Date,
+            required: true
+        },
+        endAt: {
+            type: Date,
+            required: true,
+            validate: {
+                validator: function(value) {
+                    return value > this.startAt;
+                },
+                message: 'Waitlist period must end after it starts'
+            }
+        },
+        priority: {
+            type: String,
+            enum: PRIORITIES,
+            default: 'normal'
+        },
+        notes: {
+            type: String,
+            trim: true
+        },
+        status: {
+            type: String,
+            enum: Object.keys(STATUS_TRANSITIONS),
+            default: 'waiting'
+        },
+        // Booking whose cancellation or shortening freed the car
+        matchedBookingId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "Booking"
+        },
+        matchedAt: {
+            type: Date
+        },
+        // Booking made for the customer once they were called back
+        bookingId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "Booking"
+        },
+        closedAt: {
+            type: Date
+        },
+        closedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "User"
+        },
+        createdBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "User",
+            required: true
+        }
+    },
+    {
+        timestamps: true
+    }
+);
+
+WaitlistEntrySchema.statics.PRIORITIES = PRIORITIES;
+
+WaitlistEntrySchema.statics.STATUSES = Object.keys(STATUS_TRANSITIONS);
+
+WaitlistEntrySchema.methods.canTransitionTo = function(status) {
+    return (STATUS_TRANSITIONS[this.status] || []).includes(status);
+};
+
+// Offer a car freed by a cancelled or shortened booking to the first waiting customer it can serve,
+// by priority then by how long they have waited, and raise a call-back notification for staff
+WaitlistEntrySchema.statics.matchFreedBooking = async function(booking) {
+    const Booking = mongoose.model('Booking');
+    const Notification = mongoose.model('Notification');
+
+    const carModel = booking.carModel
+        || (await mongoose.model('Car').findById(booking.carId))?.model;
+    if (!carModel) return null;
+
+    const entries = await this.find({
+        carModel,
+        status: 'waiting',
+        startAt: { $lt: booking.endAt },
+        endAt: { $gt: booking.startAt }
+    }).sort({ createdAt: 1 });
+
+    entries.sort((a, b) => PRIORITIES.indexOf(b.priority) - PRIORITIES.indexOf(a.priority));
+
+    for (const entry of entries) {
+        const available = await Booking.hasModelCapacity({
+            carModel,
+            carColor: entry.carColor,
+            carVariant: entry.carVariant,
+            startAt: entry.startAt,
+            endAt: entry.endAt
+        });
+        if (!available) continue;
+
+        // Skip entries matched or closed by a concurrent request
+        const matched = await this.findOneAndUpdate(
+            { _id: entry._id, status: 'waiting' },
+            { $set: { status: 'matched', matchedBookingId: booking._id, matchedAt: new Date() } },
+            { new: true }
+        );
+        if (!matched) continue;
+
+        await Notification.create({
+            type: 'waitlist-match',
+            message: `A ${carModel} is now free from ${matched.startAt.toLocaleString()} to ${matched.endAt.toLocaleString()}. Call ${matched.customerName} on ${matched.phoneNumber}.`,
+            waitlistEntryId: matched._id,
+            customerId: matched.customerId,
+            bookingId: booking._id
+        });
+
+        return matched;
+    }
+
+    return null;
+};
+
+WaitlistEntrySchema.index({ carModel: 1, status: 1, startAt: 1 });
+WaitlistEntrySchema.index({ customerId: 1 });
+
+const WaitlistEntry = mongoose.model("WaitlistEntry", WaitlistEntrySchema);
+
+module.exports = WaitlistEntry;
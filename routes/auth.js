@@ -289,4 +289,8 @@ router.post('/check-token', async (req, res) => {
     }
 });
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
+
+// Shared with routes that take their own uploads
+module.exports.upload = upload;
+module.exports.uploadFile = uploadFile;
@@ -1,16 +1,53 @@
 const express = require("express");
+const mongoose = require("mongoose");
 const router = express.Router();
 const Booking = require("../models/Booking");
 const Car = require("../models/Car");
 const Driver = require("../models/Driver");
 const auth = require("../middleware/auth");
+const { roleOf } = require("../middleware/permissions");
 const Customer = require("../models/Customer");
+const CancellationPolicy = require("../models/CancellationPolicy");
+const RateCard = require("../models/RateCard");
+const BookingHistory = require("../models/BookingHistory");
+const Counter = require("../models/Counter");
+const Inspection = require("../models/Inspection");
+const DepositRate = require("../models/DepositRate");
+const WaitlistEntry = require("../models/WaitlistEntry");
+const OdometerReading = require("../models/OdometerReading");
+const PDFDocument = require('pdfkit');
+
+// Error thrown inside a transaction that is reported to the client as is
+const requestError = (statusCode, message) => {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+};
+
+// Why a bill set by hand in place of the rate card price is refused; null if it is accepted.
+// Only admins may override a bill, with a reason and a non-negative amount
+const billOverrideError = (user, amount, reason) => {
+    if (roleOf(user) !== 'admin') {
+        return requestError(403, "Only admins can override the bill");
+    }
+    if (!reason) {
+        return requestError(400, "A reason is required when overriding the bill");
+    }
+    if (amount === undefined || amount === '' || isNaN(Number(amount)) || Number(amount) < 0) {
+        return requestError(400, "The overridden bill must be a positive number");
+    }
+    return null;
+};
 
 // Create a new booking
 router.post("/", auth, async (req, res) => {
     try {
         const {
             carId,
+            carModel,
+            carColor,
+            carVariant,
+            allocationStrategy,
             driverId,
             tripType,
             cityName,
@@ -26,45 +63,84 @@ router.post("/", auth, async (req, res) => {
             careOf,
             idCardNumber,
             tripStartTime,
+            tripEndTime,
             tripDescription,
             driverPreference,
-            customerLicenseNumber
+            customerLicenseNumber,
+            paymentMethod,
+            paymentReference,
+            billOverrideReason,
+            hold
         } = req.body;
 
-        // Validate required fields
-        if (!carId || !tripType || !startDate || !endDate || 
-            !meterReading || !totalBill || !advancePaid || 
+        // A tentative hold can be placed before any advance is paid
+        const isHold = hold === true || hold === 'true';
+
+        // Validate required fields; a booking names either a car or a model to allocate one from
+        if ((!carId && !carModel) || !tripType || !startDate || !endDate || 
+            (carId && !meterReading) || (!advancePaid && !isHold) || 
             !customerName || !cellNumber || !idCardNumber ||
             !tripStartTime || !driverPreference) {
             return res.status(400).json({ error: "All required fields must be provided" });
         }
 
-        // Validate if car exists
-        const car = await Car.findById(carId);
-        if (!car) {
-            return res.status(404).json({ error: "Car not found" });
+        if (allocationStrategy && !Booking.ALLOCATION_STRATEGIES.includes(allocationStrategy)) {
+            return res.status(400).json({
+                error: `Allocation strategy must be one of: ${Booking.ALLOCATION_STRATEGIES.join(', ')}`
+            });
         }
 
+        // Validate the car exists, or that the model has cars matching the requested color and variant
+        let car;
+        if (carId) {
+            car = await Car.findById(carId);
+            if (!car) {
+                return res.status(404).json({ error: "Car not found" });
+            }
+            if (car.status && car.status !== 'active') {
+                return res.status(400).json({ error: `Car is ${car.status} and cannot be booked` });
+            }
+        } else {
+            const modelCars = await Car.find({ model: carModel, deleted: false });
+            car = modelCars.find(modelCar => Booking.matchesSpec(modelCar, { carColor, carVariant }));
+            if (!car) {
+                return res.status(404).json({ error: "No car of this model matches the requested color and variant" });
+            }
+        }
+
+        // Self-drive bookings carry a security deposit decided by the car's category
+        const securityDepositRequired = driverPreference === 'self' ? await DepositRate.requiredFor(car) : 0;
+
         // Validate driver if driver preference is 'driver'
+        let driver = null;
         if (driverPreference === 'driver') {
             if (!driverId) {
                 return res.status(400).json({ error: "Driver ID is required when driver preference is 'driver'" });
             }
-            const driver = await Driver.findById(driverId);
+            driver = await Driver.findById(driverId);
             if (!driver) {
                 return res.status(404).json({ error: "Driver not found" });
             }
         }
 
-        // Check if the car is available for the selected dates
-        const isCarAvailable = await Booking.checkAvailability(
-            carId,
-            new Date(startDate),
-            new Date(endDate)
-        );
+        // Check if the car is available for the exact trip interval
+        const { startAt, endAt } = Booking.intervalFor({
+            startDate: new Date(startDate),
+            endDate: new Date(endDate),
+            tripStartTime,
+            tripEndTime
+        });
+
+        if (endAt <= startAt) {
+            return res.status(400).json({ error: "Trip must end after it starts" });
+        }
 
-        if (!isCarAvailable) {
-            return res.status(400).json({ error: "Car is not available for selected dates" });
+        // Make sure the driver is not on leave or off duty
+        if (driver) {
+            const reason = driver.unavailabilityReason(startAt, endAt);
+            if (reason) {
+                return res.status(400).json({ error: reason });
+            }
         }
 
         // Validate city name for out-of-city trips
@@ -72,66 +148,170 @@ router.post("/", auth, async (req, res) => {
             return res.status(400).json({ error: "City name is required for out-of-city trips" });
         }
 
-        // Find or create customer
-        let customer = await Customer.findOne({
-            $or: [
-                { phoneNumber: cellNumber },
-                { idCardNumber }
-            ]
-        });
+        const bookingTripType = tripType === "out-of-city" ? "outofcity" : "withincity";
 
-        if (!customer) {
-            customer = new Customer({
-                fullName: customerName,
-                phoneNumber: cellNumber,
-                careOf: careOf,
-                idCardNumber,
-                bookingCount: 1,
-                lastBookingDate: new Date()
-            });
-        } else {
-            customer.bookingCount += 1;
-            customer.lastBookingDate = new Date();
-            if (customer.fullName !== customerName) {
-                customer.fullName = customerName;
+        // Out-of-city trips need the car's insurance and registration in force until it is back
+        if (carId && bookingTripType === 'outofcity') {
+            const reason = car.documentExpiryReason(endAt);
+            if (reason) {
+                return res.status(400).json({ error: reason });
+            }
+        }
+
+        if (carId) {
+            const readingError = await OdometerReading.checkReading(carId, meterReading);
+            if (readingError) {
+                return res.status(400).json({ error: readingError });
+            }
+        }
+
+        // Price the booking from the car's rate card unless a manual bill is justified
+        let billBreakdown;
+        let bookingTotal;
+        if (billOverrideReason) {
+            const overrideError = billOverrideError(req.user, totalBill, billOverrideReason);
+            if (overrideError) {
+                return res.status(overrideError.statusCode).json({ error: overrideError.message });
             }
-            if (customer.careOf != careOf){
-                customer.careOf = careOf;
+            bookingTotal = Number(totalBill);
+        } else {
+            const rateCard = await RateCard.findForCar(carId ? car : { model: carModel, variant: carVariant });
+            if (!rateCard) {
+                return res.status(400).json({ 
+                    error: "No rate card found for this car. Provide a total bill with an override reason" 
+                });
             }
+            billBreakdown = rateCard.quote({
+                startDate,
+                endDate,
+                tripType: bookingTripType,
+                driverPreference
+            });
+            bookingTotal = billBreakdown.total;
         }
 
-        await customer.save();
+        // Reserve the car and driver, then write the customer, booking and driver atomically
+        let customer;
+        let newBooking;
+        const session = await mongoose.startSession();
+        try {
+            await session.withTransaction(async () => {
+                await Booking.lockResources({
+                    carId,
+                    carModel: car.model,
+                    driverId: driverPreference === 'driver' ? driverId : null
+                }, session);
+
+                // Check if the car, or a car of the model, is available for the exact trip interval
+                const isCarAvailable = carId
+                    ? await Booking.checkAvailability(carId, startAt, endAt, null, session)
+                    : await Booking.hasModelCapacity({ carModel, carColor, carVariant, startAt, endAt, session });
+
+                if (!isCarAvailable) {
+                    throw requestError(400, carId
+                        ? "Car is not available for selected dates"
+                        : `No ${carModel} is available for selected dates`);
+                }
 
-        // Create new booking
-        const newBooking = new Booking({
-            carId,
-            driverId: driverPreference === 'driver' ? driverId : undefined,
-            tripType: tripType === "out-of-city" ? "outofcity" : "withincity",
-            cityName: tripType === "out-of-city" ? cityName : undefined,
-            startDate: new Date(startDate),
-            endDate: new Date(endDate),
-            meterReading: Number(meterReading),
-            totalBill: Number(totalBill),
-            advancePaid: Number(advancePaid),
-            discountPercentage: Number(discountPercentage || 0),
-            discountReference: discountPercentage > 0 ? discountReference : undefined,
-            customerId: customer._id,
-            bookedBy: req.user.id,
-            status: 'active',
-            tripStartTime,
-            tripDescription,
-            driverPreference,
-            customerLicenseNumber: driverPreference === 'self' ? customerLicenseNumber : undefined
-        });
+                // Check the driver has no other trip during the interval
+                if (driverPreference === 'driver') {
+                    const isDriverAvailable = await Booking.checkDriverAvailability(driverId, startAt, endAt, null, session);
+                    if (!isDriverAvailable) {
+                        throw requestError(400, "Driver is already assigned to another trip during the selected dates");
+                    }
+                }
 
-        // Save the booking
-        await newBooking.save();
+                // Find or create customer
+                customer = await Customer.findOne({
+                    $or: [
+                        { phoneNumber: cellNumber },
+                        { idCardNumber }
+                    ]
+                }).session(session);
+
+                if (!customer) {
+                    customer = new Customer({
+                        fullName: customerName,
+                        phoneNumber: cellNumber,
+                        careOf: careOf,
+                        idCardNumber,
+                        bookingCount: 1,
+                        lastBookingDate: new Date()
+                    });
+                } else {
+                    customer.bookingCount += 1;
+                    customer.lastBookingDate = new Date();
+                    if (customer.fullName !== customerName) {
+                        customer.fullName = customerName;
+                    }
+                    if (customer.careOf != careOf){
+                        customer.careOf = careOf;
+                    }
+                }
 
-        // Update driver availability if driver is assigned
-        if (driverPreference === 'driver') {
-            await Driver.findByIdAndUpdate(driverId, { 
-                available: false 
+                await customer.save({ session });
+
+                // Create new booking
+                newBooking = new Booking({
+                    carId: carId || undefined,
+                    carModel: carId ? undefined : carModel,
+                    carColor: carId ? undefined : carColor,
+                    carVariant: carId ? undefined : carVariant,
+                    allocationStrategy: carId ? undefined : (allocationStrategy || Booking.defaultAllocationStrategy()),
+                    driverId: driverPreference === 'driver' ? driverId : undefined,
+                    tripType: bookingTripType,
+                    cityName: tripType === "out-of-city" ? cityName : undefined,
+                    startDate: new Date(startDate),
+                    endDate: new Date(endDate),
+                    meterReading: carId ? Number(meterReading) : undefined,
+                    totalBill: bookingTotal,
+                    billBreakdown,
+                    billOverrideReason: billOverrideReason || undefined,
+                    billOverriddenBy: billOverrideReason ? req.user.id : undefined,
+                    advancePaid: Number(advancePaid || 0),
+                    discountPercentage: Number(discountPercentage || 0),
+                    discountReference: discountPercentage > 0 ? discountReference : undefined,
+                    customerId: customer._id,
+                    bookedBy: req.user.id,
+                    status: isHold ? 'pending' : 'confirmed',
+                    holdExpiresAt: isHold ? new Date(Date.now() + Booking.holdDurationMs()) : undefined,
+                    confirmedAt: isHold ? undefined : new Date(),
+                    confirmedBy: isHold ? undefined : req.user.id,
+                    tripStartTime,
+                    tripEndTime,
+                    startAt,
+                    endAt,
+                    tripDescription,
+                    driverPreference,
+                    customerLicenseNumber: driverPreference === 'self' ? customerLicenseNumber : undefined,
+                    securityDepositRequired,
+                    securityDepositStatus: securityDepositRequired > 0 ? 'pending' : 'not-required',
+                    payments: Number(advancePaid) > 0 ? [{
+                        amount: Number(advancePaid),
+                        type: 'advance',
+                        method: paymentMethod || 'cash',
+                        reference: paymentReference,
+                        receivedBy: req.user.id
+                    }] : []
+                });
+
+                // Confirmed model-level bookings may take their car straight away
+                if (!carId && !isHold && Booking.allocatesOnConfirmation()) {
+                    await newBooking.allocateCar({ allocatedBy: req.user.id, session });
+                }
+
+                // Save the booking
+                await newBooking.save({ session });
+
+                await BookingHistory.record({
+                    booking: newBooking,
+                    action: 'create',
+                    changedBy: req.user.id,
+                    session
+                });
             });
+        } finally {
+            await session.endSession();
         }
 
         // Return the created booking
@@ -139,16 +319,26 @@ router.post("/", auth, async (req, res) => {
             message: "Booking created successfully",
             booking: {
                 id: newBooking._id,
-                carId: newBooking.carId,
+                carId: newBooking.carId || null,
+                carModel: newBooking.carModel || car.model,
+                carColor: newBooking.carColor || null,
+                carVariant: newBooking.carVariant || null,
+                allocationStrategy: newBooking.allocationStrategy || null,
                 driverId: newBooking.driverId,
                 startDate: newBooking.startDate,
                 endDate: newBooking.endDate,
+                startAt: newBooking.startAt,
+                endAt: newBooking.endAt,
                 totalBill: newBooking.totalBill,
+                billBreakdown: newBooking.billBreakdown || null,
+                billOverrideReason: newBooking.billOverrideReason || null,
                 remainingBalance: newBooking.remainingBalance,
+                securityDepositRequired: newBooking.securityDepositRequired,
                 customerName: newBooking.customerFullName,
                 cellNumber: newBooking.customerCellPhone,
                 idCardNumber: newBooking.idCardNumber,
                 status: newBooking.status,
+                holdExpiresAt: newBooking.holdExpiresAt || null,
                 tripStartTime: newBooking.tripStartTime,
                 tripDescription: newBooking.tripDescription,
                 driverPreference: newBooking.driverPreference,
@@ -165,6 +355,9 @@ router.post("/", auth, async (req, res) => {
         });
 
     } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({ error: error.message });
+        }
         console.error("Booking creation error:", error);
         if (error.name === 'ValidationError') {
             return res.status(400).json({ error: error.message });
@@ -173,10 +366,74 @@ router.post("/", auth, async (req, res) => {
     }
 });
 
+// Get an itemized price quote for a car and trip
+router.post("/quote", auth, async (req, res) => {
+    try {
+        const { carId, carModel, carVariant, startDate, endDate, tripType, driverPreference, kilometers } = req.body;
+
+        if ((!carId && !carModel) || !startDate || !endDate || !tripType || !driverPreference) {
+            return res.status(400).json({ error: "All required fields must be provided" });
+        }
+
+        const start = new Date(startDate);
+        const end = new Date(endDate);
+        if (isNaN(start.getTime()) || isNaN(end.getTime())) {
+            return res.status(400).json({ error: "Invalid date format" });
+        }
+
+        if (end < start) {
+            return res.status(400).json({ error: "End date must be after or equal to start date" });
+        }
+
+        // Model-level bookings are quoted from the model's rate card
+        const car = carId
+            ? await Car.findById(carId)
+            : { model: carModel, variant: carVariant };
+        if (!car) {
+            return res.status(404).json({ error: "Car not found" });
+        }
+
+        const rateCard = await RateCard.findForCar(car);
+        if (!rateCard) {
+            return res.status(404).json({ error: "No rate card found for this car" });
+        }
+
+        const quote = rateCard.quote({
+            startDate: start,
+            endDate: end,
+            tripType: tripType === "out-of-city" ? "outofcity" : "withincity",
+            driverPreference,
+            kilometers
+        });
+
+        res.json({
+            car: {
+                id: car._id || null,
+                model: car.model,
+                variant: car.variant
+            },
+            quote
+        });
+
+    } catch (error) {
+        console.error("Error generating quote:", error);
+        if (error.kind === 'ObjectId') {
+            return res.status(400).json({ error: "Invalid car ID" });
+        }
+        res.status(500).json({ error: "Failed to generate quote" });
+    }
+});
+
 // Get all bookings with populated data
 router.get("/", auth, async (req, res) => {
     try {
-        const bookings = await Booking.find()
+        // Filter by the employee who cancelled or completed the booking
+        const { cancelledBy, completedBy } = req.query;
+        const query = {};
+        if (cancelledBy) query.cancelledBy = cancelledBy;
+        if (completedBy) query.completedBy = completedBy;
+
+        const bookings = await Booking.find(query)
             .populate({
                 path: 'carId',
                 select: 'model year registrationNumber'
@@ -193,9 +450,9 @@ router.get("/", auth, async (req, res) => {
 
         const formattedBookings = bookings.map(booking => ({
             id: booking._id,
-            carModel: booking.carId.model,
-            carYear: booking.carId.year,
-            registrationNumber: booking.carId.registrationNumber,
+            carModel: booking.carId?.model || booking.carModel,
+            carYear: booking.carId?.year || null,
+            registrationNumber: booking.carId?.registrationNumber || 'Unallocated',
             customerName: booking.customerId.fullName,
             customerIdCard: booking.customerId.idCardNumber,
             driverName: booking.driverId?.name || 'Self Drive',
@@ -206,13 +463,16 @@ router.get("/", auth, async (req, res) => {
             cityName: booking.cityName,
             totalBill: booking.totalBill,
             advancePaid: booking.advancePaid,
-            remainingAmount: booking.totalBill - booking.advancePaid,
+            amountPaid: booking.amountPaid,
+            remainingAmount: booking.remainingBalance,
             discountPercentage: booking.discountPercentage,
             meterReading: booking.meterReading,
             tripStartTime: booking.tripStartTime,
             tripDescription: booking.tripDescription,
             driverPreference: booking.driverPreference,
-            customerLicenseNumber: booking.customerLicenseNumber
+            customerLicenseNumber: booking.customerLicenseNumber,
+            cancelledAt: booking.cancelledAt || null,
+            completedAt: booking.completedAt || null
         }));
 
         // Add filters if provided in query params
@@ -243,6 +503,9 @@ router.get("/", auth, async (req, res) => {
 
     } catch (error) {
         console.error("Error fetching bookings:", error);
+        if (error.kind === 'ObjectId') {
+            return res.status(400).json({ error: "Invalid user ID" });
+        }
         res.status(500).json({ error: "Failed to fetch bookings" });
     }
 });
@@ -253,13 +516,16 @@ router.get("/status/:status", auth, async (req, res) => {
         const { status } = req.params;
         
         // Validate status
-        const validStatuses = ['active', 'completed', 'cancelled'];
+        // 'active' is kept for clients written before the lifecycle statuses and covers every open booking
+        const validStatuses = [...Booking.STATUSES, 'active'];
         if (!validStatuses.includes(status)) {
             return res.status(400).json({ error: "Invalid status" });
         }
 
         // Find bookings by status and populate related data
-        const bookings = await Booking.find({ status })
+        const bookings = await Booking.find({
+            status: status === 'active' ? { $in: Booking.OPEN_STATUSES } : status
+        })
             .populate({
                 path: 'carId',
                 select: 'model year registrationNumber'
@@ -277,9 +543,9 @@ router.get("/status/:status", auth, async (req, res) => {
         // Format the response
         const formattedBookings = bookings.map(booking => ({
             id: booking._id,
-            carModel: booking.carId.model,
-            carYear: booking.carId.year,
-            registrationNumber: booking.carId.registrationNumber,
+            carModel: booking.carId?.model || booking.carModel,
+            carYear: booking.carId?.year || null,
+            registrationNumber: booking.carId?.registrationNumber || 'Unallocated',
             customerName: booking.customerId.fullName,
             customerIdCard: booking.customerId.idCardNumber,
             driverName: booking.driverId.name,
@@ -290,6 +556,7 @@ router.get("/status/:status", auth, async (req, res) => {
             cityName: booking.cityName,
             totalBill: booking.totalBill,
             advancePaid: booking.advancePaid,
+            amountPaid: booking.amountPaid,
             remainingAmount: booking.remainingBalance,
             startTime: booking.startTime,
         }));
@@ -306,8 +573,8 @@ router.get("/status/:status", auth, async (req, res) => {
 // Get all active bookings for the authenticated user
 router.get("/active", auth, async (req, res) => {
     try {
-        // Find bookings with status 'active' for the current user
-        const bookings = await Booking.find({ status: 'active', bookedBy: req.user.id })
+        // Find open bookings for the current user
+        const bookings = await Booking.find({ status: { $in: Booking.OPEN_STATUSES }, bookedBy: req.user.id })
             .populate({
                 path: 'carId',
                 select: 'model year registrationNumber'
@@ -324,9 +591,9 @@ router.get("/active", auth, async (req, res) => {
 
         const formattedBookings = bookings.map(booking => ({
             id: booking._id,
-            carModel: booking.carId.model,
-            carYear: booking.carId.year,
-            registrationNumber: booking.carId.registrationNumber,
+            carModel: booking.carId?.model || booking.carModel,
+            carYear: booking.carId?.year || null,
+            registrationNumber: booking.carId?.registrationNumber || 'Unallocated',
             customerName: booking.customerId.fullName,
             customerIdCard: booking.customerId.idCardNumber,
             driverName: booking.driverId?.name || 'Self Drive',
@@ -337,7 +604,8 @@ router.get("/active", auth, async (req, res) => {
             cityName: booking.cityName,
             totalBill: booking.totalBill,
             advancePaid: booking.advancePaid,
-            remainingAmount: booking.totalBill - booking.advancePaid,
+            amountPaid: booking.amountPaid,
+            remainingAmount: booking.remainingBalance,
             discountPercentage: booking.discountPercentage,
             meterReading: booking.meterReading,
             tripStartTime: booking.tripStartTime,
@@ -375,6 +643,14 @@ router.get("/:bookingId/details", auth, async (req, res) => {
             .populate({
                 path: 'bookedBy',
                 select: 'name'
+            })
+            .populate({
+                path: 'cancelledBy',
+                select: 'name'
+            })
+            .populate({
+                path: 'completedBy',
+                select: 'name'
             });
 
         if (!booking) {
@@ -394,16 +670,24 @@ router.get("/:bookingId/details", auth, async (req, res) => {
                 idCard: booking.customerId.idCardNumber,
             },
             car: {
-                model: booking.carId.model,
-                year: booking.carId.year,
-                color: booking.carId.color,
-                registrationNumber: booking.carId.registrationNumber,
-                chassisNumber: booking.carId.chassisNumber,
-                engineNumber: booking.carId.engineNumber,
-                image: booking.carId.image || "/placeholder.svg?height=200&width=300",
-                meterReading: booking.meterReading,
-                variant: booking.carId.variant
+                model: booking.carId?.model || booking.carModel,
+                year: booking.carId?.year || null,
+                color: booking.carId?.color || booking.carColor || null,
+                registrationNumber: booking.carId?.registrationNumber || 'Unallocated',
+                chassisNumber: booking.carId?.chassisNumber || null,
+                engineNumber: booking.carId?.engineNumber || null,
+                image: booking.carId?.image || "/placeholder.svg?height=200&width=300",
+                meterReading: booking.meterReading ?? null,
+                variant: booking.carId?.variant || booking.carVariant || null
             },
+            // Set on bookings made against a model rather than a specific car
+            allocation: booking.carModel ? {
+                carModel: booking.carModel,
+                carColor: booking.carColor || null,
+                carVariant: booking.carVariant || null,
+                strategy: booking.allocationStrategy || null,
+                allocatedAt: booking.allocatedAt || null
+            } : null,
             driver: {
                 name: booking?.driverId?.name || null,
                 phone: booking?.driverId?.phone || null,
@@ -415,8 +699,11 @@ router.get("/:bookingId/details", auth, async (req, res) => {
                 city: booking.cityName || "",
                 startDate: booking.startDate,
                 endDate: booking.endDate,
-                actualEndDate: booking.status === 'completed' ? booking.updatedAt : null,
+                actualEndDate: booking.status === 'completed' ? (booking.completedAt || booking.updatedAt) : null,
                 tripStartTime: booking.tripStartTime || "12:00",
+                tripEndTime: booking.tripEndTime || null,
+                startAt: booking.startAt || null,
+                endAt: booking.endAt || null,
                 endTime: booking.endTime || null,
                 description: booking.description,
             },
@@ -427,8 +714,57 @@ router.get("/:bookingId/details", auth, async (req, res) => {
                 discountReference: booking.discountReference || "",
                 discountAmount: discountAmount,
                 discountedTotal: discountedTotal,
-                remaining: discountedTotal - booking.advancePaid
+                amountPaid: booking.amountPaid,
+                remaining: booking.remainingBalance,
+                breakdown: booking.billBreakdown || null,
+                overrideReason: booking.billOverrideReason || null
+            },
+            lifecycle: {
+                holdExpiresAt: booking.holdExpiresAt || null,
+                confirmedAt: booking.confirmedAt || null,
+                startedAt: booking.startedAt || null
             },
+            securityDeposit: {
+                required: booking.securityDepositRequired || 0,
+                collected: booking.securityDepositCollected,
+                held: booking.securityDepositHeld,
+                status: booking.securityDepositStatus || 'not-required',
+                withheld: booking.securityDepositWithheld || 0,
+                withholdReason: booking.securityDepositWithholdReason || null,
+                settledAt: booking.securityDepositSettledAt || null
+            },
+            noShow: booking.status === 'no-show' ? {
+                reason: booking.cancellationReason || "",
+                markedAt: booking.noShowAt || null,
+                fee: booking.cancellationFee || 0
+            } : null,
+            cancellation: booking.status === 'cancelled' ? {
+                reason: booking.cancellationReason || "",
+                cancelledAt: booking.cancelledAt || null,
+                cancelledBy: booking.cancelledBy?.name || null,
+                cancellationFee: booking.cancellationFee || 0,
+                refundAmount: booking.refundAmount || 0,
+                overrideReason: booking.refundOverrideReason || null
+            } : null,
+            completion: booking.status === 'completed' ? {
+                finalMeterReading: booking.finalMeterReading ?? null,
+                totalKilometers: booking.totalKilometers,
+                additionalCharges: booking.additionalCharges || 0,
+                additionalChargesDescription: booking.additionalChargesDescription || "",
+                remainingPaymentReceived: booking.remainingPaymentReceived || 0,
+                completedAt: booking.completedAt || null,
+                completedBy: booking.completedBy?.name || null,
+                earlyReturn: booking.earlyReturn || null,
+                invoiceNumber: booking.invoiceNumber || null
+            } : null,
+            extensions: (booking.extensions || []).map(extension => ({
+                previousEndAt: extension.previousEndAt,
+                newEndAt: extension.newEndAt,
+                days: extension.days ?? null,
+                charge: extension.charge,
+                reason: extension.reason || "",
+                extendedAt: extension.extendedAt
+            })),
             createdAt: booking.createdAt,
             createdBy: booking.bookedBy.name,
             driverPreference: booking.driverPreference,
@@ -470,9 +806,9 @@ router.get("/:bookingId/edit", auth, async (req, res) => {
         }
 
         // Check if booking can be edited
-        if (booking.status === 'completed' || booking.status === 'cancelled') {
+        if (!Booking.OPEN_STATUSES.includes(booking.status)) {
             return res.status(400).json({ 
-                error: "Cannot edit completed or cancelled bookings" 
+                error: "Cannot edit completed, cancelled or no-show bookings" 
             });
         }
 
@@ -490,11 +826,11 @@ router.get("/:bookingId/edit", auth, async (req, res) => {
                 idCard: booking.customerId.idCardNumber,
             },
             car: {
-                id: booking.carId._id,
-                model: booking.carId.model,
-                year: booking.carId.year,
-                color: booking.carId.color,
-                registrationNumber: booking.carId.registrationNumber,
+                id: booking.carId?._id || null,
+                model: booking.carId?.model || booking.carModel,
+                year: booking.carId?.year || null,
+                color: booking.carId?.color || booking.carColor || null,
+                registrationNumber: booking.carId?.registrationNumber || 'Unallocated',
                 meterReading: booking.meterReading,
             },
             trip: {
@@ -502,7 +838,9 @@ router.get("/:bookingId/edit", auth, async (req, res) => {
                 city: booking.cityName || "",
                 startDate: booking.startDate,
                 endDate: booking.endDate,
-                startTime: booking.startTime || "12:00"
+                startTime: booking.startTime || "12:00",
+                tripStartTime: booking.tripStartTime,
+                tripEndTime: booking.tripEndTime || null
             },
             billing: {
                 totalAmount: booking.totalBill,
@@ -511,7 +849,8 @@ router.get("/:bookingId/edit", auth, async (req, res) => {
                 discountReference: booking.discountReference || "",
                 discountAmount: discountAmount,
                 discountedTotal: discountedTotal,
-                remaining: discountedTotal - booking.advancePaid
+                amountPaid: booking.amountPaid,
+                remaining: booking.remainingBalance
             }
         };
 
@@ -541,10 +880,12 @@ router.patch("/:bookingId", auth, async (req, res) => {
             discountPercentage,
             discountReference,
             tripStartTime,
+            tripEndTime,
             tripDescription,
             driverPreference,
             driverId,
-            customerLicenseNumber
+            customerLicenseNumber,
+            billOverrideReason
         } = req.body;
 
         // Find booking
@@ -554,9 +895,9 @@ router.patch("/:bookingId", auth, async (req, res) => {
         }
 
         // Check if booking can be edited
-        if (booking.status !== 'active') {
+        if (!Booking.OPEN_STATUSES.includes(booking.status)) {
             return res.status(400).json({ 
-                error: "Only active bookings can be edited" 
+                error: "Only pending, confirmed or in-progress bookings can be edited" 
             });
         }
 
@@ -574,31 +915,205 @@ router.patch("/:bookingId", auth, async (req, res) => {
             });
         }
 
-        // Update booking
-        const updatedBooking = await Booking.findByIdAndUpdate(
-            bookingId,
-            {
-                tripType: tripType === 'within-city' ? 'withincity' : 'outofcity',
-                cityName: tripType === 'out-of-city' ? cityName : undefined,
-                startDate: startDate || booking.startDate,
-                endDate: endDate || booking.endDate,
-                meterReading: meterReading || booking.meterReading,
-                totalBill: totalBill || booking.totalBill,
-                advancePaid: advancePaid || booking.advancePaid,
-                discountPercentage: discountPercentage || booking.discountPercentage,
-                discountReference: discountReference || booking.discountReference,
-                tripStartTime: tripStartTime || booking.tripStartTime,
-                tripDescription: tripDescription || booking.tripDescription,
-                driverPreference: driverPreference || booking.driverPreference,
-                driverId: driverPreference === 'driver' ? driverId : undefined,
-                customerLicenseNumber: driverPreference === 'self' ? customerLicenseNumber : undefined
-            },
-            { new: true }
-        ).populate([
-            { path: 'carId', select: 'model year color registrationNumber' },
-            { path: 'customerId', select: 'fullName phoneNumber idCardNumber' },
-            { path: 'driverId', select: 'name' }
-        ]);
+        // Re-check the car against the precise interval of the edited trip
+        const { startAt, endAt } = Booking.intervalFor({
+            startDate: startDate || booking.startDate,
+            endDate: endDate || booking.endDate,
+            tripStartTime: tripStartTime || booking.tripStartTime,
+            tripEndTime: tripEndTime || booking.tripEndTime
+        });
+
+        if (endAt <= startAt) {
+            return res.status(400).json({ error: "Trip must end after it starts" });
+        }
+
+        // Make sure the assigned driver exists and is not on leave or off duty
+        if (driverPreference === 'driver') {
+            const driver = await Driver.findById(driverId);
+            if (!driver) {
+                return res.status(404).json({ error: "Driver not found" });
+            }
+
+            const reason = driver.unavailabilityReason(startAt, endAt);
+            if (reason) {
+                return res.status(400).json({ error: reason });
+            }
+        }
+
+        const bookingTripType = tripType
+            ? (tripType === 'within-city' ? 'withincity' : 'outofcity')
+            : booking.tripType;
+        const bookingDriverPreference = driverPreference || booking.driverPreference;
+        const bookingStartDate = startDate ? new Date(startDate) : booking.startDate;
+        const bookingEndDate = endDate ? new Date(endDate) : booking.endDate;
+
+        // Out-of-city trips need the car's insurance and registration in force until it is back
+        if (booking.carId && bookingTripType === 'outofcity') {
+            const car = await Car.findById(booking.carId);
+            const reason = car?.documentExpiryReason(endAt);
+            if (reason) {
+                return res.status(400).json({ error: reason });
+            }
+        }
+
+        // A bill sent by the client replaces the rate card price, so it is an admin override with a reason
+        let billUpdate = {};
+        const isBillOverride = totalBill !== undefined && totalBill !== '' && Number(totalBill) !== booking.totalBill;
+        if (isBillOverride) {
+            const overrideError = billOverrideError(req.user, totalBill, billOverrideReason);
+            if (overrideError) {
+                return res.status(overrideError.statusCode).json({ error: overrideError.message });
+            }
+            billUpdate = {
+                totalBill: Number(totalBill),
+                billOverrideReason,
+                billOverriddenBy: req.user.id
+            };
+        } else if (booking.billBreakdown?.rateCardId && !booking.billOverrideReason && (
+            bookingStartDate.getTime() !== booking.startDate.getTime() ||
+            bookingEndDate.getTime() !== booking.endDate.getTime() ||
+            bookingTripType !== booking.tripType ||
+            bookingDriverPreference !== booking.driverPreference
+        )) {
+            // Rate card bills are quoted again for the edited trip, extensions included
+            const rateCard = await RateCard.findById(booking.billBreakdown.rateCardId);
+            if (!rateCard) {
+                return res.status(400).json({ 
+                    error: "The rate card of this booking no longer exists. Provide a total bill with an override reason" 
+                });
+            }
+            const billBreakdown = rateCard.quote({
+                startDate: bookingStartDate,
+                endDate: bookingEndDate,
+                tripType: bookingTripType,
+                driverPreference: bookingDriverPreference
+            });
+            billUpdate = { totalBill: billBreakdown.total, billBreakdown };
+        }
+
+        const bookingTotal = billUpdate.totalBill ?? booking.totalBill;
+        const bookingAdvance = advancePaid ? Number(advancePaid) : booking.advancePaid;
+        if (isNaN(bookingAdvance) || bookingAdvance < 0) {
+            return res.status(400).json({ error: "Advance paid must be a positive number" });
+        }
+        if (bookingAdvance > bookingTotal) {
+            return res.status(400).json({ error: "Advance paid cannot be greater than total bill" });
+        }
+
+        // Switching between self-drive and a driver changes the deposit required
+        let depositUpdate = {};
+        if (driverPreference && driverPreference !== booking.driverPreference && booking.securityDepositHeld === 0) {
+            const car = booking.carId
+                ? await Car.findById(booking.carId)
+                : await Car.findOne({ model: booking.carModel, deleted: false });
+            const securityDepositRequired = driverPreference === 'self' ? await DepositRate.requiredFor(car) : 0;
+            depositUpdate = {
+                securityDepositRequired,
+                securityDepositStatus: securityDepositRequired > 0 ? 'pending' : 'not-required'
+            };
+        }
+
+        // Reserve the car and driver so a concurrent booking cannot take the edited interval
+        let updatedBooking;
+        const session = await mongoose.startSession();
+        try {
+            await session.withTransaction(async () => {
+                await Booking.lockResources({
+                    carId: booking.carId,
+                    carModel: booking.carModel,
+                    driverId: driverPreference === 'driver' ? driverId : null
+                }, session);
+
+                const isCarAvailable = await booking.isCarAvailable(startAt, endAt, session);
+                if (!isCarAvailable) {
+                    throw requestError(400, "Car is not available for selected dates");
+                }
+
+                if (driverPreference === 'driver') {
+                    const isDriverAvailable = await Booking.checkDriverAvailability(driverId, startAt, endAt, booking._id, session);
+                    if (!isDriverAvailable) {
+                        throw requestError(400, "Driver is already assigned to another trip during the selected dates");
+                    }
+                }
+
+                // Keep the advance entries of the payment ledger in sync with advancePaid,
+                // correcting the latest entries first
+                if (bookingAdvance !== booking.advancePaid) {
+                    const current = await Booking.findById(bookingId, 'payments').session(session);
+                    const advances = current.payments.filter(payment => payment.type === 'advance').reverse();
+                    let difference = bookingAdvance - advances.reduce((sum, payment) => sum + payment.amount, 0);
+
+                    for (const payment of advances) {
+                        if (difference === 0) break;
+                        const amount = Math.max(0, payment.amount + difference);
+                        difference -= amount - payment.amount;
+                        await Booking.updateOne(
+                            { _id: bookingId, 'payments._id': payment._id },
+                            { $set: { 'payments.$.amount': amount } },
+                            { session }
+                        );
+                    }
+
+                    if (difference > 0 && current.payments.length > 0) {
+                        await Booking.updateOne(
+                            { _id: bookingId },
+                            { $push: { payments: { amount: difference, type: 'advance', receivedBy: req.user.id } } },
+                            { session }
+                        );
+                    }
+                }
+
+                // Update booking, provided it was not ended or cancelled in the meantime
+                updatedBooking = await Booking.findOneAndUpdate(
+                    { _id: bookingId, status: booking.status },
+                    {
+                        tripType: bookingTripType,
+                        cityName: bookingTripType === 'outofcity' ? (cityName || booking.cityName) : undefined,
+                        startDate: bookingStartDate,
+                        endDate: bookingEndDate,
+                        meterReading: meterReading || booking.meterReading,
+                        advancePaid: bookingAdvance,
+                        discountPercentage: discountPercentage || booking.discountPercentage,
+                        discountReference: discountReference || booking.discountReference,
+                        tripStartTime: tripStartTime || booking.tripStartTime,
+                        tripEndTime: tripEndTime || booking.tripEndTime,
+                        startAt,
+                        endAt,
+                        tripDescription: tripDescription || booking.tripDescription,
+                        driverPreference: driverPreference || booking.driverPreference,
+                        driverId: driverPreference === 'driver' ? driverId : undefined,
+                        customerLicenseNumber: driverPreference === 'self' ? customerLicenseNumber : undefined,
+                        ...billUpdate,
+                        ...depositUpdate
+                    },
+                    { new: true, session }
+                ).populate([
+                    { path: 'carId', select: 'model year color registrationNumber' },
+                    { path: 'customerId', select: 'fullName phoneNumber idCardNumber' },
+                    { path: 'driverId', select: 'name' }
+                ]);
+
+                if (!updatedBooking) {
+                    throw requestError(409, "Booking status changed while editing, please try again");
+                }
+
+                await BookingHistory.record({
+                    booking: updatedBooking,
+                    action: 'edit',
+                    changedBy: req.user.id,
+                    before: BookingHistory.snapshot(booking),
+                    session
+                });
+            });
+        } finally {
+            await session.endSession();
+        }
+
+        // A shortened or moved trip may free the car for a waiting customer
+        if (startAt > booking.startAt || endAt < booking.endAt) {
+            await WaitlistEntry.matchFreedBooking(booking)
+                .catch(error => console.error("Error matching waitlist:", error));
+        }
 
         // Format and return updated booking
         const formattedBooking = {
@@ -611,11 +1126,11 @@ router.patch("/:bookingId", auth, async (req, res) => {
                 idCard: updatedBooking.customerId.idCardNumber,
             },
             car: {
-                id: updatedBooking.carId._id,
-                model: updatedBooking.carId.model,
-                year: updatedBooking.carId.year,
-                color: updatedBooking.carId.color,
-                registrationNumber: updatedBooking.carId.registrationNumber,
+                id: updatedBooking.carId?._id || null,
+                model: updatedBooking.carId?.model || updatedBooking.carModel,
+                year: updatedBooking.carId?.year || null,
+                color: updatedBooking.carId?.color || updatedBooking.carColor || null,
+                registrationNumber: updatedBooking.carId?.registrationNumber || 'Unallocated',
                 meterReading: updatedBooking.meterReading,
             },
             trip: {
@@ -624,6 +1139,9 @@ router.patch("/:bookingId", auth, async (req, res) => {
                 startDate: updatedBooking.startDate,
                 endDate: updatedBooking.endDate,
                 startTime: updatedBooking.tripStartTime,
+                endTime: updatedBooking.tripEndTime || null,
+                startAt: updatedBooking.startAt,
+                endAt: updatedBooking.endAt,
                 description: updatedBooking.tripDescription
             },
             driver: {
@@ -633,10 +1151,13 @@ router.patch("/:bookingId", auth, async (req, res) => {
             },
             billing: {
                 totalAmount: updatedBooking.totalBill,
+                billBreakdown: updatedBooking.billBreakdown || null,
+                billOverrideReason: updatedBooking.billOverrideReason || null,
                 advancePaid: updatedBooking.advancePaid,
                 discount: updatedBooking.discountPercentage || 0,
                 discountReference: updatedBooking.discountReference || "",
-                remaining: updatedBooking.totalBill - updatedBooking.advancePaid
+                amountPaid: updatedBooking.amountPaid,
+                remaining: updatedBooking.remainingBalance
             }
         };
 
@@ -646,6 +1167,9 @@ router.patch("/:bookingId", auth, async (req, res) => {
         });
 
     } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({ error: error.message });
+        }
         console.error("Error updating booking:", error);
         if (error.kind === 'ObjectId') {
             return res.status(400).json({ error: "Invalid booking ID" });
@@ -654,127 +1178,961 @@ router.patch("/:bookingId", auth, async (req, res) => {
     }
 });
 
-// Cancel booking
-router.patch("/:bookingId/cancel", auth, async (req, res) => {
+// Extend the trip end of an active booking
+router.post("/:bookingId/extend", auth, async (req, res) => {
     try {
         const { bookingId } = req.params;
-        const { cancellationReason } = req.body;
+        const { endDate, tripEndTime, extensionCharge, reason } = req.body;
 
-        // Find booking
-        const booking = await Booking.findById(bookingId)
-            .populate('driverId', 'name')
-            .populate('carId', 'model registrationNumber');
+        if (!endDate) {
+            return res.status(400).json({ error: "New end date is required" });
+        }
 
+        // Find booking
+        const booking = await Booking.findById(bookingId);
         if (!booking) {
             return res.status(404).json({ error: "Booking not found" });
         }
 
-        // Check if booking can be cancelled
-        if (booking.status !== 'active') {
+        if (!['confirmed', 'in-progress'].includes(booking.status)) {
             return res.status(400).json({ 
-                error: "Only active bookings can be cancelled" 
+                error: "Only confirmed or in-progress bookings can be extended" 
             });
         }
 
-        // Update booking status
-        booking.status = 'cancelled';
-        booking.cancellationReason = cancellationReason || 'No reason provided';
-        booking.cancelledAt = new Date();
-        booking.cancelledBy = req.user.id;
+        const previousEndAt = booking.endAt;
+        const { endAt: newEndAt } = Booking.intervalFor({
+            startDate: booking.startDate,
+            endDate,
+            tripStartTime: booking.tripStartTime,
+            tripEndTime: tripEndTime || booking.tripEndTime
+        });
 
-        // Make driver available again
-        if (booking.driverPreference === "driver"){
-            await Driver.findByIdAndUpdate(booking.driverId._id, { 
-                available: true 
-            });    
+        if (isNaN(newEndAt.getTime()) || newEndAt <= previousEndAt) {
+            return res.status(400).json({ 
+                error: "New trip end must be after the current trip end" 
+            });
         }
 
-        await booking.save();
+        // The assigned driver must not be on leave or off duty during the extra period
+        if (booking.driverId) {
+            const driver = await Driver.findById(booking.driverId);
+            const unavailableReason = driver && driver.unavailabilityReason(previousEndAt, newEndAt);
+            if (unavailableReason) {
+                return res.status(400).json({ error: unavailableReason });
+            }
+        }
 
-        // Calculate billing details
-        const discountAmount = (booking.totalBill * (booking.discountPercentage || 0)) / 100;
-        const discountedTotal = booking.totalBill - discountAmount;
-        const remainingAmount = discountedTotal - booking.advancePaid;
+        // Price the extra period with the booking's rate card, or take a manual charge
+        let extensionQuote = null;
+        let charge;
+        const breakdown = booking.billBreakdown;
+        if (breakdown && breakdown.rateCardId && !booking.billOverrideReason) {
+            const rateCard = await RateCard.findById(breakdown.rateCardId);
+            if (!rateCard) {
+                return res.status(400).json({ error: "The rate card of this booking no longer exists" });
+            }
+            extensionQuote = rateCard.quote({
+                startDate: booking.endDate,
+                endDate,
+                tripType: booking.tripType,
+                driverPreference: booking.driverPreference
+            });
+            charge = extensionQuote.total;
+        } else {
+            if (extensionCharge === undefined || extensionCharge === '' || isNaN(Number(extensionCharge)) || Number(extensionCharge) < 0) {
+                return res.status(400).json({ 
+                    error: "An extension charge is required for bookings without a rate card bill" 
+                });
+            }
+            charge = Number(extensionCharge);
+        }
+
+        const update = {
+            $set: {
+                endDate,
+                tripEndTime: tripEndTime || booking.tripEndTime,
+                endAt: newEndAt,
+                totalBill: booking.totalBill + charge
+            },
+            $push: {
+                extensions: {
+                    previousEndAt,
+                    newEndAt,
+                    days: extensionQuote ? extensionQuote.days : undefined,
+                    charge,
+                    reason,
+                    extendedBy: req.user.id
+                }
+            }
+        };
+
+        if (extensionQuote) {
+            update.$set.billBreakdown = {
+                ...breakdown.toObject(),
+                days: breakdown.days + extensionQuote.days,
+                nights: (breakdown.nights || 0) + extensionQuote.nights,
+                rentalCharge: breakdown.rentalCharge + extensionQuote.rentalCharge,
+                driverCharge: (breakdown.driverCharge || 0) + extensionQuote.driverCharge,
+                nightStayCharge: (breakdown.nightStayCharge || 0) + extensionQuote.nightStayCharge,
+                kilometerAllowance: (breakdown.kilometerAllowance || 0) + extensionQuote.kilometerAllowance,
+                total: breakdown.total + charge
+            };
+        }
+
+        // Reserve the car and driver for the extra period
+        let updatedBooking;
+        const session = await mongoose.startSession();
+        try {
+            await session.withTransaction(async () => {
+                await Booking.lockResources({
+                    carId: booking.carId,
+                    carModel: booking.carModel,
+                    driverId: booking.driverId
+                }, session);
+
+                const isCarAvailable = await booking.isCarAvailable(previousEndAt, newEndAt, session);
+                if (!isCarAvailable) {
+                    throw requestError(400, "Car is not available for the extended dates");
+                }
+
+                if (booking.driverId) {
+                    const isDriverAvailable = await Booking.checkDriverAvailability(booking.driverId, previousEndAt, newEndAt, booking._id, session);
+                    if (!isDriverAvailable) {
+                        throw requestError(400, "Driver is already assigned to another trip during the extended dates");
+                    }
+                }
+
+                // Only extend if the trip end has not moved since it was read
+                updatedBooking = await Booking.findOneAndUpdate(
+                    { _id: bookingId, status: booking.status, endAt: previousEndAt },
+                    update,
+                    { new: true, session }
+                );
+
+                if (!updatedBooking) {
+                    throw requestError(409, "Booking was changed while extending, please try again");
+                }
+
+                await BookingHistory.record({
+                    booking: updatedBooking,
+                    action: 'extend',
+                    changedBy: req.user.id,
+                    before: BookingHistory.snapshot(booking),
+                    note: reason,
+                    session
+                });
+            });
+        } finally {
+            await session.endSession();
+        }
 
         res.json({
-            message: "Booking cancelled successfully",
+            message: "Booking extended successfully",
             booking: {
-                id: booking._id,
-                status: booking.status,
-                car: {
-                    model: booking.carId.model,
-                    registrationNumber: booking.carId.registrationNumber
+                id: updatedBooking._id,
+                status: updatedBooking.status,
+                trip: {
+                    startDate: updatedBooking.startDate,
+                    endDate: updatedBooking.endDate,
+                    startTime: updatedBooking.tripStartTime,
+                    endTime: updatedBooking.tripEndTime || null,
+                    startAt: updatedBooking.startAt,
+                    endAt: updatedBooking.endAt
                 },
-                driver: {
-                    name: booking?.driverId?.name
-                },
-                cancellationDetails: {
-                    reason: booking.cancellationReason,
-                    cancelledAt: booking.cancelledAt,
-                    cancelledBy: req.user.id
+                extension: {
+                    previousEndAt,
+                    newEndAt,
+                    days: extensionQuote ? extensionQuote.days : null,
+                    charge,
+                    quote: extensionQuote,
+                    reason: reason || ""
                 },
                 billing: {
-                    totalAmount: booking.totalBill,
-                    advancePaid: booking.advancePaid,
-                    discount: booking.discountPercentage || 0,
-                    discountAmount: discountAmount,
-                    discountedTotal: discountedTotal,
-                    remaining: remainingAmount,
-                    refundAmount: booking.advancePaid // You might want to adjust refund logic
+                    totalAmount: updatedBooking.totalBill,
+                    breakdown: updatedBooking.billBreakdown || null,
+                    discount: updatedBooking.discountPercentage || 0,
+                    amountPaid: updatedBooking.amountPaid,
+                    remaining: updatedBooking.remainingBalance
                 }
             }
         });
 
     } catch (error) {
-        console.error("Error cancelling booking:", error);
-        res.status(500).json({ error: "Failed to cancel booking" });
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({ error: error.message });
+        }
+        console.error("Error extending booking:", error);
+        if (error.kind === 'ObjectId') {
+            return res.status(400).json({ error: "Invalid booking ID" });
+        }
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({ error: error.message });
+        }
+        res.status(500).json({ error: "Failed to extend booking" });
     }
 });
 
-// End booking (Complete booking)
-router.patch("/:bookingId/end", auth, async (req, res) => {
+// Move a booking on from the status it was read in and record the change
+const transitionBooking = async ({ booking, update, filter = {}, action, changedBy, note, before = BookingHistory.snapshot(booking), session = null }) => {
+    // Another request may have moved the booking on since it was read
+    const updatedBooking = await Booking.findOneAndUpdate(
+        { _id: booking._id, status: booking.status, ...filter },
+        update,
+        { new: true, runValidators: true, session }
+    );
+
+    if (!updatedBooking) {
+        throw requestError(409, "Booking status changed in the meantime, please try again");
+    }
+
+    await BookingHistory.record({ booking: updatedBooking, action, changedBy, before, note, session });
+    return updatedBooking;
+};
+
+// Log the meter reading a booking was handed over with, in the transaction that starts it
+const recordStartReading = (booking, recordedBy, session) => OdometerReading.create([{
+    carId: booking.carId,
+    reading: booking.meterReading,
+    recordedAt: booking.startedAt,
+    source: 'booking-start',
+    bookingId: booking._id,
+    recordedBy
+}], { session });
+
+// Allocate a car to a model-level booking and apply the update in one transaction,
+// so no other booking can take the car in between; at handover the reading is checked
+// against the allocated car and logged
+const allocateAndTransition = async ({ booking, carId, strategy, update, filter = {}, action, changedBy, note, handover = false }) => {
+    const before = BookingHistory.snapshot(booking);
+    let updatedBooking;
+
+    const session = await mongoose.startSession();
     try {
-        const { bookingId } = req.params;
-        let { 
-            endTime,
-            finalMeterReading,
-            additionalCharges = 0,
-            additionalChargesDescription = '',
-            remainingPayment = 0
-        } = req.body;
+        await session.withTransaction(async () => {
+            await Booking.lockResources({ carModel: booking.carModel }, session);
+
+            const car = await booking.allocateCar({ carId, strategy, allocatedBy: changedBy, session });
+            if (!car) {
+                throw requestError(409, carId
+                    ? "This car cannot be allocated without overbooking the model"
+                    : `No ${booking.carModel} matching the booking is free to allocate`);
+            }
 
-        // Convert ISO date string to HH:mm format
-        const endDate = new Date(req.body.endTime);
-        if (isNaN(endDate.getTime())) {
-            return res.status(400).json({ error: "Invalid end time format" });
-        }
+            if (handover) {
+                const readingError = await OdometerReading.checkReading(
+                    car._id,
+                    update.$set?.meterReading ?? booking.meterReading,
+                    session
+                );
+                if (readingError) {
+                    throw requestError(400, readingError);
+                }
+            }
 
-        // Format to HH:mm
-        endTime = endDate.toTimeString().slice(0, 5);
+            updatedBooking = await transitionBooking({
+                booking,
+                update: {
+                    ...update,
+                    $set: {
+                        meterReading: booking.meterReading,
+                        ...update.$set,
+                        carId: booking.carId,
+                        allocatedAt: booking.allocatedAt,
+                        allocatedBy: booking.allocatedBy
+                    }
+                },
+                filter: { carId: null, ...filter },
+                action,
+                changedBy,
+                note,
+                before,
+                session
+            });
 
+            if (handover) {
+                await recordStartReading(updatedBooking, changedBy, session);
+            }
+        });
+    } finally {
+        await session.endSession();
+    }
 
-        // Validate required fields
-        if (!endTime || !finalMeterReading) {
-            return res.status(400).json({ 
-                error: "End time and final meter reading are required" 
-            });
-        }
+    return updatedBooking;
+};
+
+const formatLifecycle = (booking) => ({
+    id: booking._id,
+    status: booking.status,
+    holdExpiresAt: booking.holdExpiresAt || null,
+    confirmedAt: booking.confirmedAt || null,
+    startedAt: booking.startedAt || null,
+    noShowAt: booking.noShowAt || null,
+    carId: booking.carId || null,
+    allocatedAt: booking.allocatedAt || null,
+    meterReading: booking.meterReading,
+    securityDeposit: {
+        required: booking.securityDepositRequired || 0,
+        held: booking.securityDepositHeld,
+        status: booking.securityDepositStatus || 'not-required'
+    },
+    billing: {
+        totalAmount: booking.totalBill,
+        advancePaid: booking.advancePaid,
+        amountPaid: booking.amountPaid,
+        remaining: booking.remainingBalance
+    }
+});
 
-        // Find booking
-        const booking = await Booking.findById(bookingId)
-            .populate('driverId', 'name')
-            .populate('carId', 'model registrationNumber')
-            .populate('customerId', 'fullName phoneNumber');
+// Confirm a pending booking before its hold expires
+router.patch("/:bookingId/confirm", auth, async (req, res) => {
+    try {
+        const { bookingId } = req.params;
+        const { advancePaid, paymentMethod = 'cash', paymentReference } = req.body;
 
+        const booking = await Booking.findById(bookingId);
         if (!booking) {
             return res.status(404).json({ error: "Booking not found" });
         }
 
-        // Check if booking can be ended
-        if (booking.status !== 'active') {
-            return res.status(400).json({ 
-                error: "Only active bookings can be ended" 
-            });
+        if (!booking.canTransitionTo('confirmed')) {
+            return res.status(400).json({ error: "Only pending bookings can be confirmed" });
+        }
+
+        const now = new Date();
+        if (booking.holdExpiresAt <= now) {
+            return res.status(400).json({ error: "The hold on this booking has expired" });
+        }
+
+        const advance = Number(advancePaid || 0);
+        if (isNaN(advance) || advance < 0) {
+            return res.status(400).json({ error: "Advance paid must be a positive number" });
+        }
+
+        if (booking.amountPaid <= 0 && advance <= 0) {
+            return res.status(400).json({ error: "An advance payment is required to confirm a booking" });
+        }
+
+        if (booking.advancePaid + advance > booking.totalBill) {
+            return res.status(400).json({ error: "Advance paid cannot be greater than total bill" });
+        }
+
+        const update = {
+            $set: {
+                status: 'confirmed',
+                confirmedAt: now,
+                confirmedBy: req.user.id
+            }
+        };
+
+        if (advance > 0) {
+            update.$set.advancePaid = booking.advancePaid + advance;
+            update.$push = {
+                payments: {
+                    amount: advance,
+                    type: 'advance',
+                    method: paymentMethod,
+                    reference: paymentReference,
+                    receivedBy: req.user.id,
+                    receivedAt: now
+                }
+            };
+        }
+
+        const transition = {
+            booking,
+            update,
+            filter: { holdExpiresAt: { $gt: now } },
+            action: 'confirm',
+            changedBy: req.user.id
+        };
+
+        // Model-level bookings may take their car when confirmed
+        const updatedBooking = !booking.carId && Booking.allocatesOnConfirmation()
+            ? await allocateAndTransition(transition)
+            : await transitionBooking(transition);
+
+        res.json({
+            message: "Booking confirmed successfully",
+            booking: formatLifecycle(updatedBooking)
+        });
+
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({ error: error.message });
+        }
+        console.error("Error confirming booking:", error);
+        if (error.kind === 'ObjectId') {
+            return res.status(400).json({ error: "Invalid booking ID" });
+        }
+        res.status(500).json({ error: "Failed to confirm booking" });
+    }
+});
+
+// Hand the car over to the customer, starting the trip
+router.patch("/:bookingId/start", auth, async (req, res) => {
+    try {
+        const { bookingId } = req.params;
+        const { meterReading, securityDeposit, depositMethod = 'cash', depositReference } = req.body;
+
+        const booking = await Booking.findById(bookingId);
+        if (!booking) {
+            return res.status(404).json({ error: "Booking not found" });
+        }
+
+        if (!booking.canTransitionTo('in-progress')) {
+            return res.status(400).json({ error: "Only confirmed bookings can be started" });
+        }
+
+        // The driver may have been suspended or let their licence lapse since the booking was made
+        if (booking.driverId) {
+            const driver = await Driver.findById(booking.driverId);
+            const unavailableReason = driver && driver.unavailabilityReason(booking.startAt, booking.endAt);
+            if (unavailableReason) {
+                return res.status(400).json({ error: `${unavailableReason}; assign another driver before handover` });
+            }
+        }
+
+        // The car may have been taken out of service since the booking was made
+        if (booking.carId) {
+            const car = await Car.findById(booking.carId);
+            if (car && car.status !== 'active') {
+                return res.status(400).json({ error: `Car is ${car.status}; assign another car before handover` });
+            }
+        }
+
+        const update = {
+            $set: {
+                status: 'in-progress',
+                startedAt: new Date(),
+                startedBy: req.user.id
+            }
+        };
+
+        // The meter is read again at handover in case the car was driven since booking,
+        // falling back to the odometer noted on the handover inspection
+        let startReading = meterReading;
+        if (startReading === undefined || startReading === '') {
+            const handover = await Inspection.findOne({ bookingId: booking._id, type: 'handover' });
+            startReading = handover?.odometer;
+        }
+
+        if (startReading !== undefined && startReading !== '') {
+            if (isNaN(Number(startReading)) || Number(startReading) < 0) {
+                return res.status(400).json({ error: "Meter reading must be a positive number" });
+            }
+            update.$set.meterReading = Number(startReading);
+        }
+
+        if (booking.carId) {
+            const readingError = await OdometerReading.checkReading(
+                booking.carId,
+                update.$set.meterReading ?? booking.meterReading
+            );
+            if (readingError) {
+                return res.status(400).json({ error: readingError });
+            }
+        }
+
+        // Any outstanding security deposit is collected before the keys are handed over
+        const deposit = Number(securityDeposit || 0);
+        const outstandingDeposit = booking.securityDepositRequired - booking.securityDepositHeld;
+        if (isNaN(deposit) || deposit < 0) {
+            return res.status(400).json({ error: "Security deposit must be a positive number" });
+        }
+        if (outstandingDeposit > 0 && deposit < outstandingDeposit) {
+            return res.status(400).json({ 
+                error: `A security deposit of ${outstandingDeposit} must be collected at handover` 
+            });
+        }
+
+        if (deposit > 0) {
+            // Pushed rather than set, so payments recorded since the booking was read are kept
+            const ledgerLength = booking.payments.length;
+            booking.recordPayment({
+                amount: deposit,
+                type: 'security-deposit',
+                method: depositMethod,
+                reference: depositReference,
+                receivedBy: req.user.id
+            });
+            update.$push = {
+                payments: { $each: booking.payments.slice(ledgerLength).map(payment => payment.toObject()) }
+            };
+            update.$set.securityDepositStatus = 'held';
+        }
+
+        // Model-level bookings still waiting for a car get one at handover
+        let updatedBooking;
+        if (booking.carId) {
+            const session = await mongoose.startSession();
+            try {
+                await session.withTransaction(async () => {
+                    updatedBooking = await transitionBooking({ booking, update, action: 'start', changedBy: req.user.id, session });
+                    await recordStartReading(updatedBooking, req.user.id, session);
+                });
+            } finally {
+                await session.endSession();
+            }
+        } else {
+            updatedBooking = await allocateAndTransition({
+                booking,
+                carId: req.body.carId,
+                update,
+                action: 'start',
+                changedBy: req.user.id,
+                handover: true
+            });
+        }
+
+        res.json({
+            message: "Booking started successfully",
+            booking: formatLifecycle(updatedBooking)
+        });
+
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({ error: error.message });
+        }
+        console.error("Error starting booking:", error);
+        if (error.kind === 'ObjectId') {
+            return res.status(400).json({ error: "Invalid booking ID" });
+        }
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({ error: error.message });
+        }
+        res.status(500).json({ error: "Failed to start booking" });
+    }
+});
+
+// Allocate a car to a model-level booking ahead of handover, by strategy or by picking one
+router.patch("/:bookingId/allocate", auth, async (req, res) => {
+    try {
+        const { bookingId } = req.params;
+        const { carId, strategy } = req.body;
+
+        const booking = await Booking.findById(bookingId);
+        if (!booking) {
+            return res.status(404).json({ error: "Booking not found" });
+        }
+
+        if (!booking.carModel || booking.carId) {
+            return res.status(400).json({ error: "Only model-level bookings without a car can be allocated" });
+        }
+
+        if (!['pending', 'confirmed'].includes(booking.status)) {
+            return res.status(400).json({ error: "Only pending or confirmed bookings can be allocated" });
+        }
+
+        if (strategy && !Booking.ALLOCATION_STRATEGIES.includes(strategy)) {
+            return res.status(400).json({
+                error: `Allocation strategy must be one of: ${Booking.ALLOCATION_STRATEGIES.join(', ')}`
+            });
+        }
+
+        const updatedBooking = await allocateAndTransition({
+            booking,
+            carId,
+            strategy,
+            update: { $set: {} },
+            action: 'allocate',
+            changedBy: req.user.id,
+            note: carId ? 'Car picked by staff' : `Allocated by ${strategy || booking.allocationStrategy || Booking.defaultAllocationStrategy()}`
+        });
+
+        const car = await Car.findById(updatedBooking.carId);
+
+        res.json({
+            message: "Car allocated successfully",
+            booking: {
+                ...formatLifecycle(updatedBooking),
+                car: {
+                    id: car._id,
+                    model: car.model,
+                    color: car.color,
+                    variant: car.variant || null,
+                    registrationNumber: car.registrationNumber
+                }
+            }
+        });
+
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({ error: error.message });
+        }
+        console.error("Error allocating car:", error);
+        if (error.kind === 'ObjectId') {
+            return res.status(400).json({ error: "Invalid booking or car ID" });
+        }
+        res.status(500).json({ error: "Failed to allocate car" });
+    }
+});
+
+// Mark a confirmed booking as a no-show once its start time has passed
+router.patch("/:bookingId/no-show", auth, async (req, res) => {
+    try {
+        const { bookingId } = req.params;
+        const { reason } = req.body;
+
+        const booking = await Booking.findById(bookingId);
+        if (!booking) {
+            return res.status(404).json({ error: "Booking not found" });
+        }
+
+        if (!booking.canTransitionTo('no-show')) {
+            return res.status(400).json({ error: "Only confirmed bookings can be marked as no-show" });
+        }
+
+        const now = new Date();
+        if (booking.startAt > now) {
+            return res.status(400).json({ error: "A booking can only be marked as no-show after its start time" });
+        }
+
+        // Whatever was paid is kept as the no-show fee, while a deposit taken ahead of the trip is handed back
+        const update = {
+            $set: {
+                status: 'no-show',
+                noShowAt: now,
+                noShowBy: req.user.id,
+                cancellationReason: reason || 'Customer did not show up',
+                cancellationFee: Math.max(0, booking.amountPaid),
+                refundAmount: 0
+            }
+        };
+
+        const depositRelease = booking.depositRelease({ releasedBy: req.user.id, releasedAt: now });
+        if (depositRelease) {
+            Object.assign(update.$set, depositRelease.fields);
+            update.$push = { payments: depositRelease.payment };
+        }
+
+        const updatedBooking = await transitionBooking({
+            booking,
+            update,
+            action: 'no-show',
+            changedBy: req.user.id,
+            note: reason
+        });
+
+        await WaitlistEntry.matchFreedBooking(updatedBooking)
+            .catch(error => console.error("Error matching waitlist:", error));
+
+        res.json({
+            message: "Booking marked as no-show successfully",
+            booking: {
+                ...formatLifecycle(updatedBooking),
+                reason: updatedBooking.cancellationReason,
+                noShowFee: updatedBooking.cancellationFee
+            }
+        });
+
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({ error: error.message });
+        }
+        console.error("Error marking booking as no-show:", error);
+        if (error.kind === 'ObjectId') {
+            return res.status(400).json({ error: "Invalid booking ID" });
+        }
+        res.status(500).json({ error: "Failed to mark booking as no-show" });
+    }
+});
+
+// Preview the refund a cancellation would produce right now
+router.get("/:bookingId/cancellation-preview", auth, async (req, res) => {
+    try {
+        const { bookingId } = req.params;
+
+        const booking = await Booking.findById(bookingId);
+        if (!booking) {
+            return res.status(404).json({ error: "Booking not found" });
+        }
+
+        if (!booking.canTransitionTo('cancelled')) {
+            return res.status(400).json({ 
+                error: "Only pending or confirmed bookings can be cancelled" 
+            });
+        }
+
+        const policy = await CancellationPolicy.findApplicable(booking.tripType);
+        const settlement = policy
+            ? policy.evaluate(booking)
+            : { refundPercentage: 100, refundAmount: booking.amountPaid, cancellationFee: 0 };
+
+        res.json({
+            bookingId: booking._id,
+            policy: policy ? { id: policy._id, name: policy.name } : null,
+            amountPaid: booking.amountPaid,
+            ...settlement
+        });
+
+    } catch (error) {
+        console.error("Error previewing cancellation:", error);
+        if (error.kind === 'ObjectId') {
+            return res.status(400).json({ error: "Invalid booking ID" });
+        }
+        res.status(500).json({ error: "Failed to preview cancellation" });
+    }
+});
+
+// Cancel a pending or confirmed booking in a transaction, so concurrent cancellations cannot refund
+// twice and a handover or completion cannot slip in between. settle(booking, cancelledAt) works out
+// the refund and cancellation fee; any held deposit is released in full
+const cancelBooking = async ({ bookingId, filter = {}, reason, cancelledBy, refundMethod = 'cash', refundReference = 'Cancellation refund', settle }) => {
+    let booking;
+    let amountPaid;
+    let settlement;
+    const session = await mongoose.startSession();
+    try {
+        await session.withTransaction(async () => {
+            booking = await Booking.findOne({ _id: bookingId, ...filter })
+                .populate('driverId', 'name')
+                .populate('carId', 'model registrationNumber')
+                .session(session);
+
+            if (!booking) {
+                throw requestError(404, "Booking not found");
+            }
+
+            if (!booking.canTransitionTo('cancelled')) {
+                throw requestError(400, "Only pending or confirmed bookings can be cancelled");
+            }
+
+            const before = BookingHistory.snapshot(booking);
+            const cancelledAt = new Date();
+            amountPaid = booking.amountPaid;
+            settlement = await settle(booking, cancelledAt);
+
+            booking.status = 'cancelled';
+            booking.cancellationReason = reason;
+            booking.cancelledAt = cancelledAt;
+            booking.cancelledBy = cancelledBy;
+            booking.cancellationPolicyId = settlement.policy ? settlement.policy._id : undefined;
+            booking.cancellationFee = settlement.cancellationFee;
+            booking.refundAmount = settlement.refundAmount;
+
+            // Record the refund in the payment ledger
+            if (settlement.refundAmount > 0) {
+                booking.recordPayment({
+                    amount: settlement.refundAmount,
+                    type: 'refund',
+                    method: refundMethod,
+                    reference: refundReference,
+                    receivedBy: cancelledBy,
+                    receivedAt: cancelledAt
+                });
+            }
+
+            // A deposit taken ahead of the trip is handed back in full
+            booking.settleSecurityDeposit({
+                withheld: 0,
+                settledBy: cancelledBy,
+                method: refundMethod
+            });
+
+            await booking.save({ session });
+
+            await BookingHistory.record({
+                booking,
+                action: 'cancel',
+                changedBy: cancelledBy,
+                before,
+                note: reason,
+                session
+            });
+        });
+    } finally {
+        await session.endSession();
+    }
+
+    // The cancellation stands even if no waiting customer can be matched
+    await WaitlistEntry.matchFreedBooking(booking)
+        .catch(error => console.error("Error matching waitlist:", error));
+
+    return { booking, amountPaid, settlement };
+};
+
+// Cancel booking
+router.patch("/:bookingId/cancel", auth, async (req, res) => {
+    try {
+        const { bookingId } = req.params;
+        const {
+            cancellationReason,
+            refundAmount: overrideRefundAmount,
+            overrideReason,
+            refundMethod = 'cash'
+        } = req.body;
+
+        const isOverride = overrideRefundAmount !== undefined && overrideRefundAmount !== '';
+
+        // Admins may override the computed refund, but the reason is recorded
+        if (isOverride) {
+            if (roleOf(req.user) !== 'admin') {
+                return res.status(403).json({ 
+                    error: "Only admins can override the refund amount" 
+                });
+            }
+
+            if (!overrideReason) {
+                return res.status(400).json({ 
+                    error: "A reason is required when overriding the refund amount" 
+                });
+            }
+        }
+
+        // Work out the refund from the applicable cancellation policy, or the admin's override
+        const { booking, amountPaid, settlement } = await cancelBooking({
+            bookingId,
+            reason: cancellationReason || 'No reason provided',
+            cancelledBy: req.user.id,
+            refundMethod,
+            settle: async (booking, cancelledAt) => {
+                const amountPaid = booking.amountPaid;
+                const policy = await CancellationPolicy.findApplicable(booking.tripType);
+                const settlement = policy
+                    ? policy.evaluate(booking, cancelledAt)
+                    : { refundPercentage: 100, refundAmount: amountPaid, cancellationFee: 0 };
+
+                if (!isOverride) {
+                    return { ...settlement, policy };
+                }
+
+                const amount = Number(overrideRefundAmount);
+                if (isNaN(amount) || amount < 0 || amount > amountPaid) {
+                    throw requestError(400, "Refund amount must be between 0 and the amount paid");
+                }
+
+                booking.refundOverrideReason = overrideReason;
+                booking.refundOverriddenBy = req.user.id;
+                return {
+                    ...settlement,
+                    policy,
+                    refundAmount: amount,
+                    cancellationFee: amountPaid - amount
+                };
+            }
+        });
+        const { policy } = settlement;
+
+        // Calculate billing details
+        const discountAmount = (booking.totalBill * (booking.discountPercentage || 0)) / 100;
+        const discountedTotal = booking.totalBill - discountAmount;
+        const remainingAmount = booking.remainingBalance;
+
+        res.json({
+            message: "Booking cancelled successfully",
+            booking: {
+                id: booking._id,
+                status: booking.status,
+                car: {
+                    model: booking.carId?.model || booking.carModel,
+                    registrationNumber: booking.carId?.registrationNumber || 'Unallocated'
+                },
+                driver: {
+                    name: booking?.driverId?.name
+                },
+                cancellationDetails: {
+                    reason: booking.cancellationReason,
+                    cancelledAt: booking.cancelledAt,
+                    cancelledBy: req.user.id
+                },
+                billing: {
+                    totalAmount: booking.totalBill,
+                    advancePaid: booking.advancePaid,
+                    amountPaid: booking.amountPaid,
+                    discount: booking.discountPercentage || 0,
+                    discountAmount: discountAmount,
+                    discountedTotal: discountedTotal,
+                    remaining: remainingAmount,
+                    amountPaidBeforeCancellation: amountPaid,
+                    refundPercentage: settlement.refundPercentage,
+                    refundAmount: booking.refundAmount,
+                    cancellationFee: booking.cancellationFee,
+                    policy: policy ? policy.name : null,
+                    overrideReason: booking.refundOverrideReason || null
+                }
+            }
+        });
+
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({ error: error.message });
+        }
+        console.error("Error cancelling booking:", error);
+        if (error.kind === 'ObjectId') {
+            return res.status(400).json({ error: "Invalid booking ID" });
+        }
+        res.status(500).json({ error: "Failed to cancel booking" });
+    }
+});
+
+// End booking (Complete booking)
+router.patch("/:bookingId/end", auth, async (req, res) => {
+    try {
+        const { bookingId } = req.params;
+        let { 
+            endTime,
+            finalMeterReading,
+            additionalCharges = 0,
+            additionalChargesDescription = '',
+            remainingPayment = 0,
+            paymentMethod = 'cash',
+            paymentReference,
+            billOverride,
+            billOverrideReason,
+            depositWithheld,
+            depositWithholdReason
+        } = req.body;
+
+        // Convert ISO date string to HH:mm format
+        const endDate = new Date(req.body.endTime);
+        if (isNaN(endDate.getTime())) {
+            return res.status(400).json({ error: "Invalid end time format" });
+        }
+
+        // Format to HH:mm
+        endTime = endDate.toTimeString().slice(0, 5);
+
+        // Find booking
+        const booking = await Booking.findById(bookingId)
+            .populate('driverId', 'name')
+            .populate('carId', 'model registrationNumber')
+            .populate('customerId', 'fullName phoneNumber');
+
+        if (!booking) {
+            return res.status(404).json({ error: "Booking not found" });
+        }
+
+        // The return inspection supplies the odometer and any damage charges
+        const returnInspection = await Inspection.findOne({ bookingId: booking._id, type: 'return' });
+        if (!finalMeterReading && returnInspection) {
+            finalMeterReading = returnInspection.odometer;
+        }
+
+        // Validate required fields
+        if (!endTime || !finalMeterReading) {
+            return res.status(400).json({ 
+                error: "End time and final meter reading are required" 
+            });
+        }
+
+        const damageCharges = returnInspection ? returnInspection.damageCharges : 0;
+        if (damageCharges > 0) {
+            const damaged = returnInspection.damages
+                .filter(damage => damage.charge > 0)
+                .map(damage => damage.zone)
+                .join(', ');
+            additionalCharges = Number(additionalCharges) + damageCharges;
+            additionalChargesDescription = [additionalChargesDescription, `Damage: ${damaged}`]
+                .filter(Boolean)
+                .join('; ');
+        }
+
+        // Check if booking can be ended
+        if (!booking.canTransitionTo('completed')) {
+            return res.status(400).json({ 
+                error: "Only in-progress bookings can be ended. Hand the car over first" 
+            });
         }
 
         // Validate meter reading
@@ -784,31 +2142,178 @@ router.patch("/:bookingId/end", auth, async (req, res) => {
             });
         }
 
+        const readingError = await OdometerReading.checkReading(booking.carId._id, finalMeterReading);
+        if (readingError) {
+            return res.status(400).json({ error: readingError });
+        }
+
+        // An explicit deposit deduction must fit in what is held and be justified
+        const depositHeld = booking.securityDepositHeld;
+        const hasDepositWithheld = depositWithheld !== undefined && depositWithheld !== '';
+        if (hasDepositWithheld) {
+            const withheld = Number(depositWithheld);
+            if (isNaN(withheld) || withheld < 0 || withheld > depositHeld) {
+                return res.status(400).json({ 
+                    error: "Withheld deposit must be between 0 and the deposit held" 
+                });
+            }
+            if (withheld > 0 && !depositWithholdReason) {
+                return res.status(400).json({ 
+                    error: "A reason is required when withholding the security deposit" 
+                });
+            }
+        }
+
+        const before = BookingHistory.snapshot(booking);
+
+        // Charge kilometers driven beyond the rate card allowance, or apply a justified manual bill
+        let tripBill = booking.totalBill;
+        let earlyReturn = null;
+        if (billOverride !== undefined && billOverride !== '') {
+            const overrideError = billOverrideError(req.user, billOverride, billOverrideReason);
+            if (overrideError) {
+                return res.status(overrideError.statusCode).json({ error: overrideError.message });
+            }
+            tripBill = Number(billOverride);
+            booking.billOverrideReason = billOverrideReason;
+            booking.billOverriddenBy = req.user.id;
+        } else if (booking.billBreakdown && !booking.billOverrideReason) {
+            const breakdown = booking.billBreakdown;
+            const kilometersDriven = Number(finalMeterReading) - booking.meterReading;
+            const extraKilometers = breakdown.kilometerAllowance > 0
+                ? Math.max(0, kilometersDriven - breakdown.kilometerAllowance)
+                : 0;
+            const overageCharge = extraKilometers * (breakdown.perKmOverage || 0);
+
+            // Credit part of the unused days when the car comes back early
+            earlyReturn = booking.prorateEarlyReturn(endDate);
+            const earlyReturnCredit = earlyReturn ? earlyReturn.credit : 0;
+
+            tripBill = breakdown.total - (breakdown.overageCharge || 0) + overageCharge - earlyReturnCredit;
+            booking.billBreakdown = {
+                ...breakdown.toObject(),
+                kilometersDriven,
+                extraKilometers,
+                overageCharge,
+                earlyReturnCredit,
+                total: tripBill
+            };
+            if (earlyReturn) booking.earlyReturn = earlyReturn;
+        }
+
         // Calculate final bill including additional charges
-        const updatedTotalBill = booking.totalBill + Number(additionalCharges);
+        const updatedTotalBill = tripBill + Number(additionalCharges);
         const discountAmount = (updatedTotalBill * (booking.discountPercentage || 0)) / 100;
         const discountedTotal = updatedTotalBill - discountAmount;
-        const finalRemainingAmount = discountedTotal - booking.advancePaid - Number(remainingPayment);
 
         // Update booking
         booking.status = 'completed';
         booking.endTime = endTime;
-        booking.finalMeterReading = finalMeterReading;
+        booking.finalMeterReading = Number(finalMeterReading);
         booking.totalBill = updatedTotalBill;
-        booking.additionalCharges = additionalCharges;
+        booking.additionalCharges = Number(additionalCharges);
         booking.additionalChargesDescription = additionalChargesDescription;
-        booking.remainingPaymentReceived = remainingPayment;
+        booking.remainingPaymentReceived = Number(remainingPayment);
         booking.completedAt = new Date();
         booking.completedBy = req.user.id;
 
-        // Make driver available again
-        if (booking.driverPreference === "driver"){
-            await Driver.findByIdAndUpdate(booking.driverId._id, { 
-                available: true 
+        // Record the final payment in the ledger
+        if (Number(remainingPayment) > 0) {
+            booking.recordPayment({
+                amount: Number(remainingPayment),
+                type: 'installment',
+                method: paymentMethod,
+                reference: paymentReference,
+                receivedBy: req.user.id
+            });
+        }
+
+        // Settle the deposit, by default keeping enough of it to cover unpaid extra charges
+        let depositSettlement = null;
+        if (depositHeld > 0) {
+            const withheld = hasDepositWithheld
+                ? Number(depositWithheld)
+                : Math.min(depositHeld, Number(additionalCharges), Math.max(0, booking.remainingBalance));
+
+            depositSettlement = booking.settleSecurityDeposit({
+                withheld,
+                reason: depositWithholdReason || additionalChargesDescription || 'Applied to outstanding charges',
+                settledBy: req.user.id,
+                method: paymentMethod
+            });
+        }
+
+        // An early return credit can leave the bill below what was already paid; the excess is refunded
+        const overpaid = Math.max(0, -booking.remainingBalance);
+        if (overpaid > 0) {
+            booking.recordPayment({
+                amount: overpaid,
+                type: 'refund',
+                method: paymentMethod,
+                reference: earlyReturn ? 'Early return refund' : 'Overpayment refund',
+                receivedBy: req.user.id
+            });
+        }
+
+        // Validate before taking an invoice number, so a rejected bill leaves no gap in the sequence
+        await booking.validate();
+
+        // Complete the booking only if it is still in progress, and number the invoice in the same
+        // transaction so concurrent or failed completions do not consume numbers
+        const session = await mongoose.startSession();
+        try {
+            await session.withTransaction(async () => {
+                const claimed = await Booking.updateOne(
+                    { _id: booking._id, status: 'in-progress' },
+                    { $set: { status: 'completed' } },
+                    { session }
+                );
+                if (claimed.modifiedCount === 0) {
+                    throw requestError(409, "Booking status changed in the meantime, please try again");
+                }
+
+                // Invoices are numbered in sequence within the year of completion
+                booking.invoiceNumber = await Counter.nextInvoiceNumber(booking.completedAt.getFullYear(), session);
+                booking.invoiceIssuedAt = booking.completedAt;
+
+                await booking.save({ session });
+
+                await BookingHistory.record({
+                    booking,
+                    action: 'end',
+                    changedBy: req.user.id,
+                    before,
+                    note: [
+                        additionalChargesDescription,
+                        earlyReturn && `Returned ${earlyReturn.unusedDays} day(s) early, credited ${earlyReturn.credit}`
+                    ].filter(Boolean).join('; ') || undefined,
+                    session
+                });
+
+                // Rejected as a validation error if the reading went backwards
+                await OdometerReading.create([{
+                    carId: booking.carId._id,
+                    reading: booking.finalMeterReading,
+                    recordedAt: booking.completedAt,
+                    source: 'booking-end',
+                    bookingId: booking._id,
+                    recordedBy: req.user.id
+                }], { session });
             });
+        } finally {
+            await session.endSession();
         }
 
-        await booking.save();
+        // A car returned early is free for the rest of the booked period
+        if (booking.completedAt < booking.endAt) {
+            await WaitlistEntry.matchFreedBooking({
+                _id: booking._id,
+                carId: booking.carId,
+                carModel: booking.carModel,
+                startAt: booking.completedAt,
+                endAt: booking.endAt
+            }).catch(error => console.error("Error matching waitlist:", error));
+        }
 
         res.json({
             message: "Booking completed successfully",
@@ -837,28 +2342,604 @@ router.patch("/:bookingId/end", auth, async (req, res) => {
                 },
                 billing: {
                     originalAmount: booking.totalBill - additionalCharges,
+                    billBreakdown: booking.billBreakdown || null,
+                    billOverrideReason: booking.billOverrideReason || null,
+                    earlyReturn: earlyReturn,
                     additionalCharges: additionalCharges,
                     additionalChargesDescription: additionalChargesDescription,
                     totalAmount: updatedTotalBill,
                     advancePaid: booking.advancePaid,
                     remainingPaymentReceived: remainingPayment,
+                    amountPaid: booking.amountPaid,
+                    refunded: overpaid,
                     discount: booking.discountPercentage || 0,
                     discountAmount: discountAmount,
                     discountedTotal: discountedTotal,
-                    finalRemainingBalance: finalRemainingAmount
+                    finalRemainingBalance: booking.remainingBalance
                 },
+                securityDeposit: depositSettlement ? {
+                    ...depositSettlement,
+                    status: booking.securityDepositStatus,
+                    reason: booking.securityDepositWithholdReason || null
+                } : null,
                 completionDetails: {
                     completedAt: booking.completedAt,
-                    completedBy: req.user.id
+                    completedBy: req.user.id,
+                    invoiceNumber: booking.invoiceNumber
                 }
             }
         });
 
     } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({ error: error.message });
+        }
         console.error("Error ending booking:", error);
+        if (error.kind === 'ObjectId') {
+            return res.status(400).json({ error: "Invalid booking ID" });
+        }
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({ error: error.message });
+        }
         res.status(500).json({ error: "Failed to end booking" });
     }
 });
 
+// Record a payment against a booking
+router.post("/:bookingId/payments", auth, async (req, res) => {
+    try {
+        const { bookingId } = req.params;
+        const { amount, type, method, reference, receivedAt } = req.body;
+
+        // Validate required fields
+        if (!amount || !type) {
+            return res.status(400).json({ error: "Amount and payment type are required" });
+        }
+
+        if (isNaN(Number(amount)) || Number(amount) <= 0) {
+            return res.status(400).json({ error: "Amount must be a positive number" });
+        }
+
+        const validTypes = ['advance', 'installment', 'refund', 'security-deposit'];
+        if (!validTypes.includes(type)) {
+            return res.status(400).json({ error: "Invalid payment type" });
+        }
+
+        const validMethods = ['cash', 'bank', 'card', 'cheque'];
+        if (method && !validMethods.includes(method)) {
+            return res.status(400).json({ error: "Invalid payment method" });
+        }
+
+        // The payment and its history record are saved together, so concurrent payments
+        // cannot clash on the history version after one of them has been stored
+        let booking;
+        let payment;
+        const session = await mongoose.startSession();
+        try {
+            await session.withTransaction(async () => {
+                booking = await Booking.findById(bookingId).session(session);
+                if (!booking) {
+                    throw requestError(404, "Booking not found");
+                }
+
+                // Bookings that ended without a trip can only be refunded
+                if (Booking.UNFULFILLED_STATUSES.includes(booking.status) && type !== 'refund') {
+                    throw requestError(400, "Only refunds can be recorded against cancelled or no-show bookings");
+                }
+
+                // Refunds cannot exceed what has been paid
+                if (type === 'refund' && Number(amount) > booking.amountPaid) {
+                    throw requestError(400, "Refund amount cannot exceed the amount paid");
+                }
+
+                // Deposits are only held against self-drive trips still to be settled at return
+                if (type === 'security-deposit') {
+                    if (booking.driverPreference !== 'self' || !Booking.OPEN_STATUSES.includes(booking.status) || !(booking.securityDepositRequired > 0)) {
+                        throw requestError(400, "Security deposits are only taken on open self-drive bookings that require one");
+                    }
+
+                    const outstandingDeposit = booking.securityDepositRequired - booking.securityDepositHeld;
+                    if (Number(amount) > outstandingDeposit) {
+                        throw requestError(400, outstandingDeposit > 0
+                            ? `Only ${outstandingDeposit} of the security deposit is outstanding`
+                            : "The security deposit has already been collected");
+                    }
+                }
+
+                const before = BookingHistory.snapshot(booking);
+
+                payment = booking.recordPayment({
+                    amount: Number(amount),
+                    type,
+                    method: method || 'cash',
+                    reference,
+                    receivedBy: req.user.id,
+                    receivedAt: receivedAt ? new Date(receivedAt) : new Date()
+                });
+
+                if (type === 'security-deposit') {
+                    booking.securityDepositStatus = 'held';
+                }
+
+                await booking.save({ session });
+
+                await BookingHistory.record({
+                    booking,
+                    action: 'payment',
+                    changedBy: req.user.id,
+                    before,
+                    note: `${type} of ${payment.amount} by ${payment.method}${reference ? ` (${reference})` : ''}`,
+                    session
+                });
+            });
+        } finally {
+            await session.endSession();
+        }
+
+        res.status(201).json({
+            message: "Payment recorded successfully",
+            payment: {
+                id: payment._id,
+                amount: payment.amount,
+                type: payment.type,
+                method: payment.method,
+                reference: payment.reference || "",
+                receivedBy: req.user.id,
+                receivedAt: payment.receivedAt
+            },
+            billing: {
+                amountPaid: booking.amountPaid,
+                securityDeposit: booking.securityDepositCollected,
+                securityDepositHeld: booking.securityDepositHeld,
+                remaining: booking.remainingBalance
+            }
+        });
+
+    } catch (error) {
+        console.error("Error recording payment:", error);
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({ error: error.message });
+        }
+        if (error.kind === 'ObjectId') {
+            return res.status(400).json({ error: "Invalid booking ID" });
+        }
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({ error: error.message });
+        }
+        res.status(500).json({ error: "Failed to record payment" });
+    }
+});
+
+// Get the payment ledger of a booking
+router.get("/:bookingId/payments", auth, async (req, res) => {
+    try {
+        const { bookingId } = req.params;
+
+        const booking = await Booking.findById(bookingId)
+            .populate({
+                path: 'payments.receivedBy',
+                select: 'name'
+            });
+
+        if (!booking) {
+            return res.status(404).json({ error: "Booking not found" });
+        }
+
+        const discountAmount = (booking.totalBill * (booking.discountPercentage || 0)) / 100;
+        const discountedTotal = booking.totalBill - discountAmount;
+
+        const payments = booking.payments
+            .slice()
+            .sort((a, b) => a.receivedAt - b.receivedAt)
+            .map(payment => ({
+                id: payment._id,
+                amount: payment.amount,
+                type: payment.type,
+                method: payment.method,
+                reference: payment.reference || "",
+                receivedBy: payment.receivedBy?.name || 'N/A',
+                receivedAt: payment.receivedAt
+            }));
+
+        res.json({
+            bookingId: booking._id,
+            payments,
+            summary: {
+                discountedTotal: discountedTotal,
+                totalReceived: payments
+                    .filter(p => p.type === 'advance' || p.type === 'installment')
+                    .reduce((sum, p) => sum + p.amount, 0),
+                totalRefunded: payments
+                    .filter(p => p.type === 'refund')
+                    .reduce((sum, p) => sum + p.amount, 0),
+                securityDeposit: booking.securityDepositCollected,
+                securityDepositHeld: booking.securityDepositHeld,
+                securityDepositStatus: booking.securityDepositStatus || 'not-required',
+                amountPaid: booking.amountPaid,
+                remaining: booking.remainingBalance
+            }
+        });
+
+    } catch (error) {
+        console.error("Error fetching booking payments:", error);
+        if (error.kind === 'ObjectId') {
+            return res.status(400).json({ error: "Invalid booking ID" });
+        }
+        res.status(500).json({ error: "Failed to fetch booking payments" });
+    }
+});
+
+// Get the change history of a booking
+router.get("/:bookingId/history", auth, async (req, res) => {
+    try {
+        const { bookingId } = req.params;
+
+        const booking = await Booking.findById(bookingId, '_id');
+        if (!booking) {
+            return res.status(404).json({ error: "Booking not found" });
+        }
+
+        const history = await BookingHistory.find({ bookingId: booking._id })
+            .populate('changedBy', 'name')
+            .sort({ version: 1 });
+
+        res.json({
+            bookingId: booking._id,
+            history: history.map(entry => ({
+                version: entry.version,
+                action: entry.action,
+                changedBy: entry.changedBy?.name || 'N/A',
+                changedAt: entry.createdAt,
+                note: entry.note || "",
+                changes: entry.changes.map(change => ({
+                    field: change.field,
+                    oldValue: change.oldValue,
+                    newValue: change.newValue
+                }))
+            }))
+        });
+
+    } catch (error) {
+        console.error("Error fetching booking history:", error);
+        if (error.kind === 'ObjectId') {
+            return res.status(400).json({ error: "Invalid booking ID" });
+        }
+        res.status(500).json({ error: "Failed to fetch booking history" });
+    }
+});
+
+// Standard terms printed on every rental agreement
+const AGREEMENT_TERMS = [
+    'The vehicle must be returned on the agreed date and time in the condition it was handed over.',
+    'Extending the trip requires prior approval and is charged at the applicable rate.',
+    'Kilometers driven beyond the allowance are charged at the per kilometer overage rate.',
+    'Fuel, tolls, parking fines and traffic challans during the trip are the responsibility of the customer.',
+    'Any damage to the vehicle during the trip will be assessed and charged to the customer.',
+    'The vehicle may only be driven by the licence holder named in this agreement or the assigned driver.',
+    'Cancellations are refunded according to the cancellation policy in force at the time of booking.'
+];
+
+const formatAmount = (amount) => `Rs.${Number(amount || 0).toFixed(2)}`;
+
+const formatDateTime = (date, time) => {
+    if (!date) return 'N/A';
+    return `${new Date(date).toLocaleDateString()}${time ? ` ${time}` : ''}`;
+};
+
+// Start a PDF document streamed to the response
+const createPdf = (res, title, filename) => {
+    const doc = new PDFDocument({
+        size: 'A4',
+        margin: 50,
+        info: {
+            Title: title,
+            Author: 'Car Rental System'
+        }
+    });
+
+    doc.on('error', (err) => {
+        console.error('PDF Generation Error:', err);
+        if (!res.headersSent) {
+            res.status(500).json({ error: "Failed to generate PDF" });
+        }
+    });
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename=${filename}`);
+    doc.pipe(res);
+
+    doc.fontSize(24)
+        .fillColor('#2c3e50')
+        .text('Car Rental System', { align: 'center' })
+        .moveDown(0.5);
+
+    doc.fontSize(18)
+        .fillColor('#34495e')
+        .text(title, { align: 'center' })
+        .moveDown(1.5);
+
+    return doc;
+};
+
+const drawSection = (doc, title) => {
+    doc.fontSize(14)
+        .fillColor('#2c3e50')
+        .text(title, 50, doc.y, { underline: true })
+        .moveDown(0.5);
+};
+
+// Draw label/value pairs in two columns
+const drawDetails = (doc, details) => {
+    let y = doc.y;
+    details.forEach(([label, value]) => {
+        doc.fontSize(11)
+            .fillColor('#7f8c8d')
+            .text(label + ':', 50, y)
+            .fillColor('#2c3e50')
+            .text(String(value ?? 'N/A'), 200, y, { width: 345 });
+        y = Math.max(doc.y, y + 18);
+    });
+    doc.y = y;
+    doc.moveDown();
+};
+
+// Draw description/amount lines with the amounts right aligned
+const drawLineItems = (doc, items) => {
+    let y = doc.y;
+    items.forEach(([description, amount, bold]) => {
+        doc.fontSize(11)
+            .font(bold ? 'Helvetica-Bold' : 'Helvetica')
+            .fillColor('#2c3e50')
+            .text(description, 50, y, { width: 340 });
+        const nextY = doc.y;
+        doc.text(amount, 400, y, { width: 145, align: 'right' });
+        y = Math.max(nextY, doc.y, y + 18);
+    });
+    doc.font('Helvetica');
+    doc.y = y;
+    doc.moveDown();
+};
+
+// Download the rental agreement of a booking
+router.get("/:bookingId/agreement.pdf", auth, async (req, res) => {
+    try {
+        const { bookingId } = req.params;
+
+        const booking = await Booking.findById(bookingId)
+            .populate('carId', 'model variant year color registrationNumber chassisNumber')
+            .populate('customerId', 'fullName careOf idCardNumber phoneNumber address')
+            .populate('driverId', 'name')
+            .populate('bookedBy', 'name');
+
+        if (!booking) {
+            return res.status(404).json({ error: "Booking not found" });
+        }
+
+        if (Booking.UNFULFILLED_STATUSES.includes(booking.status)) {
+            return res.status(400).json({ error: "Cancelled or no-show bookings have no agreement" });
+        }
+
+        const doc = createPdf(res, 'Rental Agreement', `agreement-${booking._id}.pdf`);
+
+        drawDetails(doc, [
+            ['Agreement No', booking._id],
+            ['Date', new Date(booking.createdAt).toLocaleDateString()],
+            ['Booked By', booking.bookedBy?.name]
+        ]);
+
+        drawSection(doc, 'Customer');
+        drawDetails(doc, [
+            ['Name', booking.customerId.fullName],
+            ['Care Of', booking.customerId.careOf],
+            ['CNIC', booking.customerId.idCardNumber],
+            ['Phone', booking.customerId.phoneNumber],
+            ['Address', booking.customerId.address || 'N/A'],
+            ['Licence Number', booking.driverPreference === 'self'
+                ? booking.customerLicenseNumber
+                : 'N/A (driver provided)']
+        ]);
+
+        drawSection(doc, 'Vehicle');
+        if (booking.carId) {
+            drawDetails(doc, [
+                ['Model', `${booking.carId.model}${booking.carId.variant ? ` ${booking.carId.variant}` : ''}`],
+                ['Year', booking.carId.year],
+                ['Color', booking.carId.color],
+                ['Registration Number', booking.carId.registrationNumber],
+                ['Chassis Number', booking.carId.chassisNumber],
+                ['Meter Reading', booking.meterReading]
+            ]);
+        } else {
+            // Model-level booking whose car is allocated at handover
+            drawDetails(doc, [
+                ['Model', `${booking.carModel}${booking.carVariant ? ` ${booking.carVariant}` : ''}`],
+                ['Color', booking.carColor || 'Any'],
+                ['Registration Number', 'Allocated at handover']
+            ]);
+        }
+
+        drawSection(doc, 'Trip');
+        drawDetails(doc, [
+            ['Trip Type', booking.tripType === 'withincity' ? 'Within City' : 'Out of City'],
+            ['City', booking.cityName || 'N/A'],
+            ['Start', formatDateTime(booking.startDate, booking.tripStartTime)],
+            ['End', formatDateTime(booking.endDate, booking.tripEndTime)],
+            ['Driver', booking.driverId?.name || 'Self Drive']
+        ]);
+
+        drawSection(doc, 'Charges');
+        drawDetails(doc, [
+            ['Total Bill', formatAmount(booking.totalBill)],
+            ['Discount', booking.discountPercentage ? `${booking.discountPercentage}%` : 'None'],
+            ['Advance Paid', formatAmount(booking.advancePaid)],
+            ['Balance', formatAmount(booking.remainingBalance)]
+        ]);
+
+        drawSection(doc, 'Terms and Conditions');
+        AGREEMENT_TERMS.forEach((term, index) => {
+            doc.fontSize(10)
+                .fillColor('#2c3e50')
+                .text(`${index + 1}. ${term}`, 50, doc.y, { width: 495 })
+                .moveDown(0.3);
+        });
+
+        // Signature lines
+        doc.moveDown(3);
+        const signatureY = doc.y;
+        doc.fontSize(11)
+            .fillColor('#2c3e50')
+            .text('______________________', 50, signatureY)
+            .text('______________________', 345, signatureY)
+            .text('Customer Signature', 50, signatureY + 18)
+            .text('Company Representative', 345, signatureY + 18);
+
+        doc.end();
+
+    } catch (error) {
+        console.error("Error generating rental agreement:", error);
+        if (res.headersSent) return;
+        if (error.kind === 'ObjectId') {
+            return res.status(400).json({ error: "Invalid booking ID" });
+        }
+        res.status(500).json({ error: "Failed to generate rental agreement" });
+    }
+});
+
+// Download the invoice of a completed booking
+router.get("/:bookingId/invoice.pdf", auth, async (req, res) => {
+    try {
+        const { bookingId } = req.params;
+
+        const booking = await Booking.findById(bookingId)
+            .populate('carId', 'model variant registrationNumber')
+            .populate('customerId', 'fullName careOf idCardNumber phoneNumber address')
+            .populate('driverId', 'name');
+
+        if (!booking) {
+            return res.status(404).json({ error: "Booking not found" });
+        }
+
+        if (booking.status !== 'completed') {
+            return res.status(400).json({ error: "Invoices are only available for completed bookings" });
+        }
+
+        // Bookings completed before invoices were numbered get their number on first download;
+        // the number is only taken by the download that sets it
+        if (!booking.invoiceNumber) {
+            const completedAt = booking.completedAt || booking.updatedAt;
+            const session = await mongoose.startSession();
+            try {
+                await session.withTransaction(async () => {
+                    const invoiceNumber = await Counter.nextInvoiceNumber(new Date(completedAt).getFullYear(), session);
+                    const numbered = await Booking.findOneAndUpdate(
+                        { _id: booking._id, invoiceNumber: null },
+                        { $set: { invoiceNumber, invoiceIssuedAt: new Date() } },
+                        { new: true, session }
+                    );
+
+                    // Another download numbered it first, so the counter is rolled back
+                    if (!numbered) {
+                        await session.abortTransaction();
+                    }
+                });
+            } finally {
+                await session.endSession();
+            }
+
+            const numbered = await Booking.findById(booking._id, 'invoiceNumber invoiceIssuedAt');
+            booking.invoiceNumber = numbered.invoiceNumber;
+            booking.invoiceIssuedAt = numbered.invoiceIssuedAt;
+        }
+
+        const doc = createPdf(res, 'Invoice', `${booking.invoiceNumber}.pdf`);
+
+        drawDetails(doc, [
+            ['Invoice No', booking.invoiceNumber],
+            ['Invoice Date', new Date(booking.invoiceIssuedAt || booking.completedAt).toLocaleDateString()],
+            ['Booking', booking._id]
+        ]);
+
+        drawSection(doc, 'Billed To');
+        drawDetails(doc, [
+            ['Name', booking.customerId.fullName],
+            ['Care Of', booking.customerId.careOf],
+            ['CNIC', booking.customerId.idCardNumber],
+            ['Phone', booking.customerId.phoneNumber]
+        ]);
+
+        drawSection(doc, 'Trip');
+        drawDetails(doc, [
+            ['Vehicle', `${booking.carId.model} (${booking.carId.registrationNumber})`],
+            ['Trip Type', booking.tripType === 'withincity' ? 'Within City' : `Out of City (${booking.cityName})`],
+            ['Start', formatDateTime(booking.startDate, booking.tripStartTime)],
+            ['Returned', formatDateTime(booking.completedAt, booking.endTime)],
+            ['Driver', booking.driverId?.name || 'Self Drive'],
+            ['Kilometers', booking.totalKilometers ?? 'N/A']
+        ]);
+
+        // Itemized charges, from the rate card breakdown where there is one
+        drawSection(doc, 'Charges');
+        const breakdown = booking.billBreakdown;
+        const items = [];
+        if (breakdown && breakdown.days && !booking.billOverrideReason) {
+            items.push([`Rental (${breakdown.days} day(s) x ${formatAmount(breakdown.dailyRate)})`, formatAmount(breakdown.rentalCharge)]);
+            if (breakdown.driverCharge) items.push(['Driver fee', formatAmount(breakdown.driverCharge)]);
+            if (breakdown.nightStayCharge) items.push([`Night stay (${breakdown.nights} night(s))`, formatAmount(breakdown.nightStayCharge)]);
+            if (breakdown.overageCharge) {
+                items.push([`Extra kilometers (${breakdown.extraKilometers} km x ${formatAmount(breakdown.perKmOverage)})`, formatAmount(breakdown.overageCharge)]);
+            }
+            if (breakdown.earlyReturnCredit) items.push(['Early return credit', `-${formatAmount(breakdown.earlyReturnCredit)}`]);
+        } else {
+            items.push(['Trip charges', formatAmount(booking.totalBill - (booking.additionalCharges || 0))]);
+        }
+
+        if (booking.additionalCharges) {
+            items.push([
+                `Additional charges${booking.additionalChargesDescription ? ` (${booking.additionalChargesDescription})` : ''}`,
+                formatAmount(booking.additionalCharges)
+            ]);
+        }
+
+        items.push(['Subtotal', formatAmount(booking.totalBill), true]);
+
+        if (booking.discountPercentage) {
+            const discountAmount = booking.totalBill - booking.discountedTotalAmount;
+            items.push([
+                `Discount ${booking.discountPercentage}%${booking.discountReference ? ` (${booking.discountReference})` : ''}`,
+                `-${formatAmount(discountAmount)}`
+            ]);
+        }
+
+        items.push(['Total', formatAmount(booking.discountedTotalAmount), true]);
+        drawLineItems(doc, items);
+
+        // Payments towards the bill; security deposits are held separately
+        drawSection(doc, 'Payments Received');
+        const payments = booking.payments.length > 0
+            ? booking.payments.filter(payment => !['security-deposit', 'deposit-release'].includes(payment.type))
+            : [{ type: 'advance', amount: booking.advancePaid, receivedAt: booking.createdAt }];
+
+        drawLineItems(doc, [
+            ...payments.map(payment => [
+                `${new Date(payment.receivedAt).toLocaleDateString()} - ${payment.type}${payment.method ? ` (${payment.method}${payment.reference ? `, ${payment.reference}` : ''})` : ''}`,
+                `${payment.type === 'refund' ? '-' : ''}${formatAmount(payment.amount)}`
+            ]),
+            ['Amount Paid', formatAmount(booking.amountPaid), true],
+            ['Balance Due', formatAmount(booking.remainingBalance), true]
+        ]);
+
+        doc.end();
+
+    } catch (error) {
+        console.error("Error generating invoice:", error);
+        if (res.headersSent) return;
+        if (error.kind === 'ObjectId') {
+            return res.status(400).json({ error: "Invalid booking ID" });
+        }
+        res.status(500).json({ error: "Failed to generate invoice" });
+    }
+});
+
 
-module.exports = router; 
\ No newline at end of file
+module.exports = router; 
+module.exports.cancelBooking = cancelBooking;
@@ -0,0 +1,178 @@
+const express = require("express");
+const router = express.Router();
+const CancellationPolicy = require("../models/CancellationPolicy");
+const auth = require("../middleware/auth");
+const admin = require("../middleware/admin");
+
+// Validate the refund tiers sent by the client
+const validateRules = (rules) => {
+    if (!Array.isArray(rules) || rules.length === 0) {
+        return "At least one rule is required";
+    }
+
+    for (const rule of rules) {
+        if (rule.minHoursBeforeStart === undefined || isNaN(Number(rule.minHoursBeforeStart))) {
+            return "Each rule needs a numeric minHoursBeforeStart";
+        }
+        const refundPercentage = Number(rule.refundPercentage);
+        if (isNaN(refundPercentage) || refundPercentage < 0 || refundPercentage > 100) {
+            return "Each rule needs a refundPercentage between 0 and 100";
+        }
+    }
+
+    return null;
+};
+
+const formatPolicy = (policy) => ({
+    id: policy._id,
+    name: policy.name,
+    tripType: policy.tripType,
+    rules: policy.rules
+        .slice()
+        .sort((a, b) => b.minHoursBeforeStart - a.minHoursBeforeStart)
+        .map(rule => ({
+            minHoursBeforeStart: rule.minHoursBeforeStart,
+            refundPercentage: rule.refundPercentage
+        })),
+    active: policy.active,
+    createdAt: policy.createdAt,
+    updatedAt: policy.updatedAt
+});
+
+// Get all cancellation policies
+router.get("/", auth, async (req, res) => {
+    try {
+        const policies = await CancellationPolicy.find()
+            .sort({ active: -1, updatedAt: -1 });
+
+        res.json({ policies: policies.map(formatPolicy) });
+    } catch (error) {
+        console.error("Error fetching cancellation policies:", error);
+        res.status(500).json({ error: "Failed to fetch cancellation policies" });
+    }
+});
+
+// Add a new cancellation policy (Admin only)
+router.post("/", auth, admin, async (req, res) => {
+    try {
+        const { name, tripType = 'all', rules } = req.body;
+
+        if (!name) {
+            return res.status(400).json({ error: "Policy name is required" });
+        }
+
+        if (!['withincity', 'outofcity', 'all'].includes(tripType)) {
+            return res.status(400).json({ error: "Invalid trip type" });
+        }
+
+        const rulesError = validateRules(rules);
+        if (rulesError) {
+            return res.status(400).json({ error: rulesError });
+        }
+
+        const policy = new CancellationPolicy({
+            name,
+            tripType,
+            rules: rules.map(rule => ({
+                minHoursBeforeStart: Number(rule.minHoursBeforeStart),
+                refundPercentage: Number(rule.refundPercentage)
+            })),
+            createdBy: req.user.id
+        });
+
+        await policy.save();
+
+        res.status(201).json({
+            message: "Cancellation policy added successfully",
+            policy: formatPolicy(policy)
+        });
+
+    } catch (error) {
+        console.error("Error adding cancellation policy:", error);
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({ error: error.message });
+        }
+        res.status(500).json({ error: "Failed to add cancellation policy" });
+    }
+});
+
+// Update a cancellation policy (Admin only)
+router.patch("/:policyId", auth, admin, async (req, res) => {
+    try {
+        const { policyId } = req.params;
+        const { name, tripType, rules, active } = req.body;
+
+        const policy = await CancellationPolicy.findById(policyId);
+        if (!policy) {
+            return res.status(404).json({ error: "Cancellation policy not found" });
+        }
+
+        if (tripType !== undefined) {
+            if (!['withincity', 'outofcity', 'all'].includes(tripType)) {
+                return res.status(400).json({ error: "Invalid trip type" });
+            }
+            policy.tripType = tripType;
+        }
+
+        if (rules !== undefined) {
+            const rulesError = validateRules(rules);
+            if (rulesError) {
+                return res.status(400).json({ error: rulesError });
+            }
+            policy.rules = rules.map(rule => ({
+                minHoursBeforeStart: Number(rule.minHoursBeforeStart),
+                refundPercentage: Number(rule.refundPercentage)
+            }));
+        }
+
+        if (name) policy.name = name;
+        if (active !== undefined) policy.active = Boolean(active);
+
+        await policy.save();
+
+        res.json({
+            message: "Cancellation policy updated successfully",
+            policy: formatPolicy(policy)
+        });
+
+    } catch (error) {
+        console.error("Error updating cancellation policy:", error);
+        if (error.kind === 'ObjectId') {
+            return res.status(400).json({ error: "Invalid policy ID" });
+        }
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({ error: error.message });
+        }
+        res.status(500).json({ error: "Failed to update cancellation policy" });
+    }
+});
+
+// Deactivate a cancellation policy (Admin only)
+router.delete("/:policyId", auth, admin, async (req, res) => {
+    try {
+        const { policyId } = req.params;
+
+        const policy = await CancellationPolicy.findById(policyId);
+        if (!policy) {
+            return res.status(404).json({ error: "Cancellation policy not found" });
+        }
+
+        // Bookings keep a reference to the policy, so it is only deactivated
+        policy.active = false;
+        await policy.save();
+
+        res.json({
+            message: "Cancellation policy deactivated successfully",
+            policy: formatPolicy(policy)
+        });
+
+    } catch (error) {
+        console.error("Error deactivating cancellation policy:", error);
+        if (error.kind === 'ObjectId') {
+            return res.status(400).json({ error: "Invalid policy ID" });
+        }
+        res.status(500).json({ error: "Failed to deactivate cancellation policy" });
+    }
+});
+
+module.exports = router;
@@ -1,13 +1,99 @@
 const express = require("express");
+const mongoose = require("mongoose");
 const Car = require("../models/Car");
 const auth = require("../middleware/auth");
 const admin = require("../middleware/admin");
+const { roleOf } = require("../middleware/permissions");
 const router = express.Router();
 const Booking = require("../models/Booking");
 const User = require("../models/User");
 const Expense = require("../models/Expense");
+const MaintenanceWorkOrder = require("../models/MaintenanceWorkOrder");
+const OdometerReading = require("../models/OdometerReading");
+const { upload, uploadFile } = require("./auth");
 const PDFDocument = require('pdfkit');
 
+// Fields of a car that can be edited after it is added
+const EDITABLE_FIELDS = ['model', 'year', 'color', 'registrationNumber', 'chassisNumber', 'engineNumber', 'image', 'variant', 'category'];
+
+const IDENTIFIER_LABELS = {
+    registrationNumber: 'Registration number',
+    chassisNumber: 'Chassis number',
+    engineNumber: 'Engine number'
+};
+
+const requestError = (statusCode, message) => {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+};
+
+// Open model-level bookings that no longer fit in the model's cars in service
+const overbookedModelBookings = async (carModel, session = null) => {
+    const bookings = await Booking.find({
+        carModel,
+        carId: null,
+        status: { $in: Booking.OPEN_STATUSES }
+    }).session(session);
+
+    const overbooked = [];
+    for (const booking of bookings) {
+        if (!(await booking.isCarAvailable(booking.startAt, booking.endAt, session))) {
+            overbooked.push(booking);
+        }
+    }
+    return overbooked;
+};
+
+const formatCar = (car) => ({
+    id: car._id,
+    model: car.model,
+    year: car.year,
+    color: car.color.toLowerCase(),
+    variant: car.variant,
+    category: car.category || 'standard',
+    registrationNumber: car.registrationNumber,
+    chassisNumber: car.chassisNumber,
+    engineNumber: car.engineNumber,
+    image: car.image || "/placeholder.svg?height=200&width=300",
+    status: car.status || 'active',
+    statusReason: car.statusReason || "",
+    statusChangedAt: car.statusChangedAt || null,
+    soldAt: car.soldAt || null,
+    salePrice: car.salePrice ?? null,
+    buyer: car.buyer || "",
+    writtenOffAt: car.writtenOffAt || null,
+    createdAt: car.createdAt,
+    updatedAt: car.updatedAt
+});
+
+const formatCarDocument = (document) => ({
+    id: document._id,
+    type: document.type,
+    number: document.number || "",
+    issueDate: document.issueDate || null,
+    expiryDate: document.expiryDate || null,
+    files: document.files,
+    notes: document.notes || "",
+    uploadedAt: document.uploadedAt
+});
+
+// A maintenance plan with when it falls due, as worked out by car.maintenanceStatus
+const formatMaintenancePlan = ({ plan, dueKm, dueAt, remainingKm, remainingDays, status }) => ({
+    planId: plan._id,
+    type: plan.type,
+    name: plan.name || plan.type,
+    intervalKm: plan.intervalKm || null,
+    intervalMonths: plan.intervalMonths || null,
+    lastServicedAt: plan.lastServicedAt,
+    lastServicedKm: plan.lastServicedKm,
+    dueKm,
+    dueAt,
+    remainingKm,
+    remainingDays,
+    status
+});
+
 // Add this route to get stakeholder's cars with statistics
 router.get("/mine", auth, async (req, res) => {
 
@@ -26,7 +112,7 @@ router.get("/mine", auth, async (req, res) => {
         const carIds = cars.map(car => car._id);
         const bookings = await Booking.find({
             carId: { $in: carIds },
-            status: { $ne: 'active' }
+            status: { $nin: Booking.OPEN_STATUSES }
         });
 
         // Get stakeholder's commission percentage
@@ -52,7 +138,7 @@ router.get("/mine", auth, async (req, res) => {
             // Check if car is currently available
             const activeBooking = await Booking.findOne({
                 carId: car._id,
-                status: 'active'
+                status: { $in: Booking.OPEN_STATUSES }
             });
 
             return {
@@ -65,7 +151,8 @@ router.get("/mine", auth, async (req, res) => {
                 chassisNumber: car.chassisNumber,
                 engineNumber: car.engineNumber,
                 image: car.image || "/placeholder.svg?height=200&width=300",
-                available: !activeBooking,
+                status: car.status || 'active',
+                available: car.status === 'active' && !activeBooking,
                 totalBookings,
                 totalRevenue,
                 totalProfit: Math.round(totalProfit) // Round to nearest integer
@@ -88,6 +175,450 @@ router.get("/all", auth, admin, async (req, res) => {
     res.status(200).json(cars)
 })
 
+// List maintenance falling due across the fleet, overdue first
+router.get("/maintenance/due", auth, async (req, res) => {
+    try {
+        const cars = await Car.find({ deleted: false, 'maintenancePlans.0': { $exists: true } });
+        const odometers = await Car.odometerReadings(cars.map(car => car._id));
+
+        // Plans already booked into the workshop
+        const openWorkOrders = await MaintenanceWorkOrder.find({
+            carId: { $in: cars.map(car => car._id) },
+            planId: { $ne: null },
+            status: { $in: MaintenanceWorkOrder.BLOCKING_STATUSES }
+        });
+        const workOrderByPlan = new Map(openWorkOrders.map(workOrder => [workOrder.planId.toString(), workOrder]));
+
+        const due = [];
+        for (const car of cars) {
+            const odometer = odometers.get(car._id.toString())?.reading || 0;
+
+            for (const item of car.maintenanceStatus(odometer)) {
+                if (item.status === 'ok') continue;
+
+                due.push({
+                    car: { id: car._id, model: car.model, registrationNumber: car.registrationNumber },
+                    odometer,
+                    ...formatMaintenancePlan(item),
+                    workOrderId: workOrderByPlan.get(item.plan._id.toString())?._id || null
+                });
+            }
+        }
+
+        due.sort((a, b) => (a.status === 'overdue' ? 0 : 1) - (b.status === 'overdue' ? 0 : 1));
+
+        res.json({
+            due,
+            summary: {
+                overdue: due.filter(item => item.status === 'overdue').length,
+                dueSoon: due.filter(item => item.status === 'due-soon').length
+            }
+        });
+
+    } catch (error) {
+        console.error("Error fetching due maintenance:", error);
+        res.status(500).json({ error: "Failed to fetch due maintenance" });
+    }
+});
+
+// Kilometres a car covered per month and per booking, with its average daily distance
+router.get("/:carId/mileage", auth, async (req, res) => {
+    try {
+        const from = req.query.from ? new Date(req.query.from) : null;
+        const to = req.query.to ? new Date(req.query.to) : null;
+        if ((from && isNaN(from.getTime())) || (to && isNaN(to.getTime()))) {
+            return res.status(400).json({ error: "Invalid from or to date" });
+        }
+
+        const car = await Car.findById(req.params.carId);
+        if (!car) {
+            return res.status(404).json({ error: "Car not found" });
+        }
+
+        const recordedAt = {};
+        if (from) recordedAt.$gte = from;
+        if (to) recordedAt.$lte = to;
+
+        const readings = await OdometerReading.find({
+            carId: car._id,
+            ...(from || to ? { recordedAt } : {})
+        }).sort({ recordedAt: 1, reading: 1 });
+
+        // Distance between consecutive readings counts towards the month of the later one
+        const byMonth = {};
+        let totalKilometers = 0;
+        for (let i = 1; i < readings.length; i++) {
+            const kilometers = Math.max(0, readings[i].reading - readings[i - 1].reading);
+            const at = readings[i].recordedAt;
+            const month = `${at.getFullYear()}-${String(at.getMonth() + 1).padStart(2, '0')}`;
+            byMonth[month] = (byMonth[month] || 0) + kilometers;
+            totalKilometers += kilometers;
+        }
+
+        const completedAt = {};
+        if (from) completedAt.$gte = from;
+        if (to) completedAt.$lte = to;
+
+        const bookings = await Booking.find({
+            carId: car._id,
+            status: 'completed',
+            finalMeterReading: { $ne: null },
+            ...(from || to ? { completedAt } : {})
+        })
+            .populate('customerId', 'fullName')
+            .sort({ completedAt: -1 });
+
+        const perBooking = bookings.map(booking => {
+            const startedAt = booking.startedAt || booking.startAt;
+            const days = Math.max(1, Math.ceil((booking.completedAt - startedAt) / (24 * 60 * 60 * 1000)));
+            const kilometers = booking.finalMeterReading - booking.meterReading;
+            return {
+                bookingId: booking._id,
+                customerName: booking.customerId?.fullName || 'N/A',
+                startedAt,
+                completedAt: booking.completedAt,
+                meterReading: booking.meterReading,
+                finalMeterReading: booking.finalMeterReading,
+                kilometers,
+                days,
+                kilometersPerDay: Math.round(kilometers / days * 10) / 10
+            };
+        });
+
+        const trackedDays = readings.length > 1
+            ? Math.max(1, Math.ceil((readings[readings.length - 1].recordedAt - readings[0].recordedAt) / (24 * 60 * 60 * 1000)))
+            : 0;
+        const tripKilometers = perBooking.reduce((sum, booking) => sum + booking.kilometers, 0);
+        const tripDays = perBooking.reduce((sum, booking) => sum + booking.days, 0);
+
+        res.json({
+            car: { id: car._id, model: car.model, registrationNumber: car.registrationNumber },
+            odometer: readings.length > 0 ? readings[readings.length - 1].reading : null,
+            perMonth: Object.entries(byMonth)
+                .sort(([a], [b]) => a.localeCompare(b))
+                .map(([month, kilometers]) => ({ month, kilometers })),
+            perBooking,
+            summary: {
+                totalKilometers,
+                trackedDays,
+                // Over the whole tracked period, idle days included
+                averageKilometersPerDay: trackedDays ? Math.round(totalKilometers / trackedDays * 10) / 10 : 0,
+                tripKilometers,
+                tripDays,
+                averageKilometersPerTripDay: tripDays ? Math.round(tripKilometers / tripDays * 10) / 10 : 0
+            }
+        });
+
+    } catch (error) {
+        console.error("Error fetching car mileage:", error);
+        if (error.kind === 'ObjectId') {
+            return res.status(400).json({ error: "Invalid car ID" });
+        }
+        res.status(500).json({ error: "Failed to fetch car mileage" });
+    }
+});
+
+// Get a car's maintenance plans and when each falls due
+router.get("/:carId/maintenance-plans", auth, async (req, res) => {
+    try {
+        const car = await Car.findById(req.params.carId);
+        if (!car) {
+            return res.status(404).json({ error: "Car not found" });
+        }
+
+        const odometer = (await Car.odometerReadings([car._id])).get(car._id.toString())?.reading || 0;
+
+        res.json({
+            odometer,
+            plans: car.maintenanceStatus(odometer).map(formatMaintenancePlan)
+        });
+
+    } catch (error) {
+        console.error("Error fetching maintenance plans:", error);
+        if (error.kind === 'ObjectId') {
+            return res.status(400).json({ error: "Invalid car ID" });
+        }
+        res.status(500).json({ error: "Failed to fetch maintenance plans" });
+    }
+});
+
+// Add a maintenance plan to a car, counted from its last service or from now (Admin only)
+router.post("/:carId/maintenance-plans", auth, admin, async (req, res) => {
+    try {
+        const { type, name, intervalKm, intervalMonths, lastServicedAt, lastServicedKm } = req.body;
+
+        if (!type || (!intervalKm && !intervalMonths)) {
+            return res.status(400).json({ error: "Plan type and a kilometre or month interval are required" });
+        }
+
+        const car = await Car.findById(req.params.carId);
+        if (!car) {
+            return res.status(404).json({ error: "Car not found" });
+        }
+
+        const odometer = (await Car.odometerReadings([car._id])).get(car._id.toString())?.reading || 0;
+
+        car.maintenancePlans.push({
+            type,
+            name,
+            intervalKm: intervalKm ? Number(intervalKm) : undefined,
+            intervalMonths: intervalMonths ? Number(intervalMonths) : undefined,
+            lastServicedAt: lastServicedAt ? new Date(lastServicedAt) : new Date(),
+            lastServicedKm: lastServicedKm !== undefined ? Number(lastServicedKm) : odometer,
+            addedBy: req.user.id
+        });
+        await car.save();
+
+        const plan = car.maintenancePlans[car.maintenancePlans.length - 1];
+
+        res.status(201).json({
+            message: "Maintenance plan added successfully",
+            plan: formatMaintenancePlan(car.maintenanceStatus(odometer).find(item => item.plan._id.equals(plan._id)))
+        });
+
+    } catch (error) {
+        console.error("Error adding maintenance plan:", error);
+        if (error.kind === 'ObjectId') {
+            return res.status(400).json({ error: "Invalid car ID" });
+        }
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({ error: error.message });
+        }
+        res.status(500).json({ error: "Failed to add maintenance plan" });
+    }
+});
+
+// Change a maintenance plan's intervals or last service (Admin only)
+router.patch("/:carId/maintenance-plans/:planId", auth, admin, async (req, res) => {
+    try {
+        const { name, intervalKm, intervalMonths, lastServicedAt, lastServicedKm } = req.body;
+
+        const car = await Car.findById(req.params.carId);
+        if (!car) {
+            return res.status(404).json({ error: "Car not found" });
+        }
+
+        const plan = car.maintenancePlans.id(req.params.planId);
+        if (!plan) {
+            return res.status(404).json({ error: "Maintenance plan not found" });
+        }
+
+        if (name !== undefined) plan.name = name;
+        if (intervalKm !== undefined) plan.intervalKm = intervalKm ? Number(intervalKm) : undefined;
+        if (intervalMonths !== undefined) plan.intervalMonths = intervalMonths ? Number(intervalMonths) : undefined;
+        if (lastServicedAt) plan.lastServicedAt = new Date(lastServicedAt);
+        if (lastServicedKm !== undefined) plan.lastServicedKm = Number(lastServicedKm);
+
+        if (!plan.intervalKm && !plan.intervalMonths) {
+            return res.status(400).json({ error: "A plan needs a kilometre or month interval" });
+        }
+
+        await car.save();
+
+        const odometer = (await Car.odometerReadings([car._id])).get(car._id.toString())?.reading || 0;
+
+        res.json({
+            message: "Maintenance plan updated successfully",
+            plan: formatMaintenancePlan(car.maintenanceStatus(odometer).find(item => item.plan._id.equals(plan._id)))
+        });
+
+    } catch (error) {
+        console.error("Error updating maintenance plan:", error);
+        if (error.kind === 'ObjectId') {
+            return res.status(400).json({ error: "Invalid car or plan ID" });
+        }
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({ error: error.message });
+        }
+        res.status(500).json({ error: "Failed to update maintenance plan" });
+    }
+});
+
+// Remove a maintenance plan from a car (Admin only)
+router.delete("/:carId/maintenance-plans/:planId", auth, admin, async (req, res) => {
+    try {
+        const car = await Car.findById(req.params.carId);
+        if (!car) {
+            return res.status(404).json({ error: "Car not found" });
+        }
+
+        const plan = car.maintenancePlans.id(req.params.planId);
+        if (!plan) {
+            return res.status(404).json({ error: "Maintenance plan not found" });
+        }
+
+        plan.deleteOne();
+        await car.save();
+
+        res.json({ message: "Maintenance plan removed successfully" });
+
+    } catch (error) {
+        console.error("Error removing maintenance plan:", error);
+        if (error.kind === 'ObjectId') {
+            return res.status(400).json({ error: "Invalid car or plan ID" });
+        }
+        res.status(500).json({ error: "Failed to remove maintenance plan" });
+    }
+});
+
+// List vehicle documents expired or expiring soon, soonest first, for the dashboard
+router.get("/documents/expiring", auth, async (req, res) => {
+    try {
+        const days = req.query.days !== undefined ? Number(req.query.days) : Car.documentExpiryWarningDays();
+        if (isNaN(days) || days < 0) {
+            return res.status(400).json({ error: "Days must be a non-negative number" });
+        }
+
+        const now = new Date();
+        const horizon = new Date(now.getTime() + days * 24 * 60 * 60 * 1000);
+        const query = { deleted: false, 'documents.expiryDate': { $lte: horizon } };
+        // Stakeholders only see their own cars
+        if (req.user.role === 'stakeholder') {
+            query.user = req.user.id;
+        }
+
+        const cars = await Car.find(query);
+
+        const documents = [];
+        for (const car of cars) {
+            // Superseded documents are ignored once their renewal is recorded
+            for (const document of car.currentDocuments()) {
+                if (!document.expiryDate || document.expiryDate > horizon) continue;
+
+                documents.push({
+                    car: { id: car._id, model: car.model, registrationNumber: car.registrationNumber },
+                    ...formatCarDocument(document),
+                    status: document.expiryDate < now ? 'expired' : 'expiring-soon'
+                });
+            }
+        }
+
+        documents.sort((a, b) => a.expiryDate - b.expiryDate);
+
+        res.json({
+            documents,
+            summary: {
+                expired: documents.filter(document => document.status === 'expired').length,
+                expiringSoon: documents.filter(document => document.status === 'expiring-soon').length
+            }
+        });
+
+    } catch (error) {
+        console.error("Error fetching expiring documents:", error);
+        res.status(500).json({ error: "Failed to fetch expiring documents" });
+    }
+});
+
+// Get a car's documents, current ones marked
+router.get("/:carId/documents", auth, async (req, res) => {
+    try {
+        const car = await Car.findById(req.params.carId);
+        if (!car) {
+            return res.status(404).json({ error: "Car not found" });
+        }
+
+        const currentIds = new Set(car.currentDocuments().map(document => document._id.toString()));
+
+        res.json({
+            documents: car.documents
+                .map(document => ({ ...formatCarDocument(document), current: currentIds.has(document._id.toString()) }))
+                .sort((a, b) => b.uploadedAt - a.uploadedAt)
+        });
+
+    } catch (error) {
+        console.error("Error fetching car documents:", error);
+        if (error.kind === 'ObjectId') {
+            return res.status(400).json({ error: "Invalid car ID" });
+        }
+        res.status(500).json({ error: "Failed to fetch car documents" });
+    }
+});
+
+// Record a car document such as a renewed insurance policy, with its scans (Admin only)
+router.post("/:carId/documents", auth, admin, upload.array('files', 5), async (req, res) => {
+    try {
+        const { type, number, issueDate, expiryDate, notes } = req.body;
+
+        if (!type) {
+            return res.status(400).json({ error: "Document type is required" });
+        }
+
+        const issue = issueDate ? new Date(issueDate) : undefined;
+        const expiry = expiryDate ? new Date(expiryDate) : undefined;
+        if ((issue && isNaN(issue.getTime())) || (expiry && isNaN(expiry.getTime()))) {
+            return res.status(400).json({ error: "Invalid issue or expiry date" });
+        }
+
+        if (issue && expiry && expiry <= issue) {
+            return res.status(400).json({ error: "Expiry date must be after the issue date" });
+        }
+
+        const car = await Car.findById(req.params.carId);
+        if (!car) {
+            return res.status(404).json({ error: "Car not found" });
+        }
+
+        const files = [];
+        for (const file of req.files || []) {
+            const result = await uploadFile({ file });
+            files.push(result.secure_url);
+        }
+
+        car.documents.push({
+            type,
+            number,
+            issueDate: issue,
+            expiryDate: expiry,
+            files,
+            notes,
+            uploadedBy: req.user.id
+        });
+        await car.save();
+
+        res.status(201).json({
+            message: "Document recorded successfully",
+            document: formatCarDocument(car.documents[car.documents.length - 1])
+        });
+
+    } catch (error) {
+        console.error("Error recording car document:", error);
+        if (error.kind === 'ObjectId') {
+            return res.status(400).json({ error: "Invalid car ID" });
+        }
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({ error: error.message });
+        }
+        res.status(500).json({ error: "Failed to record document" });
+    }
+});
+
+// Remove a document recorded by mistake (Admin only)
+router.delete("/:carId/documents/:documentId", auth, admin, async (req, res) => {
+    try {
+        const car = await Car.findById(req.params.carId);
+        if (!car) {
+            return res.status(404).json({ error: "Car not found" });
+        }
+
+        const document = car.documents.id(req.params.documentId);
+        if (!document) {
+            return res.status(404).json({ error: "Document not found" });
+        }
+
+        document.deleteOne();
+        await car.save();
+
+        res.json({ message: "Document removed successfully" });
+
+    } catch (error) {
+        console.error("Error removing car document:", error);
+        if (error.kind === 'ObjectId') {
+            return res.status(400).json({ error: "Invalid car or document ID" });
+        }
+        res.status(500).json({ error: "Failed to remove document" });
+    }
+});
+
 // Add a new car
 router.post("/", auth, async (req, res) => {
     if (!(req.user.role === "admin" || req.user.role === "stakeholder")) {
@@ -95,7 +626,7 @@ router.post("/", auth, async (req, res) => {
     }
 
     try {
-        const { model, year, color, registrationNumber, chassisNumber, engineNumber, image, variant, ownerId } = req.body;
+        const { model, year, color, registrationNumber, chassisNumber, engineNumber, image, variant, category, ownerId } = req.body;
         if (!model || !year || !color || !registrationNumber || !chassisNumber || !engineNumber) {
             return res.status(400).json({ error: "All fields are required" });
         }
@@ -112,6 +643,7 @@ router.post("/", auth, async (req, res) => {
             engineNumber,
             image,
             variant: variant || '', // Set empty string as default if not provided
+            category,
             user: ownerId ? ownerId : req.user.id
         });
 
@@ -128,6 +660,8 @@ router.get("/", auth, async (req, res) => {
     try {
         const { startDate, endDate } = req.query;
         let unavailableCarIds = new Set();
+        // Model-level bookings not yet given a car still take one of their model
+        const unallocatedByModel = {};
 
         // If date range is provided, check for unavailable cars
         if (startDate && endDate) {
@@ -142,18 +676,23 @@ router.get("/", auth, async (req, res) => {
                     });
                 }
 
-                // Find overlapping bookings
+                // Find bookings overlapping the exact interval, including turnaround time
                 const overlappingBookings = await Booking.find({
-                    $and: [
-                        { startDate: { $lt: end } },
-                        { endDate: { $gt: start } },
-                        { status: { $in: ['active', 'pending'] } }
-                    ]
+                    ...Booking.overlapQuery(start, end),
+                    status: { $in: Booking.OPEN_STATUSES }
                 });
 
-                unavailableCarIds = new Set(
-                    overlappingBookings.map(booking => booking.carId.toString())
-                );
+                // Cars in the workshop during the interval are unavailable too
+                unavailableCarIds = await MaintenanceWorkOrder.blockedCarIds(null, start, end);
+                overlappingBookings
+                    .filter(booking => booking.carId)
+                    .forEach(booking => unavailableCarIds.add(booking.carId.toString()));
+
+                overlappingBookings
+                    .filter(booking => !booking.carId)
+                    .forEach(booking => {
+                        unallocatedByModel[booking.carModel] = (unallocatedByModel[booking.carModel] || 0) + 1;
+                    });
             }
         }
 
@@ -176,7 +715,8 @@ router.get("/", auth, async (req, res) => {
                 (sum, booking) => sum + booking.totalBill, 0
             );
 
-            const isAvailable = !unavailableCarIds.has(car._id.toString());
+            // Cars in the workshop stay listed with the fleet but cannot be booked
+            const isAvailable = car.status === 'active' && !unavailableCarIds.has(car._id.toString());
 
             return {
                 model: car.model,
@@ -219,15 +759,17 @@ router.get("/", auth, async (req, res) => {
             return acc;
         }, []);
 
+        groupedCars.forEach(model => {
+            model.availableCount = Math.max(0, model.availableCount - (unallocatedByModel[model.name] || 0));
+        });
+
         // Add search period info if dates were provided
         const response = {
             cars: groupedCars,
             summary: {
                 totalModels: groupedCars.length,
                 totalCars: cars.length,
-                availableCars: cars.filter(car =>
-                    !unavailableCarIds.has(car._id.toString())
-                ).length
+                availableCars: groupedCars.reduce((sum, model) => sum + model.availableCount, 0)
             }
         };
 
@@ -257,6 +799,8 @@ router.get("/:modelName", auth, async (req, res) => {
     try {
         const { startDate, endDate } = req.query;
         let unavailableCarIds = new Set();
+        // Model-level bookings not yet given a car still take one of the model's cars
+        let unallocatedCount = 0;
 
         // Convert url-friendly format (toyota-fortuner) to display format (Toyota Fortuner)
         const modelName = req.params.modelName
@@ -282,18 +826,21 @@ router.get("/:modelName", auth, async (req, res) => {
                 });
             }
 
-            // Find overlapping bookings
+            // Find bookings overlapping the exact interval, including turnaround time
             const overlappingBookings = await Booking.find({
-                $and: [
-                    { startDate: { $lt: end } },
-                    { endDate: { $gt: start } },
-                    { status: { $in: ['active', 'pending'] } }
-                ]
+                ...Booking.overlapQuery(start, end),
+                status: { $in: Booking.OPEN_STATUSES }
             });
 
-            unavailableCarIds = new Set(
-                overlappingBookings.map(booking => booking.carId.toString())
-            );
+            // Cars in the workshop during the interval are unavailable too
+            unavailableCarIds = await MaintenanceWorkOrder.blockedCarIds(null, start, end);
+            overlappingBookings
+                .filter(booking => booking.carId)
+                .forEach(booking => unavailableCarIds.add(booking.carId.toString()));
+
+            unallocatedCount = overlappingBookings
+                .filter(booking => !booking.carId && booking.carModel === modelName)
+                .length;
         }
 
         // Get cars of the specified model
@@ -320,7 +867,8 @@ router.get("/:modelName", auth, async (req, res) => {
                 (sum, booking) => sum + booking.totalBill, 0
             );
 
-            const isAvailable = !unavailableCarIds.has(car._id.toString());
+            // Cars in the workshop stay listed with the fleet but cannot be booked
+            const isAvailable = car.status === 'active' && !unavailableCarIds.has(car._id.toString());
 
             return {
                 id: car._id,
@@ -343,13 +891,15 @@ router.get("/:modelName", auth, async (req, res) => {
             };
         });
 
+        const availableCount = Math.max(0, carInstances.filter(car => car.available).length - unallocatedCount);
+
         // Format the response
         const carDetails = {
             id: 1,
             name: modelName,
             image: cars[0].image || "/placeholder.svg?height=200&width=300",
             availableColors: [...new Set(cars.map(car => car.color.toLowerCase()))],
-            availableCount: carInstances.filter(car => car.available).length,
+            availableCount,
             totalCount: cars.length,
             instances: carInstances
         };
@@ -359,8 +909,9 @@ router.get("/:modelName", auth, async (req, res) => {
             ...carDetails,
             summary: {
                 totalCars: cars.length,
-                availableCars: carInstances.filter(car => car.available).length,
-                unavailableCars: carInstances.filter(car => !car.available).length
+                availableCars: availableCount,
+                unavailableCars: cars.length - availableCount,
+                unallocatedBookings: unallocatedCount
             }
         };
 
@@ -400,22 +951,7 @@ router.get("/details/:carId", auth, async (req, res) => {
             return res.status(404).json({ error: "Car not found" });
         }
 
-        // Format the response
-        const carDetails = {
-            id: car._id,
-            model: car.model,
-            year: car.year,
-            color: car.color.toLowerCase(),
-            variant: car.variant,
-            registrationNumber: car.registrationNumber,
-            chassisNumber: car.chassisNumber,
-            engineNumber: car.engineNumber,
-            image: car.image || "/placeholder.svg?height=200&width=300",
-            createdAt: car.createdAt,
-            updatedAt: car.updatedAt
-        };
-
-        res.json(carDetails);
+        res.json(formatCar(car));
     } catch (err) {
         console.error(err);
         if (err.kind === 'ObjectId') {
@@ -450,7 +986,7 @@ router.get("/detailed/info/:id", auth, async (req, res) => {
             .sort({ startDate: -1 }); // Most recent first
 
 
-        const totalRevenue = bookings.filter(b => b.status !== "cancelled").reduce((sum, booking) =>
+        const totalRevenue = bookings.filter(b => !Booking.UNFULFILLED_STATUSES.includes(b.status)).reduce((sum, booking) =>
             sum + (booking.totalBill * (100 - (booking.discountPercentage || 0)) / 100), 0
         );
 
@@ -479,7 +1015,7 @@ router.get("/detailed/info/:id", auth, async (req, res) => {
         // Get current car status
         const activeBooking = await Booking.findOne({
             carId: car._id,
-            status: 'active'
+            status: { $in: Booking.OPEN_STATUSES }
         });
 
         // Calculate monthly statistics for the current year
@@ -488,7 +1024,7 @@ router.get("/detailed/info/:id", auth, async (req, res) => {
             {
                 $match: {
                     carId: car._id,
-                    status: { $ne: 'cancelled' },
+                    status: { $nin: Booking.UNFULFILLED_STATUSES },
                     startDate: {
                         $gte: new Date(currentYear, 0, 1),
                         $lte: new Date(currentYear, 11, 31)
@@ -529,7 +1065,7 @@ router.get("/detailed/info/:id", auth, async (req, res) => {
             registrationNumber: car.registrationNumber,
             chassisNumber: car.chassisNumber,
             engineNumber: car.engineNumber,
-            status: activeBooking ? 'booked' : 'available',
+            status: car.status && car.status !== 'active' ? car.status : activeBooking ? 'booked' : 'available',
             image: car.image || "/placeholder.svg?height=400&width=600",
             user: car.user.name,
             financials: {
@@ -567,6 +1103,225 @@ router.get("/detailed/info/:id", auth, async (req, res) => {
     }
 });
 
+// Edit a car's details; stakeholders can edit their own cars
+router.patch("/:carId", auth, async (req, res) => {
+    try {
+        const car = await Car.findById(req.params.carId);
+        if (!car) {
+            return res.status(404).json({ error: "Car not found" });
+        }
+
+        if (roleOf(req.user) !== 'admin' && car.user.toString() !== req.user.id) {
+            return res.status(403).json({ error: "You don't have permission to edit this car" });
+        }
+
+        const updates = {};
+        for (const field of EDITABLE_FIELDS) {
+            if (req.body[field] !== undefined) {
+                updates[field] = req.body[field];
+            }
+        }
+
+        if (req.body.ownerId !== undefined) {
+            if (roleOf(req.user) !== 'admin') {
+                return res.status(403).json({ error: "Only admins can change a car's owner" });
+            }
+            const owner = await User.findById(req.body.ownerId);
+            if (!owner) {
+                return res.status(404).json({ error: "Owner not found" });
+            }
+            updates.user = owner._id;
+        }
+
+        if (Object.keys(updates).length === 0) {
+            return res.status(400).json({ error: "No changes provided" });
+        }
+
+        // Registration, chassis and engine numbers each identify a single car
+        const changedIdentifiers = Object.keys(IDENTIFIER_LABELS)
+            .filter(field => updates[field] !== undefined && updates[field] !== car[field]);
+        if (changedIdentifiers.length > 0) {
+            const duplicate = await Car.findOne({
+                _id: { $ne: car._id },
+                $or: changedIdentifiers.map(field => ({ [field]: updates[field] }))
+            });
+            if (duplicate) {
+                const field = changedIdentifiers.find(identifier => duplicate[identifier] === updates[identifier]);
+                return res.status(400).json({ error: `${IDENTIFIER_LABELS[field]} is already used by another car` });
+            }
+        }
+
+        const specChanged = ['model', 'color', 'variant'].some(field => updates[field] !== undefined && updates[field] !== car[field]);
+        const previousModel = car.model;
+
+        const session = await mongoose.startSession();
+        try {
+            await session.withTransaction(async () => {
+                if (specChanged) {
+                    await Booking.lockResources({ carId: car._id, carModel: previousModel }, session);
+
+                    // Open bookings were made for the car's model, colour and variant
+                    const openBooking = await Booking.findOne({
+                        carId: car._id,
+                        status: { $in: Booking.OPEN_STATUSES }
+                    }).session(session);
+                    if (openBooking) {
+                        throw requestError(400, "Model, colour and variant cannot change while the car has open bookings");
+                    }
+                }
+
+                car.set(updates);
+                await car.save({ session });
+
+                // Unallocated bookings of the model may have been counting on this car
+                if (specChanged) {
+                    const overbooked = await overbookedModelBookings(previousModel, session);
+                    if (overbooked.length > 0) {
+                        throw requestError(400, `${overbooked.length} open ${previousModel} booking(s) would be left without a car`);
+                    }
+                }
+            });
+        } finally {
+            await session.endSession();
+        }
+
+        res.json({
+            message: "Car updated successfully",
+            car: formatCar(car)
+        });
+
+    } catch (error) {
+        console.error("Error updating car:", error);
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({ error: error.message });
+        }
+        if (error.kind === 'ObjectId') {
+            return res.status(400).json({ error: "Invalid car or owner ID" });
+        }
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({ error: error.message });
+        }
+        // Lost a race with another car taking the same number
+        if (error.code === 11000) {
+            return res.status(400).json({ error: "Registration, chassis or engine number is already used by another car" });
+        }
+        res.status(500).json({ error: "Failed to update car" });
+    }
+});
+
+// Move a car through its lifecycle: back in service, off the road, sold or written off (Admin only);
+// cars go into and out of maintenance with their work orders
+router.patch("/:carId/status", auth, admin, async (req, res) => {
+    try {
+        const { status, reason, date, salePrice, buyer } = req.body;
+
+        if (!Car.STATUSES.includes(status)) {
+            return res.status(400).json({ error: `Status must be one of: ${Car.STATUSES.join(', ')}` });
+        }
+
+        if (status === 'in-maintenance') {
+            return res.status(400).json({ error: "Cars go into maintenance by starting a work order" });
+        }
+
+        if (status !== 'active' && !reason) {
+            return res.status(400).json({ error: "A reason is required to take a car out of service" });
+        }
+
+        const changedAt = date ? new Date(date) : new Date();
+        if (isNaN(changedAt.getTime())) {
+            return res.status(400).json({ error: "Invalid date" });
+        }
+
+        if (status === 'sold' && (salePrice === undefined || salePrice === '' || isNaN(Number(salePrice)) || Number(salePrice) < 0)) {
+            return res.status(400).json({ error: "Sale price is required to mark a car as sold" });
+        }
+
+        let car;
+        let openBookings = [];
+        let overbooked = [];
+        const session = await mongoose.startSession();
+        try {
+            await session.withTransaction(async () => {
+                car = await Car.findById(req.params.carId).session(session);
+                if (!car) {
+                    throw requestError(404, "Car not found");
+                }
+
+                if (car.status === status) {
+                    throw requestError(400, `Car is already ${status}`);
+                }
+
+                // Bookings made from now on see the car's new status
+                await Booking.lockResources({ carId: car._id, carModel: car.model }, session);
+
+                const inWorkshop = await MaintenanceWorkOrder.exists({ carId: car._id, status: 'in-progress' }).session(session);
+                if (inWorkshop) {
+                    throw requestError(400, "Complete or cancel the car's maintenance before changing its status");
+                }
+
+                // Trips the car can no longer make have to be moved to another car
+                openBookings = status === 'active' ? [] : await Booking.find({
+                    carId: car._id,
+                    status: { $in: Booking.OPEN_STATUSES }
+                }, '_id status startAt endAt').session(session);
+
+                // Selling or writing off is final, so open trips must be reassigned first
+                if (Car.RETIRED_STATUSES.includes(status) && openBookings.length > 0) {
+                    throw requestError(400, `Reassign the car's open bookings before marking it ${status}`);
+                }
+
+                car.status = status;
+                car.statusReason = reason;
+                car.statusChangedAt = changedAt;
+                car.statusChangedBy = req.user.id;
+                if (status === 'sold') {
+                    car.soldAt = changedAt;
+                    car.salePrice = Number(salePrice);
+                    car.buyer = buyer;
+                } else if (status === 'written-off') {
+                    car.writtenOffAt = changedAt;
+                } else if (status === 'active') {
+                    // Back in service, e.g. a sale recorded by mistake
+                    car.soldAt = undefined;
+                    car.salePrice = undefined;
+                    car.buyer = undefined;
+                    car.writtenOffAt = undefined;
+                }
+                await car.save({ session });
+
+                // Model-level bookings counting on this car may no longer fit in the rest of the model
+                overbooked = status === 'active' ? [] : await overbookedModelBookings(car.model, session);
+            });
+        } finally {
+            await session.endSession();
+        }
+
+        res.json({
+            message: `Car marked as ${status} successfully`,
+            car: formatCar(car),
+            bookingsToReassign: [...openBookings, ...overbooked].map(booking => ({
+                id: booking._id,
+                status: booking.status,
+                startAt: booking.startAt,
+                endAt: booking.endAt
+            }))
+        });
+
+    } catch (error) {
+        console.error("Error updating car status:", error);
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({ error: error.message });
+        }
+        if (error.kind === 'ObjectId') {
+            return res.status(400).json({ error: "Invalid car ID" });
+        }
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({ error: error.message });
+        }
+        res.status(500).json({ error: "Failed to update car status" });
+    }
+});
+
 // Delete (deactivate) a car
 router.delete("/:carId", auth, admin, async (req, res) => {
     try {
@@ -581,15 +1336,18 @@ router.delete("/:carId", auth, admin, async (req, res) => {
         // Check for active or pending bookings
         const activeBooking = await Booking.findOne({
             carId: car._id,
-            status: { $in: ['active', 'pending'] }
+            status: { $in: Booking.OPEN_STATUSES }
         });
 
         if (activeBooking) {
             return res.status(400).json({ error: "Car cannot be deleted because it is currently booked." });
         }
 
-        // Mark the car as unavailable
-        car.deleted = true;
+        // Take the car off the road; it can be put back in service through its status
+        car.status = 'off-road';
+        car.statusReason = 'Removed from fleet';
+        car.statusChangedAt = new Date();
+        car.statusChangedBy = req.user.id;
         await car.save();
 
         res.json({
@@ -598,7 +1356,8 @@ router.delete("/:carId", auth, admin, async (req, res) => {
                 id: car._id,
                 model: car.model,
                 registrationNumber: car.registrationNumber,
-                deleted: car.deleted
+                deleted: car.deleted,
+                status: car.status
             }
         });
     } catch (error) {
@@ -610,7 +1369,8 @@ router.delete("/:carId", auth, admin, async (req, res) => {
 // Add download route for cars data
 router.get("/download", auth, async (req, res) => {
     try {
-        const cars = await Car.find({ deleted: false })
+        // Cars out of service, sold or written off stay in the report for their history
+        const cars = await Car.find()
             .populate('user', 'name commissionPercentage');
 
         // Get all completed bookings for statistics
@@ -637,6 +1397,7 @@ router.get("/download", auth, async (req, res) => {
                 chassisNumber: car.chassisNumber,
                 engineNumber: car.engineNumber,
                 owner: car.user?.name || 'N/A',
+                status: car.status || 'active',
                 totalBookings: carBookings.length,
                 totalRevenue: totalRevenue.toFixed(2),
                 totalProfit: (totalRevenue * ((100 - (car.user?.commissionPercentage || 0)) / 100)).toFixed(2)
@@ -710,6 +1471,7 @@ router.get("/download", auth, async (req, res) => {
                             <th>Chassis</th>
                             <th>Engine</th>
                             <th>Owner</th>
+                            <th>Status</th>
                         </tr>
                     </thead>
                     <tbody>
@@ -723,6 +1485,7 @@ router.get("/download", auth, async (req, res) => {
                                 <td>${car.chassisNumber}</td>
                                 <td>${car.engineNumber}</td>
                                 <td>${car.owner}</td>
+                                <td>${car.status}</td>
                             </tr>
                         `).join('')}
                     </tbody>
@@ -809,7 +1572,7 @@ router.get("/report/:carId", auth, async (req, res) => {
         });
 
         // Calculate total revenue and expenses
-        const totalRevenue = bookings.filter((booking) => booking.status !== "cancelled")
+        const totalRevenue = bookings.filter((booking) => !Booking.UNFULFILLED_STATUSES.includes(booking.status))
             .reduce((sum, booking) =>
                 sum + (booking.totalBill * (100 - (booking.discountPercentage || 0)) / 100), 0);
 
@@ -819,7 +1582,7 @@ router.get("/report/:carId", auth, async (req, res) => {
         // Calculate utilization rate
         const totalDays = Math.ceil((endDate - startDate) / (1000 * 60 * 60 * 24));
         const bookedDays = bookings.reduce((sum, booking) => {
-            if (booking.status === 'completed' || booking.status === 'active') {
+            if (booking.status === 'completed' || Booking.OPEN_STATUSES.includes(booking.status)) {
                 const bookingDays = Math.ceil(
                     (new Date(booking.endDate) - new Date(booking.startDate)) /
                     (1000 * 60 * 60 * 24)
@@ -871,7 +1634,7 @@ router.get("/report/:carId", auth, async (req, res) => {
         });
 
         // Calculate monthly revenue
-        bookings.filter((booking) => booking.status !== "cancelled").forEach(booking => {
+        bookings.filter((booking) => !Booking.UNFULFILLED_STATUSES.includes(booking.status)).forEach(booking => {
             const month = months[new Date(booking.startDate).getMonth()];
             monthlyData[month].revenue += booking.totalBill * (100 - (booking.discountPercentage || 0)) / 100;
             monthlyData[month].bookings += 1;
@@ -899,7 +1662,7 @@ router.get("/report/:carId", auth, async (req, res) => {
             color: car.color,
             chassisNumber: car.chassisNumber,
             engineNumber: car.engineNumber,
-            totalBookings: bookings.filter(b => b.status != "cancelled").length,
+            totalBookings: bookings.filter(b => !Booking.UNFULFILLED_STATUSES.includes(b.status)).length,
             totalRevenue: Math.round(totalRevenue),
             totalExpenses: Math.round(totalExpenses),
             netProfit: Math.round(netProfit),
@@ -939,7 +1702,7 @@ router.get("/report/pdf/:carId", auth, async (req, res) => {
             .sort({ startDate: -1 });
 
 
-        const totalRevenue = bookings.filter(b => b.status !== "cancelled").reduce((sum, booking) =>
+        const totalRevenue = bookings.filter(b => !Booking.UNFULFILLED_STATUSES.includes(b.status)).reduce((sum, booking) =>
             sum + (booking.totalBill * (100 - (booking.discountPercentage || 0)) / 100), 0
         );
 
@@ -967,7 +1730,7 @@ router.get("/report/pdf/:carId", auth, async (req, res) => {
         // Get current car status
         const activeBooking = await Booking.findOne({
             carId: car._id,
-            status: 'active'
+            status: { $in: Booking.OPEN_STATUSES }
         });
 
         // Calculate monthly statistics for the current year
@@ -976,7 +1739,7 @@ router.get("/report/pdf/:carId", auth, async (req, res) => {
             {
                 $match: {
                     carId: car._id,
-                    status: {$ne: 'cancelled'},
+                    status: { $nin: Booking.UNFULFILLED_STATUSES },
                     startDate: {
                         $gte: new Date(currentYear, 0, 1),
                         $lte: new Date(currentYear, 11, 31)
@@ -0,0 +1,204 @@
+const express = require("express");
+const router = express.Router();
+const Claim = require("../models/Claim");
+const Booking = require("../models/Booking");
+const auth = require("../middleware/auth");
+const { roleOf } = require("../middleware/permissions");
+const { upload, uploadFile } = require("./auth");
+
+const formatClaim = (claim) => ({
+    id: claim._id,
+    bookingId: claim.bookingId?._id || claim.bookingId,
+    customer: claim.customerId?.fullName
+        ? { id: claim.customerId._id, name: claim.customerId.fullName, phone: claim.customerId.phoneNumber }
+        : claim.customerId,
+    car: claim.carId?.model
+        ? { id: claim.carId._id, model: claim.carId.model, registrationNumber: claim.carId.registrationNumber }
+        : claim.carId,
+    type: claim.type,
+    amount: claim.amount,
+    description: claim.description || "",
+    incidentDate: claim.incidentDate || null,
+    evidence: claim.evidence,
+    status: claim.status,
+    billedAt: claim.billedAt || null,
+    paidAt: claim.paidAt || null,
+    paymentMethod: claim.paymentMethod || null,
+    paymentReference: claim.paymentReference || "",
+    waivedAt: claim.waivedAt || null,
+    waiverReason: claim.waiverReason || "",
+    createdAt: claim.createdAt
+});
+
+// Get claims, optionally filtered by status, type, customer, booking or car
+router.get("/", auth, async (req, res) => {
+    try {
+        const { status, type, customerId, bookingId, carId } = req.query;
+
+        const query = {};
+        if (status) query.status = status;
+        if (type) query.type = type;
+        if (customerId) query.customerId = customerId;
+        if (bookingId) query.bookingId = bookingId;
+        if (carId) query.carId = carId;
+
+        const claims = await Claim.find(query)
+            .populate('customerId', 'fullName phoneNumber')
+            .populate('carId', 'model registrationNumber')
+            .sort({ createdAt: -1 });
+
+        res.json({
+            claims: claims.map(formatClaim),
+            totalOutstanding: claims
+                .filter(claim => Claim.OUTSTANDING_STATUSES.includes(claim.status))
+                .reduce((sum, claim) => sum + claim.amount, 0)
+        });
+
+    } catch (error) {
+        console.error("Error fetching claims:", error);
+        if (error.kind === 'ObjectId') {
+            return res.status(400).json({ error: "Invalid ID in filter" });
+        }
+        res.status(500).json({ error: "Failed to fetch claims" });
+    }
+});
+
+// Get a single claim
+router.get("/:claimId", auth, async (req, res) => {
+    try {
+        const claim = await Claim.findById(req.params.claimId)
+            .populate('customerId', 'fullName phoneNumber')
+            .populate('carId', 'model registrationNumber');
+
+        if (!claim) {
+            return res.status(404).json({ error: "Claim not found" });
+        }
+
+        res.json({ claim: formatClaim(claim) });
+
+    } catch (error) {
+        console.error("Error fetching claim:", error);
+        if (error.kind === 'ObjectId') {
+            return res.status(400).json({ error: "Invalid claim ID" });
+        }
+        res.status(500).json({ error: "Failed to fetch claim" });
+    }
+});
+
+// Raise a claim against a completed booking, with evidence images
+router.post("/", auth, upload.array('evidence', 10), async (req, res) => {
+    try {
+        const { bookingId, type, amount, description, incidentDate } = req.body;
+
+        if (!bookingId || !type || amount === undefined) {
+            return res.status(400).json({ error: "Booking, claim type and amount are required" });
+        }
+
+        if (isNaN(Number(amount)) || Number(amount) <= 0) {
+            return res.status(400).json({ error: "Amount must be a positive number" });
+        }
+
+        const booking = await Booking.findById(bookingId);
+        if (!booking) {
+            return res.status(404).json({ error: "Booking not found" });
+        }
+
+        if (booking.status !== 'completed') {
+            return res.status(400).json({ error: "Claims can only be raised against completed bookings" });
+        }
+
+        const evidence = [];
+        for (const file of req.files || []) {
+            const result = await uploadFile({ file });
+            evidence.push(result.secure_url);
+        }
+
+        const claim = new Claim({
+            bookingId: booking._id,
+            customerId: booking.customerId,
+            carId: booking.carId,
+            type,
+            amount: Number(amount),
+            description,
+            incidentDate: incidentDate ? new Date(incidentDate) : undefined,
+            evidence,
+            createdBy: req.user.id
+        });
+
+        await claim.save();
+
+        res.status(201).json({
+            message: "Claim raised successfully",
+            claim: formatClaim(claim)
+        });
+
+    } catch (error) {
+        console.error("Error raising claim:", error);
+        if (error.kind === 'ObjectId') {
+            return res.status(400).json({ error: "Invalid booking ID" });
+        }
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({ error: error.message });
+        }
+        res.status(500).json({ error: "Failed to raise claim" });
+    }
+});
+
+// Settle a claim: bill it to the customer, record payment or waive it
+router.patch("/:claimId/status", auth, async (req, res) => {
+    try {
+        const { claimId } = req.params;
+        const { status, paymentMethod = 'cash', paymentReference, waiverReason } = req.body;
+
+        const claim = await Claim.findById(claimId);
+        if (!claim) {
+            return res.status(404).json({ error: "Claim not found" });
+        }
+
+        if (!claim.canTransitionTo(status)) {
+            return res.status(400).json({
+                error: `A ${claim.status} claim cannot be marked as ${status}`
+            });
+        }
+
+        const now = new Date();
+        if (status === 'billed') {
+            claim.billedAt = now;
+        } else if (status === 'paid') {
+            claim.paidAt = now;
+            claim.paymentMethod = paymentMethod;
+            claim.paymentReference = paymentReference;
+        } else if (status === 'waived') {
+            // Writing off money owed is an admin decision
+            if (roleOf(req.user) !== 'admin') {
+                return res.status(403).json({ error: "Only admins can waive claims" });
+            }
+            if (!waiverReason) {
+                return res.status(400).json({ error: "A reason is required to waive a claim" });
+            }
+            claim.waivedAt = now;
+            claim.waiverReason = waiverReason;
+        }
+
+        claim.status = status;
+        claim.settledBy = req.user.id;
+        await claim.save();
+
+        res.json({
+            message: `Claim marked as ${status} successfully`,
+            claim: formatClaim(claim)
+        });
+
+    } catch (error) {
+        console.error("Error updating claim status:", error);
+        if (error.kind === 'ObjectId') {
+            return res.status(400).json({ error: "Invalid claim ID" });
+        }
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({ error: error.message });
+        }
+        res.status(500).json({ error: "Failed to update claim status" });
+    }
+});
+
+module.exports = router;
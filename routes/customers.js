@@ -3,6 +3,7 @@ const router = express.Router();
 const Customer = require("../models/Customer");
 const auth = require("../middleware/auth");
 const Booking = require("../models/Booking");
+const Claim = require("../models/Claim");
 
 // Get all customers
 router.get("/", auth, async (req, res) => {
@@ -156,9 +157,9 @@ router.get("/:customerId/details", auth, async (req, res) => {
         // Format bookings data
         const customerBookings = bookings.map(booking => ({
             id: booking._id,
-            carModel: booking.carId.model,
-            carYear: booking.carId.year,
-            registrationNumber: booking.carId.registrationNumber,
+            carModel: booking.carId?.model || booking.carModel,
+            carYear: booking.carId?.year || null,
+            registrationNumber: booking.carId?.registrationNumber || 'Unallocated',
             driverName: booking.driverId.name,
             startDate: booking.startDate,
             endDate: booking.endDate,
@@ -167,7 +168,7 @@ router.get("/:customerId/details", auth, async (req, res) => {
             tripType: booking.tripType,
             cityName: booking.cityName,
             advancePaid: booking.advancePaid,
-            remainingAmount: booking.totalBill - booking.advancePaid,
+            remainingAmount: booking.remainingBalance,
             discountPercentage: booking.discountPercentage || 0,
             meterReading: booking.meterReading
         }));
@@ -177,15 +178,39 @@ router.get("/:customerId/details", auth, async (req, res) => {
             totalBookings: customerBookings.length,
             totalSpent: customerBookings.reduce((sum, booking) => sum + booking.totalAmount, 0),
             completedBookings: customerBookings.filter(b => b.status === 'completed').length,
-            activeBookings: customerBookings.filter(b => b.status === 'active').length,
+            activeBookings: customerBookings.filter(b => Booking.OPEN_STATUSES.includes(b.status)).length,
             averageBookingAmount: customerBookings.length > 0 
                 ? customerBookings.reduce((sum, booking) => sum + booking.totalAmount, 0) / customerBookings.length 
                 : 0
         };
 
+        // Damage, fine and other claims the customer still owes
+        const claims = await Claim.find({
+            customerId: customer._id,
+            status: { $in: Claim.OUTSTANDING_STATUSES }
+        })
+        .populate('carId', 'model registrationNumber')
+        .sort({ createdAt: -1 });
+
+        const outstandingClaims = claims.map(claim => ({
+            id: claim._id,
+            bookingId: claim.bookingId,
+            carModel: claim.carId?.model || 'N/A',
+            registrationNumber: claim.carId?.registrationNumber || 'N/A',
+            type: claim.type,
+            amount: claim.amount,
+            description: claim.description || "",
+            incidentDate: claim.incidentDate || null,
+            status: claim.status,
+            createdAt: claim.createdAt
+        }));
+
+        statistics.outstandingClaimsAmount = outstandingClaims.reduce((sum, claim) => sum + claim.amount, 0);
+
         res.json({
             customerData,
             customerBookings,
+            outstandingClaims,
             statistics
         });
 
@@ -38,24 +38,24 @@ router.get("/", auth, async (req, res) => {
 
             // Calculate revenues
             const currentRevenue = currentMonthBookings
-                .filter(booking => booking.status !== "cancelled")
+                .filter(booking => !Booking.UNFULFILLED_STATUSES.includes(booking.status))
                 .reduce((sum, booking) => 
                     sum + booking.totalBill * (100 - (booking.discountPercentage || 0)) / 100, 0);
 
             const lastMonthRevenue = lastMonthBookings
-                .filter(booking => booking.status !== "cancelled")
+                .filter(booking => !Booking.UNFULFILLED_STATUSES.includes(booking.status))
                 .reduce((sum, booking) => 
                     sum + booking.totalBill * (100 - (booking.discountPercentage || 0)) / 100, 0);
 
             // Get active bookings count for stakeholder's cars
             const activeBookings = await Booking.countDocuments({ 
                 carId: { $in: carIds },
-                status: 'active' 
+                status: { $in: Booking.OPEN_STATUSES } 
             });
 
             const lastMonthActiveBookings = await Booking.countDocuments({
                 carId: { $in: carIds },
-                status: 'active',
+                status: { $in: Booking.OPEN_STATUSES },
                 startDate: { 
                     $gte: lastMonth,
                     $lte: lastMonthEnd
@@ -66,13 +66,13 @@ router.get("/", auth, async (req, res) => {
             const totalCars = cars.length;
             const bookedCars = await Booking.distinct('carId', { 
                 carId: { $in: carIds },
-                status: 'active' 
+                status: { $in: Booking.OPEN_STATUSES } 
             });
             const availableCars = totalCars - bookedCars.length;
 
             const lastMonthBookedCars = await Booking.distinct('carId', {
                 carId: { $in: carIds },
-                status: 'active',
+                status: { $in: Booking.OPEN_STATUSES },
                 startDate: { 
                     $gte: lastMonth,
                     $lte: lastMonthEnd
@@ -95,7 +95,7 @@ router.get("/", auth, async (req, res) => {
                 const monthlyBookings = await Booking.find({
                     carId: { $in: carIds },
                     startDate: { $gte: month.start, $lte: month.end },
-                    status: {$in: ["completed", "active"]}
+                    status: { $in: ["completed", ...Booking.OPEN_STATUSES] }
                 });
                 const monthlyExpenses = await Expense.find({
                     carId: { $in: carIds },
@@ -142,7 +142,7 @@ router.get("/", auth, async (req, res) => {
                 revenueData: revenueData,
                 recentBookings: recentBookings.map(booking => ({
                     id: booking._id,
-                    carModel: booking.carId.model,
+                    carModel: booking.carId?.model || booking.carModel,
                     customerName: booking.customerId.fullName,
                     startDate: booking.startDate.toISOString().split('T')[0],
                     endDate: booking.endDate.toISOString().split('T')[0],
@@ -169,15 +169,15 @@ router.get("/", auth, async (req, res) => {
         });
 
         // Calculate revenues
-        const currentRevenue = currentMonthBookings.filter((booking) => booking.status !== "cancelled").reduce((sum, booking) => 
+        const currentRevenue = currentMonthBookings.filter((booking) => !Booking.UNFULFILLED_STATUSES.includes(booking.status)).reduce((sum, booking) => 
             sum + booking.totalBill * (100 - (booking.discountPercentage || 0)) / 100, 0);
-        const lastMonthRevenue = lastMonthBookings.filter((booking) => booking.status !== "cancelled").reduce((sum, booking) => 
+        const lastMonthRevenue = lastMonthBookings.filter((booking) => !Booking.UNFULFILLED_STATUSES.includes(booking.status)).reduce((sum, booking) => 
             sum + booking.totalBill * (100 - (booking.discountPercentage || 0)) / 100, 0);
 
         // Get active bookings count
-        const activeBookings = await Booking.countDocuments({ status: 'active' });
+        const activeBookings = await Booking.countDocuments({ status: { $in: Booking.OPEN_STATUSES } });
         const lastMonthActiveBookings = await Booking.countDocuments({
-            status: 'active',
+            status: { $in: Booking.OPEN_STATUSES },
             startDate: { 
                 $gte: lastMonth,
                 $lte: lastMonthEnd
@@ -186,11 +186,11 @@ router.get("/", auth, async (req, res) => {
 
         // Get available cars
         const totalCars = await Car.countDocuments();
-        const bookedCars = await Booking.distinct('carId', { status: 'active' });
+        const bookedCars = await Booking.distinct('carId', { status: { $in: Booking.OPEN_STATUSES } });
         const availableCars = totalCars - bookedCars.length;
 
         const lastMonthBookedCars = await Booking.distinct('carId', {
-            status: 'active',
+            status: { $in: Booking.OPEN_STATUSES },
             startDate: { 
                 $gte: lastMonth,
                 $lte: lastMonthEnd
@@ -220,7 +220,7 @@ router.get("/", auth, async (req, res) => {
         const revenueData = await Promise.all(last6Months.map(async (month) => {
             const monthlyBookings = await Booking.find({
                 startDate: { $gte: month.start, $lte: month.end },
-                status: {$in: ["completed", "active"]}
+                status: { $in: ["completed", ...Booking.OPEN_STATUSES] }
             });
             const monthlyExpenses = await Expense.find({
                 date: { $gte: month.start, $lte: month.end }
@@ -266,7 +266,7 @@ router.get("/", auth, async (req, res) => {
             revenueData: revenueData,
             recentBookings: recentBookings.map(booking => ({
                 id: booking._id,
-                carModel: booking.carId.model,
+                carModel: booking.carId?.model || booking.carModel,
                 customerName: booking.customerId.fullName,
                 startDate: booking.startDate.toISOString().split('T')[0],
                 endDate: booking.endDate.toISOString().split('T')[0],
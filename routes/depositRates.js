@@ -0,0 +1,137 @@
+const express = require("express");
+const router = express.Router();
+const DepositRate = require("../models/DepositRate");
+const auth = require("../middleware/auth");
+const admin = require("../middleware/admin");
+
+const formatDepositRate = (rate) => ({
+    id: rate._id,
+    category: rate.category,
+    amount: rate.amount,
+    active: rate.active,
+    updatedAt: rate.updatedAt
+});
+
+// Get all deposit rates
+router.get("/", auth, async (req, res) => {
+    try {
+        const rates = await DepositRate.find().sort({ category: 1 });
+        res.json({ depositRates: rates.map(formatDepositRate) });
+    } catch (error) {
+        console.error("Error fetching deposit rates:", error);
+        res.status(500).json({ error: "Failed to fetch deposit rates" });
+    }
+});
+
+// Add a deposit rate for a car category (Admin only)
+router.post("/", auth, admin, async (req, res) => {
+    try {
+        const { category, amount } = req.body;
+
+        if (!category || amount === undefined) {
+            return res.status(400).json({ error: "Category and amount are required" });
+        }
+
+        // Only one active rate per category
+        const existingRate = await DepositRate.findOne({ category, active: true });
+        if (existingRate) {
+            return res.status(400).json({
+                error: "An active deposit rate already exists for this category"
+            });
+        }
+
+        const rate = new DepositRate({
+            category,
+            amount: Number(amount),
+            createdBy: req.user.id
+        });
+
+        await rate.save();
+
+        res.status(201).json({
+            message: "Deposit rate added successfully",
+            depositRate: formatDepositRate(rate)
+        });
+
+    } catch (error) {
+        console.error("Error adding deposit rate:", error);
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({ error: error.message });
+        }
+        res.status(500).json({ error: "Failed to add deposit rate" });
+    }
+});
+
+// Update a deposit rate (Admin only)
+router.patch("/:rateId", auth, admin, async (req, res) => {
+    try {
+        const rate = await DepositRate.findById(req.params.rateId);
+        if (!rate) {
+            return res.status(404).json({ error: "Deposit rate not found" });
+        }
+
+        const { amount, active } = req.body;
+
+        if (active !== undefined && ![true, false, 'true', 'false'].includes(active)) {
+            return res.status(400).json({ error: "Active must be true or false" });
+        }
+        const activate = active === true || active === 'true';
+
+        // Only one active rate per category
+        if (activate && !rate.active) {
+            const existingRate = await DepositRate.findOne({ _id: { $ne: rate._id }, category: rate.category, active: true });
+            if (existingRate) {
+                return res.status(400).json({
+                    error: "An active deposit rate already exists for this category"
+                });
+            }
+        }
+
+        if (amount !== undefined) rate.amount = Number(amount);
+        if (active !== undefined) rate.active = activate;
+
+        await rate.save();
+
+        res.json({
+            message: "Deposit rate updated successfully",
+            depositRate: formatDepositRate(rate)
+        });
+
+    } catch (error) {
+        console.error("Error updating deposit rate:", error);
+        if (error.kind === 'ObjectId') {
+            return res.status(400).json({ error: "Invalid deposit rate ID" });
+        }
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({ error: error.message });
+        }
+        res.status(500).json({ error: "Failed to update deposit rate" });
+    }
+});
+
+// Deactivate a deposit rate (Admin only)
+router.delete("/:rateId", auth, admin, async (req, res) => {
+    try {
+        const rate = await DepositRate.findById(req.params.rateId);
+        if (!rate) {
+            return res.status(404).json({ error: "Deposit rate not found" });
+        }
+
+        rate.active = false;
+        await rate.save();
+
+        res.json({
+            message: "Deposit rate deactivated successfully",
+            depositRate: formatDepositRate(rate)
+        });
+
+    } catch (error) {
+        console.error("Error deactivating deposit rate:", error);
+        if (error.kind === 'ObjectId') {
+            return res.status(400).json({ error: "Invalid deposit rate ID" });
+        }
+        res.status(500).json({ error: "Failed to deactivate deposit rate" });
+    }
+});
+
+module.exports = router;
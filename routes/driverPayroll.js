@@ -0,0 +1,306 @@
+const express = require("express");
+const mongoose = require("mongoose");
+const router = express.Router();
+const DriverDutyLog = require("../models/DriverDutyLog");
+const DriverPayroll = require("../models/DriverPayroll");
+const Driver = require("../models/Driver");
+const Booking = require("../models/Booking");
+const Expense = require("../models/Expense");
+const auth = require("../middleware/auth");
+const admin = require("../middleware/admin");
+
+const MONTH_FORMAT = /^\d{4}-(0[1-9]|1[0-2])$/;
+
+const formatDutyLog = (log) => ({
+    id: log._id || null,
+    bookingId: log.bookingId,
+    driverId: log.driverId,
+    dutyStartAt: log.dutyStartAt,
+    dutyEndAt: log.dutyEndAt,
+    ...DriverDutyLog.hoursFor(log),
+    overnightStays: log.overnightStays,
+    foodAllowance: log.foodAllowance,
+    stayAllowance: log.stayAllowance,
+    notes: log.notes || "",
+    // Logs not yet recorded are worked out from the booking
+    recorded: Boolean(log._id)
+});
+
+const formatPayroll = (payroll) => ({
+    id: payroll._id,
+    driver: payroll.driverId?.name
+        ? { id: payroll.driverId._id, name: payroll.driverId.name }
+        : payroll.driverId,
+    month: payroll.month,
+    trips: payroll.trips,
+    dutyHours: payroll.dutyHours,
+    overtimeHours: payroll.overtimeHours,
+    overnightStays: payroll.overnightStays,
+    baseSalary: payroll.baseSalary,
+    overtimePay: payroll.overtimePay,
+    foodAllowance: payroll.foodAllowance,
+    stayAllowance: payroll.stayAllowance,
+    total: payroll.total,
+    status: payroll.status,
+    approvedAt: payroll.approvedAt || null,
+    expenseId: payroll.expenseId || null
+});
+
+// Get the duty log of a booking, or the one worked out from it until recorded
+router.get("/duty-logs/:bookingId", auth, async (req, res) => {
+    try {
+        const booking = await Booking.findById(req.params.bookingId);
+        if (!booking) {
+            return res.status(404).json({ error: "Booking not found" });
+        }
+
+        if (!booking.driverId) {
+            return res.status(400).json({ error: "Self-drive bookings have no driver duty" });
+        }
+
+        const log = await DriverDutyLog.findOne({ bookingId: booking._id })
+            || DriverDutyLog.defaultsFor(booking);
+
+        res.json({ dutyLog: formatDutyLog(log) });
+
+    } catch (error) {
+        console.error("Error fetching duty log:", error);
+        if (error.kind === 'ObjectId') {
+            return res.status(400).json({ error: "Invalid booking ID" });
+        }
+        res.status(500).json({ error: "Failed to fetch duty log" });
+    }
+});
+
+// Record or correct the driver's duty on a started booking
+router.put("/duty-logs/:bookingId", auth, async (req, res) => {
+    try {
+        const { dutyStartAt, dutyEndAt, overnightStays, foodAllowance, stayAllowance, notes } = req.body;
+
+        const booking = await Booking.findById(req.params.bookingId);
+        if (!booking) {
+            return res.status(404).json({ error: "Booking not found" });
+        }
+
+        if (!booking.driverId) {
+            return res.status(400).json({ error: "Self-drive bookings have no driver duty" });
+        }
+
+        if (!['in-progress', 'completed'].includes(booking.status)) {
+            return res.status(400).json({ error: "Duty can only be logged once the trip has started" });
+        }
+
+        // Payroll already approved for the month is final
+        if (booking.completedAt) {
+            const month = `${booking.completedAt.getFullYear()}-${String(booking.completedAt.getMonth() + 1).padStart(2, '0')}`;
+            const approved = await DriverPayroll.findOne({
+                driverId: booking.driverId,
+                month,
+                status: { $ne: 'draft' }
+            });
+            if (approved) {
+                return res.status(400).json({ error: `Payroll for ${month} has already been approved` });
+            }
+        }
+
+        const log = await DriverDutyLog.findOne({ bookingId: booking._id })
+            || new DriverDutyLog({ ...DriverDutyLog.defaultsFor(booking), recordedBy: req.user.id });
+
+        if (dutyStartAt) log.dutyStartAt = new Date(dutyStartAt);
+        if (dutyEndAt) log.dutyEndAt = new Date(dutyEndAt);
+        if (overnightStays !== undefined) log.overnightStays = Number(overnightStays);
+        if (foodAllowance !== undefined) log.foodAllowance = Number(foodAllowance);
+        if (stayAllowance !== undefined) log.stayAllowance = Number(stayAllowance);
+        if (notes !== undefined) log.notes = notes;
+        log.driverId = booking.driverId;
+        log.recordedBy = req.user.id;
+
+        await log.save();
+
+        res.json({
+            message: "Duty log saved successfully",
+            dutyLog: formatDutyLog(log)
+        });
+
+    } catch (error) {
+        console.error("Error saving duty log:", error);
+        if (error.kind === 'ObjectId') {
+            return res.status(400).json({ error: "Invalid booking ID" });
+        }
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({ error: error.message });
+        }
+        res.status(500).json({ error: "Failed to save duty log" });
+    }
+});
+
+// Get payroll summaries for a month
+router.get("/", auth, async (req, res) => {
+    try {
+        const { month, driverId, status } = req.query;
+
+        const query = {};
+        if (month) query.month = month;
+        if (driverId) query.driverId = driverId;
+        if (status) query.status = status;
+
+        const payrolls = await DriverPayroll.find(query)
+            .populate('driverId', 'name')
+            .sort({ month: -1 });
+
+        res.json({
+            payrolls: payrolls.map(formatPayroll),
+            total: payrolls.reduce((sum, payroll) => sum + payroll.total, 0)
+        });
+
+    } catch (error) {
+        console.error("Error fetching driver payroll:", error);
+        if (error.kind === 'ObjectId') {
+            return res.status(400).json({ error: "Invalid driver ID" });
+        }
+        res.status(500).json({ error: "Failed to fetch driver payroll" });
+    }
+});
+
+// Compute draft payroll for every active driver, and anyone else who drove that month; approved payroll is left as is
+router.post("/:month/generate", auth, admin, async (req, res) => {
+    try {
+        const { month } = req.params;
+        if (!MONTH_FORMAT.test(month)) {
+            return res.status(400).json({ error: "Month must be in YYYY-MM format" });
+        }
+
+        const { start, end } = DriverPayroll.monthRange(month);
+        const driversWithTrips = await Booking.distinct('driverId', {
+            status: 'completed',
+            completedAt: { $gte: start, $lte: end }
+        });
+        const drivers = await Driver.find({
+            $or: [{ status: 'active' }, { _id: { $in: driversWithTrips } }]
+        });
+        const payrolls = [];
+
+        for (const driver of drivers) {
+            const existing = await DriverPayroll.findOne({ driverId: driver._id, month });
+            if (existing && existing.status !== 'draft') {
+                payrolls.push(existing);
+                continue;
+            }
+
+            const summary = await DriverPayroll.compute(driver, month);
+            const payroll = existing || new DriverPayroll({ generatedBy: req.user.id });
+            payroll.set(summary);
+            await payroll.save();
+            payrolls.push(payroll);
+        }
+
+        res.json({
+            message: "Driver payroll generated successfully",
+            payrolls: payrolls.map(formatPayroll)
+        });
+
+    } catch (error) {
+        console.error("Error generating driver payroll:", error);
+        res.status(500).json({ error: "Failed to generate driver payroll" });
+    }
+});
+
+// Approve a draft payroll (Admin only)
+router.patch("/:payrollId/approve", auth, admin, async (req, res) => {
+    try {
+        const payroll = await DriverPayroll.findById(req.params.payrollId);
+        if (!payroll) {
+            return res.status(404).json({ error: "Payroll not found" });
+        }
+
+        if (payroll.status !== 'draft') {
+            return res.status(400).json({ error: "Only draft payroll can be approved" });
+        }
+
+        payroll.status = 'approved';
+        payroll.approvedAt = new Date();
+        payroll.approvedBy = req.user.id;
+        await payroll.save();
+
+        res.json({
+            message: "Payroll approved successfully",
+            payroll: formatPayroll(payroll)
+        });
+
+    } catch (error) {
+        console.error("Error approving payroll:", error);
+        if (error.kind === 'ObjectId') {
+            return res.status(400).json({ error: "Invalid payroll ID" });
+        }
+        res.status(500).json({ error: "Failed to approve payroll" });
+    }
+});
+
+// Book approved payroll for a month as Salary expenses (Admin only)
+router.post("/:month/expenses", auth, admin, async (req, res) => {
+    try {
+        const { month } = req.params;
+        if (!MONTH_FORMAT.test(month)) {
+            return res.status(400).json({ error: "Month must be in YYYY-MM format" });
+        }
+
+        const payrolls = await DriverPayroll.find({ month, status: 'approved' }).populate('driverId', 'name');
+        const { end } = DriverPayroll.monthRange(month);
+        const expenses = [];
+
+        for (const payroll of payrolls) {
+            // The payroll is claimed and expensed together, so a concurrent request cannot expense
+            // it twice and a failure leaves neither write behind
+            let expense = null;
+            const session = await mongoose.startSession();
+            try {
+                await session.withTransaction(async () => {
+                    expense = new Expense({
+                        title: `Driver salary - ${payroll.driverId.name} (${month})`,
+                        description: `Base ${payroll.baseSalary}, overtime ${payroll.overtimePay} (${payroll.overtimeHours}h), ` +
+                            `food ${payroll.foodAllowance}, stay ${payroll.stayAllowance} over ${payroll.trips} trip(s)`,
+                        amount: payroll.total,
+                        date: end,
+                        category: 'Salary',
+                        addedBy: req.user.id
+                    });
+
+                    const claimed = await DriverPayroll.findOneAndUpdate(
+                        { _id: payroll._id, status: 'approved' },
+                        { $set: { status: 'expensed', expenseId: expense._id } },
+                        { session }
+                    );
+                    if (!claimed) {
+                        expense = null;
+                        return;
+                    }
+
+                    await expense.save({ session });
+                });
+            } finally {
+                await session.endSession();
+            }
+
+            if (expense) {
+                expenses.push(expense);
+            }
+        }
+
+        res.status(201).json({
+            message: `${expenses.length} salary expense(s) created successfully`,
+            expenses: expenses.map(expense => ({
+                id: expense._id,
+                title: expense.title,
+                amount: expense.amount,
+                date: expense.date
+            })),
+            totalAmount: expenses.reduce((sum, expense) => sum + expense.amount, 0)
+        });
+
+    } catch (error) {
+        console.error("Error creating salary expenses:", error);
+        res.status(500).json({ error: "Failed to create salary expenses" });
+    }
+});
+
+module.exports = router;
@@ -4,36 +4,55 @@ const Driver = require("../models/Driver");
 const Booking = require("../models/Booking");
 const auth = require("../middleware/auth");
 const admin = require("../middleware/admin");
+const { roleOf } = require("../middleware/permissions");
+const { upload, uploadFile } = require("./auth");
 const router = express.Router();
 
+// Pay is only shown to admins
+const formatDriver = (driver, user) => ({
+    id: driver._id,
+    name: driver.name,
+    idCard: driver.idNumber,
+    address: driver.address,
+    lisenceNumber: driver.lisenceNumber,
+    licenceExpiryDate: driver.licenceExpiryDate || null,
+    licenceExpired: Boolean(driver.licenceExpiryDate && driver.licenceExpiryDate < new Date()),
+    phone: driver.phone,
+    emergencyPhone: driver.emergencyPhone,
+    dateOfJoining: driver.createdAt.toISOString().split("T")[0], // Format date
+    // Kept in the form clients read before employment statuses existed
+    status: driver.status === 'active' ? "available" : "not available",
+    employmentStatus: driver.status,
+    statusReason: driver.statusReason || "",
+    image: driver.avatar,
+    ...(roleOf(user) === 'admin' && {
+        baseSalary: driver.baseSalary || 0,
+        overtimeHourlyRate: driver.overtimeHourlyRate || 0
+    }),
+    documents: (driver.documents || []).map(document => ({
+        id: document._id,
+        type: document.type,
+        url: document.url,
+        expiryDate: document.expiryDate || null,
+        uploadedAt: document.uploadedAt
+    }))
+});
+
 // GET all drivets
-router.get("/", async (req, res) => {
+router.get("/", auth, async (req, res) => {
     try {
         const drivers = await Driver.find();
 
-        const formatedDrivers = drivers.map((driver, index) => ({
-            id: driver._id,
-            name: driver.name,
-            idCard: driver.idNumber,
-            address: driver.address,
-            lisenceNumber: driver.lisenceNumber,
-            phone: driver.phone,
-            emergencyPhone: driver.emergencyPhone,
-            dateOfJoining: driver.createdAt.toISOString().split("T")[0], // Format date
-            status: driver.available ? "available" : "not available",
-            image: driver.avatar,
-        }));
-
-        res.json(formatedDrivers);
+        res.json(drivers.map(driver => formatDriver(driver, req.user)));
     } catch (error) {
         res.status(500).json({ error: "Failed to fetch drivers" });
     }
 });
 
 // POST: Add a new employee
-router.post("/", async (req, res) => {
+router.post("/", auth, admin, async (req, res) => {
     try {
-        const { name, lisenceNumber, idCard, address, phone, image, emergencyPhone } = req.body;
+        const { name, lisenceNumber, licenceExpiryDate, idCard, address, phone, image, emergencyPhone, baseSalary, overtimeHourlyRate } = req.body;
 
         if (!name || !lisenceNumber || !idCard || !address || !phone || !emergencyPhone) {
             return res.status(400).json({ error: "All fields are required" });
@@ -42,11 +61,14 @@ router.post("/", async (req, res) => {
         const newUser = new Driver({
             name,
             lisenceNumber,
+            licenceExpiryDate: licenceExpiryDate ? new Date(licenceExpiryDate) : undefined,
             idNumber: idCard,
             address,
             phone,
             emergencyPhone,
             avatar: image || undefined, // If no image provided, default will be used
+            baseSalary: Number(baseSalary || 0),
+            overtimeHourlyRate: Number(overtimeHourlyRate || 0),
         });
 
         await newUser.save();
@@ -57,7 +79,7 @@ router.post("/", async (req, res) => {
 });
 
 // Add this new route to get driver names and IDs
-router.get("/names", async (req, res) => {
+router.get("/names", auth, async (req, res) => {
     try {
         const drivers = await Driver.find({}, '_id name'); // Only fetch _id and name fields
 
@@ -74,7 +96,7 @@ router.get("/names", async (req, res) => {
 });
 
 // Add this new route to get available drivers for a date range
-router.get("/available", async (req, res) => {
+router.get("/available", auth, async (req, res) => {
     try {
         const { startDate, endDate } = req.query;
 
@@ -96,22 +118,21 @@ router.get("/available", async (req, res) => {
             return res.status(400).json({ error: "End date must be after start date" });
         }
 
-        // Find all bookings that overlap with the requested date range
+        // Find all drivers with a trip overlapping the requested interval
         const busyDriverIds = await Booking.distinct('driverId', {
-            status: 'active',
-            $or: [
-                {
-                    startDate: { $lte: end },
-                    endDate: { $gte: start }
-                }
-            ]
+            status: { $in: Booking.OPEN_STATUSES },
+            ...Booking.overlapQuery(start, end, 0)
         });
 
-        // Find all drivers that are not in the busy drivers list and are available
-        const availableDrivers = await Driver.find({
+        // Of the remaining active drivers, keep those not on leave or off duty and licensed for the trip
+        const freeDrivers = await Driver.find({
             _id: { $nin: busyDriverIds },
-            available: true,
-        }, '_id name');
+            status: 'active',
+        }, '_id name status licenceExpiryDate leaves offDays');
+
+        const availableDrivers = freeDrivers.filter(driver =>
+            !driver.unavailabilityReason(start, end)
+        );
 
         // Format the response
         const driversList = availableDrivers.map(driver => ({
@@ -127,6 +148,418 @@ router.get("/available", async (req, res) => {
     }
 });
 
+// Get a driver's day-by-day schedule of trips, leaves and off days
+router.get("/:driverId/schedule", auth, async (req, res) => {
+    try {
+        const { driverId } = req.params;
+        const now = new Date();
+
+        // Default to the current month
+        const start = req.query.startDate
+            ? new Date(req.query.startDate)
+            : new Date(now.getFullYear(), now.getMonth(), 1);
+        const end = req.query.endDate
+            ? new Date(req.query.endDate)
+            : new Date(now.getFullYear(), now.getMonth() + 1, 1);
+
+        if (isNaN(start.getTime()) || isNaN(end.getTime())) {
+            return res.status(400).json({ error: "Invalid date format" });
+        }
+
+        if (start >= end) {
+            return res.status(400).json({ error: "End date must be after start date" });
+        }
+
+        if (end - start > 1000 * 60 * 60 * 24 * 92) {
+            return res.status(400).json({ error: "Schedule can cover at most 92 days" });
+        }
+
+        const driver = await Driver.findById(driverId);
+        if (!driver) {
+            return res.status(404).json({ error: "Driver not found" });
+        }
+
+        const bookings = await Booking.find({
+            driverId: driver._id,
+            status: { $in: [...Booking.OPEN_STATUSES, 'completed'] },
+            ...Booking.overlapQuery(start, end, 0)
+        })
+            .populate('carId', 'model registrationNumber')
+            .populate('customerId', 'fullName')
+            .sort({ startAt: 1 });
+
+        const leaves = driver.leavesBetween(start, end);
+        const offDays = driver.offDaysBetween(start, end).map(day => day.getTime());
+
+        // Build the calendar one day at a time
+        const days = [];
+        const day = new Date(start);
+        day.setHours(0, 0, 0, 0);
+        while (day < end) {
+            const dayEnd = new Date(day);
+            dayEnd.setDate(dayEnd.getDate() + 1);
+
+            const dayBookings = bookings.filter(booking =>
+                booking.startAt < dayEnd && booking.endAt > day
+            );
+            const onLeave = leaves.some(leave =>
+                leave.startDate < dayEnd && leave.endDate > day
+            );
+
+            let status = 'free';
+            if (dayBookings.length > 0) status = 'booked';
+            else if (onLeave) status = 'leave';
+            else if (offDays.includes(day.getTime())) status = 'off';
+
+            days.push({
+                date: day.toISOString().split('T')[0],
+                status,
+                bookingIds: dayBookings.map(booking => booking._id)
+            });
+
+            day.setDate(day.getDate() + 1);
+        }
+
+        res.json({
+            driver: {
+                id: driver._id,
+                name: driver.name,
+                offDays: driver.offDays
+            },
+            period: {
+                startDate: start,
+                endDate: end
+            },
+            bookings: bookings.map(booking => ({
+                id: booking._id,
+                status: booking.status,
+                startAt: booking.startAt,
+                endAt: booking.endAt,
+                tripType: booking.tripType,
+                cityName: booking.cityName || "",
+                carModel: booking.carId?.model || 'N/A',
+                registrationNumber: booking.carId?.registrationNumber || 'N/A',
+                customerName: booking.customerId?.fullName || 'N/A'
+            })),
+            leaves: leaves.map(leave => ({
+                id: leave._id,
+                startDate: leave.startDate,
+                endDate: leave.endDate,
+                reason: leave.reason || ""
+            })),
+            days
+        });
+
+    } catch (error) {
+        console.error("Error fetching driver schedule:", error);
+        if (error.kind === 'ObjectId') {
+            return res.status(400).json({ error: "Invalid driver ID" });
+        }
+        res.status(500).json({ error: "Failed to fetch driver schedule" });
+    }
+});
+
+// Add a leave period for a driver (Admin only)
+router.post("/:driverId/leaves", auth, admin, async (req, res) => {
+    try {
+        const { driverId } = req.params;
+        const { startDate, endDate, reason } = req.body;
+
+        if (!startDate || !endDate) {
+            return res.status(400).json({ error: "Start date and end date are required" });
+        }
+
+        const start = new Date(startDate);
+        const end = new Date(endDate);
+        if (isNaN(start.getTime()) || isNaN(end.getTime())) {
+            return res.status(400).json({ error: "Invalid date format" });
+        }
+
+        if (start >= end) {
+            return res.status(400).json({ error: "End date must be after start date" });
+        }
+
+        const driver = await Driver.findById(driverId);
+        if (!driver) {
+            return res.status(404).json({ error: "Driver not found" });
+        }
+
+        // A leave cannot be granted over trips the driver is already assigned to
+        const conflictingBooking = await Booking.findOne({
+            driverId: driver._id,
+            status: { $in: Booking.OPEN_STATUSES },
+            ...Booking.overlapQuery(start, end, 0)
+        });
+
+        if (conflictingBooking) {
+            return res.status(400).json({ 
+                error: "Driver has an active booking during this leave period" 
+            });
+        }
+
+        driver.leaves.push({
+            startDate: start,
+            endDate: end,
+            reason,
+            addedBy: req.user.id
+        });
+        await driver.save();
+
+        const leave = driver.leaves[driver.leaves.length - 1];
+
+        res.status(201).json({
+            message: "Leave added successfully",
+            leave: {
+                id: leave._id,
+                startDate: leave.startDate,
+                endDate: leave.endDate,
+                reason: leave.reason || ""
+            }
+        });
+
+    } catch (error) {
+        console.error("Error adding driver leave:", error);
+        if (error.kind === 'ObjectId') {
+            return res.status(400).json({ error: "Invalid driver ID" });
+        }
+        res.status(500).json({ error: "Failed to add leave" });
+    }
+});
+
+// Remove a leave period (Admin only)
+router.delete("/:driverId/leaves/:leaveId", auth, admin, async (req, res) => {
+    try {
+        const { driverId, leaveId } = req.params;
+
+        const driver = await Driver.findById(driverId);
+        if (!driver) {
+            return res.status(404).json({ error: "Driver not found" });
+        }
+
+        const leave = driver.leaves.id(leaveId);
+        if (!leave) {
+            return res.status(404).json({ error: "Leave not found" });
+        }
+
+        leave.deleteOne();
+        await driver.save();
+
+        res.json({ message: "Leave removed successfully" });
+
+    } catch (error) {
+        console.error("Error removing driver leave:", error);
+        if (error.kind === 'ObjectId') {
+            return res.status(400).json({ error: "Invalid driver or leave ID" });
+        }
+        res.status(500).json({ error: "Failed to remove leave" });
+    }
+});
+
+// Set a driver's weekly off days (Admin only)
+router.put("/:driverId/off-days", auth, admin, async (req, res) => {
+    try {
+        const { driverId } = req.params;
+        const { offDays } = req.body;
+
+        if (!Array.isArray(offDays) || offDays.some(day => !Number.isInteger(day) || day < 0 || day > 6)) {
+            return res.status(400).json({ 
+                error: "Off days must be a list of weekday numbers from 0 (Sunday) to 6 (Saturday)" 
+            });
+        }
+
+        const driver = await Driver.findById(driverId);
+        if (!driver) {
+            return res.status(404).json({ error: "Driver not found" });
+        }
+
+        driver.offDays = [...new Set(offDays)].sort();
+        await driver.save();
+
+        res.json({
+            message: "Off days updated successfully",
+            driver: {
+                id: driver._id,
+                name: driver.name,
+                offDays: driver.offDays
+            }
+        });
+
+    } catch (error) {
+        console.error("Error updating driver off days:", error);
+        if (error.kind === 'ObjectId') {
+            return res.status(400).json({ error: "Invalid driver ID" });
+        }
+        res.status(500).json({ error: "Failed to update off days" });
+    }
+});
+
+// Update a driver's profile (Admin only)
+router.patch("/:driverId", auth, admin, async (req, res) => {
+    try {
+        const driver = await Driver.findById(req.params.driverId);
+        if (!driver) {
+            return res.status(404).json({ error: "Driver not found" });
+        }
+
+        const {
+            name,
+            lisenceNumber,
+            licenceExpiryDate,
+            idCard,
+            address,
+            phone,
+            emergencyPhone,
+            image,
+            baseSalary,
+            overtimeHourlyRate
+        } = req.body;
+
+        if (name !== undefined) driver.name = name;
+        if (lisenceNumber !== undefined) driver.lisenceNumber = lisenceNumber;
+        if (licenceExpiryDate !== undefined) {
+            driver.licenceExpiryDate = licenceExpiryDate ? new Date(licenceExpiryDate) : undefined;
+        }
+        if (idCard !== undefined) driver.idNumber = idCard;
+        if (address !== undefined) driver.address = address;
+        if (phone !== undefined) driver.phone = phone;
+        if (emergencyPhone !== undefined) driver.emergencyPhone = emergencyPhone;
+        if (image) driver.avatar = image;
+        if (baseSalary !== undefined) driver.baseSalary = Number(baseSalary);
+        if (overtimeHourlyRate !== undefined) driver.overtimeHourlyRate = Number(overtimeHourlyRate);
+
+        await driver.save();
+
+        res.json({
+            message: "Driver updated successfully",
+            driver: formatDriver(driver, req.user)
+        });
+
+    } catch (error) {
+        console.error("Error updating driver:", error);
+        if (error.kind === 'ObjectId') {
+            return res.status(400).json({ error: "Invalid driver ID" });
+        }
+        if (error.name === 'ValidationError' || error.name === 'CastError') {
+            return res.status(400).json({ error: error.message });
+        }
+        res.status(500).json({ error: "Failed to update driver" });
+    }
+});
+
+// Activate, deactivate or suspend a driver (Admin only)
+router.patch("/:driverId/status", auth, admin, async (req, res) => {
+    try {
+        const { status, reason } = req.body;
+
+        if (!['active', 'inactive', 'suspended'].includes(status)) {
+            return res.status(400).json({ error: "Status must be active, inactive or suspended" });
+        }
+
+        const driver = await Driver.findById(req.params.driverId);
+        if (!driver) {
+            return res.status(404).json({ error: "Driver not found" });
+        }
+
+        if (driver.status === status) {
+            return res.status(400).json({ error: `Driver is already ${status}` });
+        }
+
+        if (status === 'suspended' && !reason) {
+            return res.status(400).json({ error: "A reason is required to suspend a driver" });
+        }
+
+        // Trips the driver can no longer take have to be reassigned
+        const openBookings = status === 'active' ? [] : await Booking.find({
+            driverId: driver._id,
+            status: { $in: Booking.OPEN_STATUSES }
+        }, '_id status startAt endAt');
+
+        // Leaving is final enough that open trips must be reassigned first; a suspension can be immediate
+        if (status === 'inactive' && openBookings.length > 0) {
+            return res.status(400).json({ 
+                error: "Cannot deactivate driver with active or pending bookings" 
+            });
+        }
+
+        driver.status = status;
+        driver.statusReason = reason;
+        driver.statusChangedAt = new Date();
+        await driver.save();
+
+        res.json({
+            message: `Driver marked as ${status} successfully`,
+            driver: formatDriver(driver, req.user),
+            bookingsToReassign: openBookings.map(booking => ({
+                id: booking._id,
+                status: booking.status,
+                startAt: booking.startAt,
+                endAt: booking.endAt
+            }))
+        });
+
+    } catch (error) {
+        console.error("Error updating driver status:", error);
+        if (error.kind === 'ObjectId') {
+            return res.status(400).json({ error: "Invalid driver ID" });
+        }
+        res.status(500).json({ error: "Failed to update driver status" });
+    }
+});
+
+// Upload scans of a driver's licence, ID card or other documents (Admin only)
+router.post("/:driverId/documents", auth, admin, upload.array('documents', 5), async (req, res) => {
+    try {
+        const { type = 'other', expiryDate } = req.body;
+
+        if (!['licence', 'id-card', 'other'].includes(type)) {
+            return res.status(400).json({ error: "Document type must be licence, id-card or other" });
+        }
+
+        if (!req.files || req.files.length === 0) {
+            return res.status(400).json({ error: "At least one document scan is required" });
+        }
+
+        const expiry = expiryDate ? new Date(expiryDate) : undefined;
+        if (expiry && isNaN(expiry.getTime())) {
+            return res.status(400).json({ error: "Invalid expiry date" });
+        }
+
+        const driver = await Driver.findById(req.params.driverId);
+        if (!driver) {
+            return res.status(404).json({ error: "Driver not found" });
+        }
+
+        for (const file of req.files) {
+            const result = await uploadFile({ file });
+            driver.documents.push({
+                type,
+                url: result.secure_url,
+                expiryDate: expiry,
+                uploadedBy: req.user.id
+            });
+        }
+
+        // A new licence scan carries the current expiry date
+        if (type === 'licence' && expiry) {
+            driver.licenceExpiryDate = expiry;
+        }
+
+        await driver.save();
+
+        res.status(201).json({
+            message: "Documents uploaded successfully",
+            driver: formatDriver(driver, req.user)
+        });
+
+    } catch (error) {
+        console.error("Error uploading driver documents:", error);
+        if (error.kind === 'ObjectId') {
+            return res.status(400).json({ error: "Invalid driver ID" });
+        }
+        res.status(500).json({ error: "Failed to upload documents" });
+    }
+});
+
 // Delete/Deactivate driver (Admin only)
 router.delete("/:driverId", auth, admin, async (req, res) => {
     try {
@@ -141,7 +574,7 @@ router.delete("/:driverId", auth, admin, async (req, res) => {
         // Check for active or pending bookings
         const activeBookings = await Booking.find({
             driverId: driverId,
-            status: { $in: ['active', 'pending'] }
+            status: { $in: Booking.OPEN_STATUSES }
         });
 
         if (activeBookings.length > 0) {
@@ -150,8 +583,9 @@ router.delete("/:driverId", auth, admin, async (req, res) => {
             });
         }
 
-        // Instead of deleting, mark as unavailable
-        driver.available = false;
+        // Instead of deleting, mark as inactive; it can be reactivated through the status route
+        driver.status = 'inactive';
+        driver.statusChangedAt = new Date();
         await driver.save();
 
         res.json({
@@ -161,7 +595,8 @@ router.delete("/:driverId", auth, admin, async (req, res) => {
                 name: driver.name,
                 phone: driver.phone,
                 status: "not available",
-                deactivatedAt: new Date()
+                employmentStatus: driver.status,
+                deactivatedAt: driver.statusChangedAt
             }
         });
 
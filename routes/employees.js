@@ -7,7 +7,7 @@ const bcrypt = require("bcryptjs");
 const Booking = require("../models/Booking");
 
 // GET all employees
-router.get("/", async (req, res) => {
+router.get("/", auth, admin, async (req, res) => {
     try {
         const employees = await User.find({ role: "employee" });
 
@@ -30,7 +30,7 @@ router.get("/", async (req, res) => {
 });
 
 // POST: Add a new employee
-router.post("/", async (req, res) => {
+router.post("/", auth, admin, async (req, res) => {
     try {
         const { name, email, password, idCard, address, age, profilePicture } = req.body;
 
@@ -129,7 +129,7 @@ router.delete("/:employeeId", auth, admin, async (req, res) => {
         // Check if employee has any active bookings
         const activeBookings = await Booking.find({
             driverId: employeeId,
-            status: { $in: ['active', 'pending'] }
+            status: { $in: Booking.OPEN_STATUSES }
         });
 
         if (activeBookings.length > 0) {
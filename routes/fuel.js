@@ -0,0 +1,326 @@
+const express = require("express");
+const router = express.Router();
+const FuelEntry = require("../models/FuelEntry");
+const Booking = require("../models/Booking");
+const Car = require("../models/Car");
+const Expense = require("../models/Expense");
+const OdometerReading = require("../models/OdometerReading");
+const auth = require("../middleware/auth");
+const admin = require("../middleware/admin");
+
+const formatFuelEntry = (entry) => ({
+    id: entry._id,
+    car: entry.carId?.model
+        ? { id: entry.carId._id, model: entry.carId.model, registrationNumber: entry.carId.registrationNumber }
+        : entry.carId,
+    bookingId: entry.bookingId || null,
+    driver: entry.driverId?.name
+        ? { id: entry.driverId._id, name: entry.driverId.name }
+        : entry.driverId || null,
+    litres: entry.litres,
+    pricePerLitre: entry.pricePerLitre,
+    amount: entry.amount,
+    odometer: entry.odometer,
+    station: entry.station || "",
+    paidBy: entry.paidBy,
+    filledAt: entry.filledAt,
+    kilometers: entry.kilometers,
+    kmPerLitre: entry.kmPerLitre,
+    anomaly: entry.anomaly,
+    anomalyReason: entry.anomalyReason || null,
+    expenseId: entry.expenseId || null,
+    notes: entry.notes || ""
+});
+
+// Filter on when the car was refuelled
+const filledAtQuery = ({ from, to }) => {
+    const filledAt = {};
+    if (from) filledAt.$gte = new Date(from);
+    if (to) filledAt.$lte = new Date(to);
+    return Object.keys(filledAt).length > 0 ? { filledAt } : {};
+};
+
+// Totals and average efficiency of a set of refuellings
+const summarize = (entries) => {
+    const measured = entries.filter(entry => entry.kmPerLitre !== null);
+    const measuredKilometers = measured.reduce((sum, entry) => sum + entry.kilometers, 0);
+    const measuredLitres = measured.reduce((sum, entry) => sum + entry.litres, 0);
+
+    return {
+        refuellings: entries.length,
+        litres: Math.round(entries.reduce((sum, entry) => sum + entry.litres, 0) * 100) / 100,
+        companyCost: entries
+            .filter(entry => entry.paidBy === 'company')
+            .reduce((sum, entry) => sum + entry.amount, 0),
+        customerCost: entries
+            .filter(entry => entry.paidBy === 'customer')
+            .reduce((sum, entry) => sum + entry.amount, 0),
+        kilometers: measuredKilometers,
+        kmPerLitre: measuredLitres > 0 ? Math.round(measuredKilometers / measuredLitres * 100) / 100 : null,
+        anomalies: entries.filter(entry => entry.anomaly).length
+    };
+};
+
+// Get fuel entries, optionally filtered by car, driver, booking, period or anomalies
+router.get("/", auth, async (req, res) => {
+    try {
+        const { carId, driverId, bookingId, anomaly } = req.query;
+
+        const query = filledAtQuery(req.query);
+        if (carId) query.carId = carId;
+        if (driverId) query.driverId = driverId;
+        if (bookingId) query.bookingId = bookingId;
+        if (anomaly === 'true') query.anomaly = true;
+
+        const entries = await FuelEntry.find(query)
+            .populate('carId', 'model registrationNumber')
+            .populate('driverId', 'name')
+            .sort({ filledAt: -1 });
+
+        res.json({
+            entries: entries.map(formatFuelEntry),
+            summary: summarize(entries)
+        });
+
+    } catch (error) {
+        console.error("Error fetching fuel entries:", error);
+        if (error.kind === 'ObjectId' || error.kind === 'date') {
+            return res.status(400).json({ error: "Invalid filter" });
+        }
+        res.status(500).json({ error: "Failed to fetch fuel entries" });
+    }
+});
+
+// Fuel used and efficiency per car, or per driver with groupBy=driver
+router.get("/report", auth, async (req, res) => {
+    try {
+        const { groupBy = 'car' } = req.query;
+        if (!['car', 'driver'].includes(groupBy)) {
+            return res.status(400).json({ error: "Group by must be car or driver" });
+        }
+
+        const query = filledAtQuery(req.query);
+        // Self-drive refuellings have no driver to account them to
+        if (groupBy === 'driver') query.driverId = { $ne: null };
+
+        const entries = await FuelEntry.find(query)
+            .populate('carId', 'model registrationNumber')
+            .populate('driverId', 'name');
+
+        const groups = new Map();
+        for (const entry of entries) {
+            const subject = groupBy === 'car' ? entry.carId : entry.driverId;
+            if (!subject) continue;
+
+            const key = subject._id.toString();
+            if (!groups.has(key)) {
+                groups.set(key, {
+                    subject: groupBy === 'car'
+                        ? { id: subject._id, model: subject.model, registrationNumber: subject.registrationNumber }
+                        : { id: subject._id, name: subject.name },
+                    entries: []
+                });
+            }
+            groups.get(key).entries.push(entry);
+        }
+
+        const report = [...groups.values()]
+            .map(({ subject, entries: groupEntries }) => ({
+                [groupBy]: subject,
+                ...summarize(groupEntries)
+            }))
+            .sort((a, b) => b.litres - a.litres);
+
+        res.json({
+            groupBy,
+            report,
+            summary: summarize(entries)
+        });
+
+    } catch (error) {
+        console.error("Error generating fuel report:", error);
+        if (error.kind === 'date') {
+            return res.status(400).json({ error: "Invalid from or to date" });
+        }
+        res.status(500).json({ error: "Failed to generate fuel report" });
+    }
+});
+
+// A car's efficiency over time, per refuelling and per month
+router.get("/cars/:carId/efficiency", auth, async (req, res) => {
+    try {
+        const car = await Car.findById(req.params.carId);
+        if (!car) {
+            return res.status(404).json({ error: "Car not found" });
+        }
+
+        const entries = await FuelEntry.find({ carId: car._id, ...filledAtQuery(req.query) })
+            .sort({ odometer: 1, filledAt: 1 });
+
+        const byMonth = new Map();
+        for (const entry of entries) {
+            const month = `${entry.filledAt.getFullYear()}-${String(entry.filledAt.getMonth() + 1).padStart(2, '0')}`;
+            if (!byMonth.has(month)) byMonth.set(month, []);
+            byMonth.get(month).push(entry);
+        }
+
+        res.json({
+            car: { id: car._id, model: car.model, registrationNumber: car.registrationNumber },
+            refuellings: entries.map(entry => ({
+                id: entry._id,
+                filledAt: entry.filledAt,
+                odometer: entry.odometer,
+                litres: entry.litres,
+                kilometers: entry.kilometers,
+                kmPerLitre: entry.kmPerLitre,
+                anomaly: entry.anomaly,
+                anomalyReason: entry.anomalyReason || null
+            })),
+            perMonth: [...byMonth.entries()]
+                .sort(([a], [b]) => a.localeCompare(b))
+                .map(([month, monthEntries]) => ({ month, ...summarize(monthEntries) })),
+            summary: summarize(entries)
+        });
+
+    } catch (error) {
+        console.error("Error fetching fuel efficiency:", error);
+        if (error.kind === 'ObjectId') {
+            return res.status(400).json({ error: "Invalid car ID" });
+        }
+        if (error.kind === 'date') {
+            return res.status(400).json({ error: "Invalid from or to date" });
+        }
+        res.status(500).json({ error: "Failed to fetch fuel efficiency" });
+    }
+});
+
+// Record a refuelling; fuel paid by the company is also booked as a Fuel expense
+router.post("/", auth, async (req, res) => {
+    try {
+        const { carId, bookingId, driverId, litres, pricePerLitre, amount, odometer, station, paidBy = 'company', filledAt, notes } = req.body;
+
+        if (!carId || !litres || pricePerLitre === undefined || odometer === undefined) {
+            return res.status(400).json({ error: "Car, litres, price per litre and odometer reading are required" });
+        }
+
+        if ([litres, pricePerLitre, odometer].some(value => isNaN(Number(value)) || Number(value) < 0)) {
+            return res.status(400).json({ error: "Litres, price per litre and odometer must be positive numbers" });
+        }
+
+        const fillTime = filledAt ? new Date(filledAt) : new Date();
+        if (isNaN(fillTime.getTime())) {
+            return res.status(400).json({ error: "Invalid refuelling time" });
+        }
+
+        const car = await Car.findById(carId);
+        if (!car) {
+            return res.status(404).json({ error: "Car not found" });
+        }
+
+        // A mistyped reading would throw off the efficiency of this and every later refuelling
+        const readingError = await OdometerReading.checkReading(car._id, odometer);
+        if (readingError) {
+            return res.status(400).json({ error: readingError });
+        }
+
+        // Link the trip the car was on, so the refuelling counts against its driver
+        let booking = null;
+        if (bookingId) {
+            booking = await Booking.findById(bookingId);
+            if (!booking) {
+                return res.status(404).json({ error: "Booking not found" });
+            }
+            if (booking.carId?.toString() !== car._id.toString()) {
+                return res.status(400).json({ error: "Booking is not for this car" });
+            }
+        } else {
+            booking = await Booking.findOne({
+                carId: car._id,
+                status: { $in: ['in-progress', 'completed'] },
+                startedAt: { $lte: fillTime },
+                $or: [{ completedAt: null }, { completedAt: { $gte: fillTime } }]
+            });
+        }
+
+        const entry = new FuelEntry({
+            carId: car._id,
+            bookingId: booking?._id,
+            driverId: driverId || booking?.driverId,
+            litres: Number(litres),
+            pricePerLitre: Number(pricePerLitre),
+            amount: amount !== undefined && amount !== '' ? Number(amount) : Math.round(Number(litres) * Number(pricePerLitre)),
+            odometer: Number(odometer),
+            station,
+            paidBy,
+            filledAt: fillTime,
+            notes,
+            recordedBy: req.user.id
+        });
+        await entry.validate();
+
+        if (entry.paidBy === 'company' && entry.amount > 0) {
+            const expense = new Expense({
+                title: `Fuel - ${car.registrationNumber}`,
+                description: `${entry.litres} L at ${entry.pricePerLitre}${station ? ` from ${station}` : ''}, odometer ${entry.odometer}`,
+                amount: entry.amount,
+                date: fillTime,
+                category: 'Fuel',
+                carId: car._id,
+                addedBy: req.user.id
+            });
+            await expense.save();
+            entry.expenseId = expense._id;
+        }
+
+        await entry.save();
+
+        const entries = await FuelEntry.recompute(car._id);
+        const recorded = entries.find(item => item._id.equals(entry._id)) || entry;
+
+        res.status(201).json({
+            message: recorded.anomaly
+                ? "Fuel entry recorded successfully, efficiency is unusually low"
+                : "Fuel entry recorded successfully",
+            entry: formatFuelEntry(recorded)
+        });
+
+    } catch (error) {
+        console.error("Error recording fuel entry:", error);
+        if (error.kind === 'ObjectId') {
+            return res.status(400).json({ error: "Invalid car, booking or driver ID" });
+        }
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({ error: error.message });
+        }
+        res.status(500).json({ error: "Failed to record fuel entry" });
+    }
+});
+
+// Remove a fuel entry recorded by mistake, with its expense (Admin only)
+router.delete("/:entryId", auth, admin, async (req, res) => {
+    try {
+        const entry = await FuelEntry.findById(req.params.entryId);
+        if (!entry) {
+            return res.status(404).json({ error: "Fuel entry not found" });
+        }
+
+        if (entry.expenseId) {
+            await Expense.deleteOne({ _id: entry.expenseId });
+        }
+        await entry.deleteOne();
+
+        // The next refuelling is now measured from the one before
+        await FuelEntry.recompute(entry.carId);
+
+        res.json({ message: "Fuel entry deleted successfully" });
+
+    } catch (error) {
+        console.error("Error deleting fuel entry:", error);
+        if (error.kind === 'ObjectId') {
+            return res.status(400).json({ error: "Invalid fuel entry ID" });
+        }
+        res.status(500).json({ error: "Failed to delete fuel entry" });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,242 @@
+const express = require("express");
+const mongoose = require("mongoose");
+const router = express.Router();
+const Inspection = require("../models/Inspection");
+const Booking = require("../models/Booking");
+const OdometerReading = require("../models/OdometerReading");
+const auth = require("../middleware/auth");
+const { upload, uploadFile } = require("./auth");
+
+// Multipart forms send the checklist and damages as JSON strings
+const parseJsonField = (value, fallback) => {
+    if (value === undefined || value === '') return fallback;
+    if (typeof value !== 'string') return value;
+    return JSON.parse(value);
+};
+
+const formatInspection = (inspection) => ({
+    id: inspection._id,
+    bookingId: inspection.bookingId,
+    type: inspection.type,
+    fuelLevel: inspection.fuelLevel,
+    odometer: inspection.odometer,
+    checklist: inspection.checklist,
+    damages: inspection.damages,
+    damageCharges: inspection.damageCharges,
+    photos: inspection.photos,
+    notes: inspection.notes || "",
+    inspectedBy: inspection.inspectedBy?.name || inspection.inspectedBy,
+    inspectedAt: inspection.createdAt
+});
+
+// Get the handover and return inspections of a booking
+router.get("/:bookingId", auth, async (req, res) => {
+    try {
+        const { bookingId } = req.params;
+
+        const booking = await Booking.findById(bookingId, '_id');
+        if (!booking) {
+            return res.status(404).json({ error: "Booking not found" });
+        }
+
+        const inspections = await Inspection.find({ bookingId: booking._id })
+            .populate('inspectedBy', 'name');
+
+        const handover = inspections.find(inspection => inspection.type === 'handover') || null;
+        const returned = inspections.find(inspection => inspection.type === 'return') || null;
+
+        res.json({
+            bookingId: booking._id,
+            handover: handover ? formatInspection(handover) : null,
+            return: returned ? formatInspection(returned) : null,
+            comparison: Inspection.compare(handover, returned)
+        });
+
+    } catch (error) {
+        console.error("Error fetching inspections:", error);
+        if (error.kind === 'ObjectId') {
+            return res.status(400).json({ error: "Invalid booking ID" });
+        }
+        res.status(500).json({ error: "Failed to fetch inspections" });
+    }
+});
+
+// Record the handover or return inspection of a booking, with photos
+router.post("/:bookingId/:type", auth, upload.array('photos', 10), async (req, res) => {
+    try {
+        const { bookingId, type } = req.params;
+        const { fuelLevel, odometer, notes } = req.body;
+
+        if (!['handover', 'return'].includes(type)) {
+            return res.status(400).json({ error: "Inspection type must be handover or return" });
+        }
+
+        if (fuelLevel === undefined || odometer === undefined) {
+            return res.status(400).json({ error: "Fuel level and odometer reading are required" });
+        }
+
+        let checklist;
+        let damages;
+        try {
+            checklist = parseJsonField(req.body.checklist, []);
+            damages = parseJsonField(req.body.damages, []);
+        } catch (err) {
+            return res.status(400).json({ error: "Checklist and damages must be valid JSON" });
+        }
+
+        if (!Array.isArray(checklist) || !Array.isArray(damages)) {
+            return res.status(400).json({ error: "Checklist and damages must be lists" });
+        }
+
+        const booking = await Booking.findById(bookingId);
+        if (!booking) {
+            return res.status(404).json({ error: "Booking not found" });
+        }
+
+        // The car is inspected when it leaves and again before the trip is ended
+        if (type === 'handover' && !['confirmed', 'in-progress'].includes(booking.status)) {
+            return res.status(400).json({ error: "Handover inspections are only recorded for confirmed or in-progress bookings" });
+        }
+        if (type === 'return' && booking.status !== 'in-progress') {
+            return res.status(400).json({ error: "Return inspections are only recorded for in-progress bookings" });
+        }
+
+        // Model-level bookings are inspected once their car has been allocated
+        if (!booking.carId) {
+            return res.status(400).json({ error: "Allocate a car to this booking before inspecting it" });
+        }
+
+        const existingInspection = await Inspection.findOne({ bookingId: booking._id, type });
+        if (existingInspection) {
+            return res.status(400).json({ error: `A ${type} inspection has already been recorded for this booking` });
+        }
+
+        let handover = null;
+        if (type === 'return') {
+            handover = await Inspection.findOne({ bookingId: booking._id, type: 'handover' });
+            if (handover && Number(odometer) < handover.odometer) {
+                return res.status(400).json({ error: "Odometer reading cannot be less than at handover" });
+            }
+        }
+
+        const readingError = await OdometerReading.checkReading(booking.carId, odometer);
+        if (readingError) {
+            return res.status(400).json({ error: readingError });
+        }
+
+        // Upload photos one at a time through the shared Cloudinary helper
+        const photos = [];
+        for (const file of req.files || []) {
+            const result = await uploadFile({ file });
+            photos.push(result.secure_url);
+        }
+
+        const inspection = new Inspection({
+            bookingId: booking._id,
+            carId: booking.carId,
+            type,
+            fuelLevel: Number(fuelLevel),
+            odometer: Number(odometer),
+            checklist,
+            // Damages point at an uploaded photo by its position in the upload
+            damages: damages.map(({ photoIndex, charge, ...damage }) => ({
+                ...damage,
+                photoUrl: photoIndex !== undefined ? photos[photoIndex] : damage.photoUrl,
+                charge: type === 'return' ? Number(charge || 0) : 0
+            })),
+            photos,
+            notes,
+            inspectedBy: req.user.id
+        });
+
+        // The inspection and its odometer reading are kept or rejected together
+        const session = await mongoose.startSession();
+        try {
+            await session.withTransaction(async () => {
+                await inspection.save({ session });
+
+                await OdometerReading.create([{
+                    carId: inspection.carId,
+                    reading: inspection.odometer,
+                    recordedAt: inspection.createdAt,
+                    source: 'inspection',
+                    bookingId: booking._id,
+                    inspectionId: inspection._id,
+                    recordedBy: req.user.id
+                }], { session });
+            });
+        } finally {
+            await session.endSession();
+        }
+
+        res.status(201).json({
+            message: `${type === 'handover' ? 'Handover' : 'Return'} inspection recorded successfully`,
+            inspection: formatInspection(inspection),
+            comparison: Inspection.compare(handover, inspection)
+        });
+
+    } catch (error) {
+        console.error("Error recording inspection:", error);
+        if (error.kind === 'ObjectId') {
+            return res.status(400).json({ error: "Invalid booking ID" });
+        }
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({ error: error.message });
+        }
+        res.status(500).json({ error: "Failed to record inspection" });
+    }
+});
+
+// Update the damage charges raised on a return inspection
+router.patch("/:bookingId/return/charges", auth, async (req, res) => {
+    try {
+        const { bookingId } = req.params;
+        const { charges } = req.body;
+
+        if (!Array.isArray(charges)) {
+            return res.status(400).json({ error: "Charges must be a list of damage IDs and amounts" });
+        }
+
+        const booking = await Booking.findById(bookingId, 'status');
+        if (!booking) {
+            return res.status(404).json({ error: "Booking not found" });
+        }
+
+        // Charges are added to the bill when the booking is ended
+        if (booking.status !== 'in-progress') {
+            return res.status(400).json({ error: "Damage charges can only be changed before the booking is ended" });
+        }
+
+        const inspection = await Inspection.findOne({ bookingId: booking._id, type: 'return' });
+        if (!inspection) {
+            return res.status(404).json({ error: "Return inspection not found" });
+        }
+
+        for (const { damageId, charge } of charges) {
+            const damage = inspection.damages.id(damageId);
+            if (!damage) {
+                return res.status(404).json({ error: `Damage ${damageId} not found on the return inspection` });
+            }
+            damage.charge = Number(charge);
+        }
+
+        await inspection.save();
+
+        res.json({
+            message: "Damage charges updated successfully",
+            inspection: formatInspection(inspection)
+        });
+
+    } catch (error) {
+        console.error("Error updating damage charges:", error);
+        if (error.kind === 'ObjectId') {
+            return res.status(400).json({ error: "Invalid booking ID" });
+        }
+        if (error.name === 'ValidationError' || error.name === 'CastError') {
+            return res.status(400).json({ error: error.message });
+        }
+        res.status(500).json({ error: "Failed to update damage charges" });
+    }
+});
+
+module.exports = router;
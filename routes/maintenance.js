@@ -0,0 +1,375 @@
+const express = require("express");
+const mongoose = require("mongoose");
+const router = express.Router();
+const MaintenanceWorkOrder = require("../models/MaintenanceWorkOrder");
+const Booking = require("../models/Booking");
+const Car = require("../models/Car");
+const Expense = require("../models/Expense");
+const OdometerReading = require("../models/OdometerReading");
+const auth = require("../middleware/auth");
+
+const requestError = (statusCode, message) => {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+};
+
+const formatWorkOrder = (workOrder) => ({
+    id: workOrder._id,
+    car: workOrder.carId?.model
+        ? { id: workOrder.carId._id, model: workOrder.carId.model, registrationNumber: workOrder.carId.registrationNumber }
+        : workOrder.carId,
+    planId: workOrder.planId || null,
+    type: workOrder.type,
+    title: workOrder.title,
+    description: workOrder.description || "",
+    workshop: workOrder.workshop || "",
+    startAt: workOrder.startAt,
+    endAt: workOrder.endAt,
+    status: workOrder.status,
+    cost: workOrder.cost ?? null,
+    meterReading: workOrder.meterReading ?? null,
+    expenseId: workOrder.expenseId || null,
+    startedAt: workOrder.startedAt || null,
+    completedAt: workOrder.completedAt || null,
+    cancelledAt: workOrder.cancelledAt || null,
+    cancellationReason: workOrder.cancellationReason || "",
+    createdAt: workOrder.createdAt
+});
+
+// Put a car back in service once no work order keeps it in the workshop
+const releaseCar = async (workOrder, userId, session = null) => {
+    const stillInWorkshop = await MaintenanceWorkOrder.exists({
+        _id: { $ne: workOrder._id },
+        carId: workOrder.carId,
+        status: 'in-progress'
+    }).session(session);
+    if (stillInWorkshop) return;
+
+    await Car.updateOne(
+        { _id: workOrder.carId, status: 'in-maintenance' },
+        { $set: { status: 'active', statusChangedAt: new Date(), statusChangedBy: userId }, $unset: { statusReason: 1 } },
+        { session }
+    );
+};
+
+// Get work orders, optionally filtered by car or status
+router.get("/", auth, async (req, res) => {
+    try {
+        const { carId, status } = req.query;
+
+        const query = {};
+        if (carId) query.carId = carId;
+        if (status) query.status = status;
+
+        const workOrders = await MaintenanceWorkOrder.find(query)
+            .populate('carId', 'model registrationNumber')
+            .sort({ startAt: -1 });
+
+        res.json({ workOrders: workOrders.map(formatWorkOrder) });
+
+    } catch (error) {
+        console.error("Error fetching work orders:", error);
+        if (error.kind === 'ObjectId') {
+            return res.status(400).json({ error: "Invalid car ID" });
+        }
+        res.status(500).json({ error: "Failed to fetch work orders" });
+    }
+});
+
+// Schedule maintenance, blocking the car for the window; the car must be free of bookings then
+router.post("/", auth, async (req, res) => {
+    try {
+        const { carId, planId, type, title, description, workshop, startAt, endAt } = req.body;
+
+        if (!carId || !startAt || !endAt) {
+            return res.status(400).json({ error: "Car, start and end of the maintenance window are required" });
+        }
+
+        const start = new Date(startAt);
+        const end = new Date(endAt);
+        if (isNaN(start.getTime()) || isNaN(end.getTime()) || start >= end) {
+            return res.status(400).json({ error: "Maintenance must end after it starts" });
+        }
+
+        const car = await Car.findById(carId);
+        if (!car) {
+            return res.status(404).json({ error: "Car not found" });
+        }
+
+        if (Car.RETIRED_STATUSES.includes(car.status)) {
+            return res.status(400).json({ error: `Car has been ${car.status === 'sold' ? 'sold' : 'written off'}` });
+        }
+
+        // Orders for a plan default to the plan's type and name
+        let plan = null;
+        if (planId) {
+            plan = car.maintenancePlans.id(planId);
+            if (!plan) {
+                return res.status(404).json({ error: "Maintenance plan not found" });
+            }
+        }
+
+        if (!plan && (!type || !title)) {
+            return res.status(400).json({ error: "Type and title are required for unplanned maintenance" });
+        }
+
+        let workOrder;
+        const session = await mongoose.startSession();
+        try {
+            await session.withTransaction(async () => {
+                await Booking.lockResources({ carId: car._id, carModel: car.model }, session);
+
+                // Also refuses windows that would leave the model short for unallocated bookings;
+                // cars out of service cannot be booked, so only other work orders can clash
+                const isCarAvailable = car.status === 'active'
+                    ? await Booking.checkAvailability(car._id, start, end, null, session)
+                    : (await MaintenanceWorkOrder.blockedCarIds([car._id], start, end, session)).size === 0;
+                if (!isCarAvailable) {
+                    throw requestError(400, "Car is booked or already in maintenance during the selected window");
+                }
+
+                workOrder = new MaintenanceWorkOrder({
+                    carId: car._id,
+                    planId: plan?._id,
+                    type: type || plan.type,
+                    title: title || plan.name || plan.type,
+                    description,
+                    workshop,
+                    startAt: start,
+                    endAt: end,
+                    createdBy: req.user.id
+                });
+                await workOrder.save({ session });
+            });
+        } finally {
+            await session.endSession();
+        }
+
+        res.status(201).json({
+            message: "Maintenance scheduled successfully",
+            workOrder: formatWorkOrder(workOrder)
+        });
+
+    } catch (error) {
+        console.error("Error scheduling maintenance:", error);
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({ error: error.message });
+        }
+        if (error.kind === 'ObjectId') {
+            return res.status(400).json({ error: "Invalid car or plan ID" });
+        }
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({ error: error.message });
+        }
+        res.status(500).json({ error: "Failed to schedule maintenance" });
+    }
+});
+
+// Mark a car as handed over to the workshop; a car handed over early is blocked from then on
+router.patch("/:workOrderId/start", auth, async (req, res) => {
+    try {
+        let workOrder;
+        const session = await mongoose.startSession();
+        try {
+            await session.withTransaction(async () => {
+                workOrder = await MaintenanceWorkOrder.findById(req.params.workOrderId).session(session);
+                if (!workOrder) {
+                    throw requestError(404, "Work order not found");
+                }
+
+                if (!workOrder.canTransitionTo('in-progress')) {
+                    throw requestError(400, `A ${workOrder.status} work order cannot be started`);
+                }
+
+                await Booking.lockResources({ carId: workOrder.carId }, session);
+
+                const onTrip = await Booking.findOne({ carId: workOrder.carId, status: 'in-progress' }).session(session);
+                if (onTrip) {
+                    throw requestError(400, "Car is out on a trip and cannot be handed over to the workshop");
+                }
+
+                const now = new Date();
+                if (now < workOrder.startAt) {
+                    const booked = await Booking.findOne({
+                        carId: workOrder.carId,
+                        status: { $in: Booking.OPEN_STATUSES },
+                        ...Booking.overlapQuery(now, workOrder.startAt)
+                    }).session(session);
+                    if (booked) {
+                        throw requestError(400, "Car is booked before the planned start of the maintenance");
+                    }
+                    workOrder.startAt = now;
+                }
+
+                workOrder.status = 'in-progress';
+                workOrder.startedAt = now;
+                await workOrder.save({ session });
+
+                await Car.updateOne(
+                    { _id: workOrder.carId, status: 'active' },
+                    { $set: { status: 'in-maintenance', statusReason: workOrder.title, statusChangedAt: now, statusChangedBy: req.user.id } },
+                    { session }
+                );
+            });
+        } finally {
+            await session.endSession();
+        }
+
+        res.json({
+            message: "Maintenance started successfully",
+            workOrder: formatWorkOrder(workOrder)
+        });
+
+    } catch (error) {
+        console.error("Error starting maintenance:", error);
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({ error: error.message });
+        }
+        if (error.kind === 'ObjectId') {
+            return res.status(400).json({ error: "Invalid work order ID" });
+        }
+        res.status(500).json({ error: "Failed to start maintenance" });
+    }
+});
+
+// Complete maintenance: the car is released, its plan reset and the cost booked as a Maintenance expense
+router.patch("/:workOrderId/complete", auth, async (req, res) => {
+    try {
+        const { cost, meterReading, notes } = req.body;
+
+        if (cost !== undefined && (isNaN(Number(cost)) || Number(cost) < 0)) {
+            return res.status(400).json({ error: "Cost must be a non-negative number" });
+        }
+
+        let workOrder;
+        const session = await mongoose.startSession();
+        try {
+            await session.withTransaction(async () => {
+                workOrder = await MaintenanceWorkOrder.findById(req.params.workOrderId).session(session);
+                if (!workOrder) {
+                    throw requestError(404, "Work order not found");
+                }
+
+                if (!workOrder.canTransitionTo('completed')) {
+                    throw requestError(400, `A ${workOrder.status} work order cannot be completed`);
+                }
+
+                const car = await Car.findById(workOrder.carId).session(session);
+                const now = new Date();
+                const wasInWorkshop = workOrder.status === 'in-progress';
+
+                // Without a reading the service is counted at the car's last recorded reading
+                const hasReading = meterReading !== undefined && meterReading !== '';
+                const odometer = hasReading
+                    ? Number(meterReading)
+                    : await OdometerReading.lastReading(car._id, session) ?? 0;
+
+                workOrder.status = 'completed';
+                workOrder.completedAt = now;
+                workOrder.completedBy = req.user.id;
+                workOrder.cost = cost !== undefined ? Number(cost) : workOrder.cost;
+                workOrder.meterReading = odometer;
+                if (notes) {
+                    workOrder.description = [workOrder.description, notes].filter(Boolean).join('\n');
+                }
+
+                if (workOrder.cost > 0) {
+                    const expense = new Expense({
+                        title: `${workOrder.title} - ${car.registrationNumber}`,
+                        description: workOrder.description,
+                        amount: workOrder.cost,
+                        date: now,
+                        category: 'Maintenance',
+                        carId: car._id,
+                        addedBy: req.user.id
+                    });
+                    await expense.save({ session });
+                    workOrder.expenseId = expense._id;
+                }
+
+                const plan = workOrder.planId && car.maintenancePlans.id(workOrder.planId);
+                if (plan) {
+                    plan.lastServicedAt = now;
+                    plan.lastServicedKm = odometer;
+                    await car.save({ session });
+                }
+
+                await workOrder.save({ session });
+                if (wasInWorkshop) {
+                    await releaseCar(workOrder, req.user.id, session);
+                }
+
+                // Rejected as a validation error if the reading went backwards
+                if (hasReading) {
+                    await OdometerReading.create([{
+                        carId: car._id,
+                        reading: odometer,
+                        recordedAt: now,
+                        source: 'maintenance',
+                        workOrderId: workOrder._id,
+                        recordedBy: req.user.id
+                    }], { session });
+                }
+            });
+        } finally {
+            await session.endSession();
+        }
+
+        res.json({
+            message: "Maintenance completed successfully",
+            workOrder: formatWorkOrder(workOrder)
+        });
+
+    } catch (error) {
+        console.error("Error completing maintenance:", error);
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({ error: error.message });
+        }
+        if (error.kind === 'ObjectId') {
+            return res.status(400).json({ error: "Invalid work order ID" });
+        }
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({ error: error.message });
+        }
+        res.status(500).json({ error: "Failed to complete maintenance" });
+    }
+});
+
+// Cancel maintenance that is no longer needed, releasing the car
+router.patch("/:workOrderId/cancel", auth, async (req, res) => {
+    try {
+        const workOrder = await MaintenanceWorkOrder.findById(req.params.workOrderId);
+        if (!workOrder) {
+            return res.status(404).json({ error: "Work order not found" });
+        }
+
+        if (!workOrder.canTransitionTo('cancelled')) {
+            return res.status(400).json({ error: `A ${workOrder.status} work order cannot be cancelled` });
+        }
+
+        const wasInWorkshop = workOrder.status === 'in-progress';
+        workOrder.status = 'cancelled';
+        workOrder.cancelledAt = new Date();
+        workOrder.cancellationReason = req.body.reason;
+        await workOrder.save();
+
+        if (wasInWorkshop) {
+            await releaseCar(workOrder, req.user.id);
+        }
+
+        res.json({
+            message: "Maintenance cancelled successfully",
+            workOrder: formatWorkOrder(workOrder)
+        });
+
+    } catch (error) {
+        console.error("Error cancelling maintenance:", error);
+        if (error.kind === 'ObjectId') {
+            return res.status(400).json({ error: "Invalid work order ID" });
+        }
+        res.status(500).json({ error: "Failed to cancel maintenance" });
+    }
+});
+
+module.exports = router;
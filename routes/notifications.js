@@ -0,0 +1,73 @@
+const express = require("express");
+const router = express.Router();
+const Notification = require("../models/Notification");
+const auth = require("../middleware/auth");
+
+const formatNotification = (notification) => ({
+    id: notification._id,
+    type: notification.type,
+    message: notification.message,
+    waitlistEntryId: notification.waitlistEntryId || null,
+    customerId: notification.customerId || null,
+    bookingId: notification.bookingId || null,
+    status: notification.status,
+    outcome: notification.outcome || "",
+    handledAt: notification.handledAt || null,
+    handledBy: notification.handledBy?.name || null,
+    createdAt: notification.createdAt
+});
+
+// Get notifications, open ones by default
+router.get("/", auth, async (req, res) => {
+    try {
+        const { status = 'open', type } = req.query;
+
+        const query = {};
+        if (status !== 'all') query.status = status;
+        if (type) query.type = type;
+
+        const notifications = await Notification.find(query)
+            .populate('handledBy', 'name')
+            .sort({ createdAt: -1 });
+
+        res.json({ notifications: notifications.map(formatNotification) });
+
+    } catch (error) {
+        console.error("Error fetching notifications:", error);
+        res.status(500).json({ error: "Failed to fetch notifications" });
+    }
+});
+
+// Mark a notification as handled, noting the outcome of the call
+router.patch("/:notificationId/done", auth, async (req, res) => {
+    try {
+        const notification = await Notification.findById(req.params.notificationId);
+        if (!notification) {
+            return res.status(404).json({ error: "Notification not found" });
+        }
+
+        if (notification.status === 'done') {
+            return res.status(400).json({ error: "Notification has already been handled" });
+        }
+
+        notification.status = 'done';
+        notification.outcome = req.body.outcome;
+        notification.handledAt = new Date();
+        notification.handledBy = req.user.id;
+        await notification.save();
+
+        res.json({
+            message: "Notification marked as done successfully",
+            notification: formatNotification(notification)
+        });
+
+    } catch (error) {
+        console.error("Error updating notification:", error);
+        if (error.kind === 'ObjectId') {
+            return res.status(400).json({ error: "Invalid notification ID" });
+        }
+        res.status(500).json({ error: "Failed to update notification" });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,156 @@
+const express = require("express");
+const router = express.Router();
+const RateCard = require("../models/RateCard");
+const auth = require("../middleware/auth");
+const admin = require("../middleware/admin");
+
+const rateFields = [
+    'withinCityDailyRate',
+    'outOfCityDailyRate',
+    'kmAllowancePerDay',
+    'perKmOverage',
+    'driverFeePerDay',
+    'nightStayAllowance'
+];
+
+const formatRateCard = (rateCard) => ({
+    id: rateCard._id,
+    model: rateCard.model,
+    variant: rateCard.variant || "",
+    withinCityDailyRate: rateCard.withinCityDailyRate,
+    outOfCityDailyRate: rateCard.outOfCityDailyRate,
+    kmAllowancePerDay: rateCard.kmAllowancePerDay,
+    perKmOverage: rateCard.perKmOverage,
+    driverFeePerDay: rateCard.driverFeePerDay,
+    nightStayAllowance: rateCard.nightStayAllowance,
+    active: rateCard.active,
+    updatedAt: rateCard.updatedAt
+});
+
+// Get all rate cards
+router.get("/", auth, async (req, res) => {
+    try {
+        const { model } = req.query;
+
+        const query = {};
+        if (model) query.model = model;
+
+        const rateCards = await RateCard.find(query)
+            .sort({ model: 1, variant: 1 });
+
+        res.json({ rateCards: rateCards.map(formatRateCard) });
+    } catch (error) {
+        console.error("Error fetching rate cards:", error);
+        res.status(500).json({ error: "Failed to fetch rate cards" });
+    }
+});
+
+// Add a new rate card (Admin only)
+router.post("/", auth, admin, async (req, res) => {
+    try {
+        const { model, variant = '' } = req.body;
+
+        if (!model || req.body.withinCityDailyRate === undefined || req.body.outOfCityDailyRate === undefined) {
+            return res.status(400).json({
+                error: "Model, within city daily rate and out of city daily rate are required"
+            });
+        }
+
+        // Only one active rate card per model/variant
+        const existingRateCard = await RateCard.findOne({ model, variant, active: true });
+        if (existingRateCard) {
+            return res.status(400).json({
+                error: "An active rate card already exists for this model and variant"
+            });
+        }
+
+        const rateCard = new RateCard({
+            model,
+            variant,
+            createdBy: req.user.id
+        });
+
+        rateFields.forEach(field => {
+            if (req.body[field] !== undefined) rateCard[field] = Number(req.body[field]);
+        });
+
+        await rateCard.save();
+
+        res.status(201).json({
+            message: "Rate card added successfully",
+            rateCard: formatRateCard(rateCard)
+        });
+
+    } catch (error) {
+        console.error("Error adding rate card:", error);
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({ error: error.message });
+        }
+        res.status(500).json({ error: "Failed to add rate card" });
+    }
+});
+
+// Update a rate card (Admin only)
+router.patch("/:rateCardId", auth, admin, async (req, res) => {
+    try {
+        const { rateCardId } = req.params;
+
+        const rateCard = await RateCard.findById(rateCardId);
+        if (!rateCard) {
+            return res.status(404).json({ error: "Rate card not found" });
+        }
+
+        rateFields.forEach(field => {
+            if (req.body[field] !== undefined) rateCard[field] = Number(req.body[field]);
+        });
+
+        if (req.body.active !== undefined) rateCard.active = Boolean(req.body.active);
+
+        await rateCard.save();
+
+        res.json({
+            message: "Rate card updated successfully",
+            rateCard: formatRateCard(rateCard)
+        });
+
+    } catch (error) {
+        console.error("Error updating rate card:", error);
+        if (error.kind === 'ObjectId') {
+            return res.status(400).json({ error: "Invalid rate card ID" });
+        }
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({ error: error.message });
+        }
+        res.status(500).json({ error: "Failed to update rate card" });
+    }
+});
+
+// Deactivate a rate card (Admin only)
+router.delete("/:rateCardId", auth, admin, async (req, res) => {
+    try {
+        const { rateCardId } = req.params;
+
+        const rateCard = await RateCard.findById(rateCardId);
+        if (!rateCard) {
+            return res.status(404).json({ error: "Rate card not found" });
+        }
+
+        // Bookings keep a reference to the rate card, so it is only deactivated
+        rateCard.active = false;
+        await rateCard.save();
+
+        res.json({
+            message: "Rate card deactivated successfully",
+            rateCard: formatRateCard(rateCard)
+        });
+
+    } catch (error) {
+        console.error("Error deactivating rate card:", error);
+        if (error.kind === 'ObjectId') {
+            return res.status(400).json({ error: "Invalid rate card ID" });
+        }
+        res.status(500).json({ error: "Failed to deactivate rate card" });
+    }
+});
+
+module.exports = router;
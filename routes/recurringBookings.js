@@ -0,0 +1,314 @@
+const express = require("express");
+const router = express.Router();
+const RecurringBooking = require("../models/RecurringBooking");
+const Booking = require("../models/Booking");
+const Customer = require("../models/Customer");
+const Car = require("../models/Car");
+const Driver = require("../models/Driver");
+const auth = require("../middleware/auth");
+const { cancelBooking } = require("./bookings");
+
+const formatRecurringBooking = (recurringBooking) => ({
+    id: recurringBooking._id,
+    customer: recurringBooking.customerId?.fullName
+        ? { id: recurringBooking.customerId._id, name: recurringBooking.customerId.fullName }
+        : recurringBooking.customerId,
+    companyName: recurringBooking.companyName || "",
+    carId: recurringBooking.carId?._id || recurringBooking.carId || null,
+    carModel: recurringBooking.carId?.model || recurringBooking.carModel,
+    driverPreference: recurringBooking.driverPreference,
+    driver: recurringBooking.driverId?.name || (recurringBooking.driverPreference === 'self' ? 'Self Drive' : null),
+    tripType: recurringBooking.tripType === 'withincity' ? 'within-city' : 'out-of-city',
+    city: recurringBooking.cityName || "",
+    tripStartTime: recurringBooking.tripStartTime,
+    tripEndTime: recurringBooking.tripEndTime || null,
+    schedule: recurringBooking.schedule,
+    ratePerOccurrence: recurringBooking.ratePerOccurrence,
+    status: recurringBooking.status,
+    generatedUntil: recurringBooking.generatedUntil || null,
+    conflicts: recurringBooking.conflicts,
+    cancellationReason: recurringBooking.cancellationReason || null,
+    createdAt: recurringBooking.createdAt
+});
+
+// Cancel an occurrence that has not started through the transactional booking cancellation;
+// recurring occurrences are billed later, so nothing is charged
+const cancelOccurrence = (bookingId, { recurringBookingId, reason, userId }) => cancelBooking({
+    bookingId,
+    filter: { recurringBookingId },
+    reason,
+    cancelledBy: userId,
+    refundReference: 'Recurring occurrence cancelled',
+    settle: (booking) => ({
+        refundPercentage: 100,
+        refundAmount: Math.max(0, booking.amountPaid),
+        cancellationFee: 0
+    })
+});
+
+// Get all recurring bookings
+router.get("/", auth, async (req, res) => {
+    try {
+        const { status, customerId } = req.query;
+
+        const query = {};
+        if (status) query.status = status;
+        if (customerId) query.customerId = customerId;
+
+        const recurringBookings = await RecurringBooking.find(query)
+            .populate('customerId', 'fullName')
+            .populate('carId', 'model registrationNumber')
+            .populate('driverId', 'name')
+            .sort({ createdAt: -1 });
+
+        res.json({ recurringBookings: recurringBookings.map(formatRecurringBooking) });
+
+    } catch (error) {
+        console.error("Error fetching recurring bookings:", error);
+        res.status(500).json({ error: "Failed to fetch recurring bookings" });
+    }
+});
+
+// Get a recurring booking with its generated occurrences
+router.get("/:recurringBookingId", auth, async (req, res) => {
+    try {
+        const recurringBooking = await RecurringBooking.findById(req.params.recurringBookingId)
+            .populate('customerId', 'fullName')
+            .populate('carId', 'model registrationNumber')
+            .populate('driverId', 'name');
+
+        if (!recurringBooking) {
+            return res.status(404).json({ error: "Recurring booking not found" });
+        }
+
+        const occurrences = await Booking.find({ recurringBookingId: recurringBooking._id })
+            .populate('carId', 'model registrationNumber')
+            .sort({ startAt: 1 });
+
+        res.json({
+            recurringBooking: formatRecurringBooking(recurringBooking),
+            occurrences: occurrences.map(booking => ({
+                id: booking._id,
+                startDate: booking.startDate,
+                endDate: booking.endDate,
+                startAt: booking.startAt,
+                endAt: booking.endAt,
+                car: `${booking.carId.model} (${booking.carId.registrationNumber})`,
+                status: booking.status,
+                totalBill: booking.totalBill
+            }))
+        });
+
+    } catch (error) {
+        console.error("Error fetching recurring booking:", error);
+        if (error.kind === 'ObjectId') {
+            return res.status(400).json({ error: "Invalid recurring booking ID" });
+        }
+        res.status(500).json({ error: "Failed to fetch recurring booking" });
+    }
+});
+
+// Create a recurring booking and generate its first occurrences
+router.post("/", auth, async (req, res) => {
+    try {
+        const {
+            customerId,
+            companyName,
+            carId,
+            carModel,
+            driverPreference,
+            driverId,
+            customerLicenseNumber,
+            tripType,
+            cityName,
+            tripStartTime,
+            tripEndTime,
+            tripDescription,
+            schedule,
+            ratePerOccurrence
+        } = req.body;
+
+        if (!customerId || (!carId && !carModel) || !driverPreference || !tripType ||
+            !tripStartTime || !schedule || !schedule.frequency || !schedule.startDate ||
+            ratePerOccurrence === undefined) {
+            return res.status(400).json({ error: "All required fields must be provided" });
+        }
+
+        if (schedule.frequency === 'weekly' && (!Array.isArray(schedule.daysOfWeek) || schedule.daysOfWeek.length === 0)) {
+            return res.status(400).json({ error: "Weekly series need at least one day of the week" });
+        }
+
+        if (schedule.endDate && new Date(schedule.endDate) < new Date(schedule.startDate)) {
+            return res.status(400).json({ error: "Series end date must be after its start date" });
+        }
+
+        const customer = await Customer.findById(customerId);
+        if (!customer) {
+            return res.status(404).json({ error: "Customer not found" });
+        }
+
+        if (carId) {
+            const car = await Car.findOne({ _id: carId, deleted: false });
+            if (!car) {
+                return res.status(404).json({ error: "Car not found" });
+            }
+        }
+
+        if (driverPreference === 'driver') {
+            if (!driverId) {
+                return res.status(400).json({ error: "Driver ID is required when driver preference is 'driver'" });
+            }
+            const driver = await Driver.findById(driverId);
+            if (!driver) {
+                return res.status(404).json({ error: "Driver not found" });
+            }
+        }
+
+        if (driverPreference === 'self' && !customerLicenseNumber) {
+            return res.status(400).json({ error: "License number is required when driver preference is 'self'" });
+        }
+
+        const recurringBooking = new RecurringBooking({
+            customerId: customer._id,
+            companyName,
+            carId: carId || undefined,
+            carModel: carId ? undefined : carModel,
+            driverPreference,
+            driverId: driverPreference === 'driver' ? driverId : undefined,
+            customerLicenseNumber: driverPreference === 'self' ? customerLicenseNumber : undefined,
+            tripType: tripType === 'out-of-city' ? 'outofcity' : 'withincity',
+            cityName: tripType === 'out-of-city' ? cityName : undefined,
+            tripStartTime,
+            tripEndTime,
+            tripDescription,
+            schedule: {
+                frequency: schedule.frequency,
+                daysOfWeek: schedule.daysOfWeek || [],
+                startDate: new Date(schedule.startDate),
+                endDate: schedule.endDate ? new Date(schedule.endDate) : undefined,
+                durationDays: schedule.durationDays ? Number(schedule.durationDays) : 1
+            },
+            ratePerOccurrence: Number(ratePerOccurrence),
+            createdBy: req.user.id
+        });
+
+        await recurringBooking.save();
+
+        const { created, conflicts } = await recurringBooking.generate();
+
+        res.status(201).json({
+            message: "Recurring booking created successfully",
+            recurringBooking: formatRecurringBooking(recurringBooking),
+            generated: created.map(booking => ({
+                id: booking._id,
+                startAt: booking.startAt,
+                endAt: booking.endAt,
+                carId: booking.carId
+            })),
+            conflicts
+        });
+
+    } catch (error) {
+        console.error("Error creating recurring booking:", error);
+        if (error.kind === 'ObjectId') {
+            return res.status(400).json({ error: "Invalid ID provided" });
+        }
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({ error: error.message });
+        }
+        res.status(500).json({ error: "Failed to create recurring booking" });
+    }
+});
+
+// Cancel a single upcoming occurrence of a series
+router.patch("/:recurringBookingId/occurrences/:bookingId/cancel", auth, async (req, res) => {
+    try {
+        const { recurringBookingId, bookingId } = req.params;
+        const { reason } = req.body;
+
+        const { booking } = await cancelOccurrence(bookingId, {
+            recurringBookingId,
+            reason: reason || 'Occurrence cancelled',
+            userId: req.user.id
+        });
+
+        res.json({
+            message: "Occurrence cancelled successfully",
+            occurrence: {
+                id: booking._id,
+                startAt: booking.startAt,
+                status: booking.status,
+                refundAmount: booking.refundAmount
+            }
+        });
+
+    } catch (error) {
+        console.error("Error cancelling occurrence:", error);
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({ error: error.message });
+        }
+        if (error.kind === 'ObjectId') {
+            return res.status(400).json({ error: "Invalid ID provided" });
+        }
+        res.status(500).json({ error: "Failed to cancel occurrence" });
+    }
+});
+
+// Cancel a whole series and its upcoming occurrences
+router.patch("/:recurringBookingId/cancel", auth, async (req, res) => {
+    try {
+        const { reason } = req.body;
+
+        const recurringBooking = await RecurringBooking.findById(req.params.recurringBookingId);
+        if (!recurringBooking) {
+            return res.status(404).json({ error: "Recurring booking not found" });
+        }
+
+        if (recurringBooking.status === 'cancelled') {
+            return res.status(400).json({ error: "Recurring booking is already cancelled" });
+        }
+
+        recurringBooking.status = 'cancelled';
+        recurringBooking.cancellationReason = reason || 'No reason provided';
+        recurringBooking.cancelledAt = new Date();
+        recurringBooking.cancelledBy = req.user.id;
+        await recurringBooking.save();
+
+        // Trips already under way are left to finish
+        const upcoming = await Booking.find({
+            recurringBookingId: recurringBooking._id,
+            status: { $in: ['pending', 'confirmed'] },
+            startAt: { $gt: new Date() }
+        });
+
+        // Occurrences handed over or cancelled in the meantime are left as they are
+        let cancelledOccurrences = 0;
+        for (const booking of upcoming) {
+            try {
+                await cancelOccurrence(booking._id, {
+                    recurringBookingId: recurringBooking._id,
+                    reason: `Series cancelled: ${recurringBooking.cancellationReason}`,
+                    userId: req.user.id
+                });
+                cancelledOccurrences++;
+            } catch (error) {
+                if (!error.statusCode) throw error;
+            }
+        }
+
+        res.json({
+            message: "Recurring booking cancelled successfully",
+            recurringBooking: formatRecurringBooking(recurringBooking),
+            cancelledOccurrences
+        });
+
+    } catch (error) {
+        console.error("Error cancelling recurring booking:", error);
+        if (error.kind === 'ObjectId') {
+            return res.status(400).json({ error: "Invalid recurring booking ID" });
+        }
+        res.status(500).json({ error: "Failed to cancel recurring booking" });
+    }
+});
+
+module.exports = router;
@@ -56,15 +56,25 @@ router.get("/monthly", auth, async (req, res) => {
         // Calculate statistics
         const currentMonthStats = {
             totalBookings: bookings.length,
-            activeBookings: bookings.filter(b => b.status === 'active').length,
+            activeBookings: bookings.filter(b => Booking.OPEN_STATUSES.includes(b.status)).length,
+            pendingBookings: bookings.filter(b => b.status === 'pending').length,
             completedBookings: bookings.filter(b => b.status === 'completed').length,
             cancelledBookings: bookings.filter(b => b.status === 'cancelled').length,
-            totalRevenue: bookings.filter(b => b.status !== 'cancelled').reduce((sum, b) => sum + b.totalBill * (100 - (b.discountPercentage || 0)) / 100, 0),
+            noShowBookings: bookings.filter(b => b.status === 'no-show').length,
+            cancellationFees: bookings.filter(b => Booking.UNFULFILLED_STATUSES.includes(b.status)).reduce((sum, b) => sum + (b.cancellationFee || 0), 0),
+            refunds: bookings.filter(b => b.status === 'cancelled').reduce((sum, b) => sum + (b.refundAmount || 0), 0),
+            extendedBookings: bookings.filter(b => !Booking.UNFULFILLED_STATUSES.includes(b.status) && b.extensions?.length > 0).length,
+            extensionCharges: bookings.filter(b => !Booking.UNFULFILLED_STATUSES.includes(b.status)).reduce((sum, b) => sum + (b.extensions || []).reduce((total, e) => total + e.charge, 0), 0),
+            earlyReturns: bookings.filter(b => b.earlyReturn?.credit > 0).length,
+            earlyReturnCredits: bookings.reduce((sum, b) => sum + (b.earlyReturn?.credit || 0), 0),
+            totalRevenue: bookings.filter(b => !Booking.UNFULFILLED_STATUSES.includes(b.status)).reduce((sum, b) => sum + b.totalBill * (100 - (b.discountPercentage || 0)) / 100, 0)
+                + bookings.filter(b => Booking.UNFULFILLED_STATUSES.includes(b.status)).reduce((sum, b) => sum + (b.cancellationFee || 0), 0),
             totalExpenses: expenses.reduce((sum, e) => sum + e.amount, 0)
         };
 
         const prevMonthStats = {
-            totalRevenue: prevBookings.filter(b => b.status !== 'cancelled').reduce((sum, b) => sum + b.totalBill * (100 - (b.discountPercentage || 0)) / 100, 0),
+            totalRevenue: prevBookings.filter(b => !Booking.UNFULFILLED_STATUSES.includes(b.status)).reduce((sum, b) => sum + b.totalBill * (100 - (b.discountPercentage || 0)) / 100, 0)
+                + prevBookings.filter(b => Booking.UNFULFILLED_STATUSES.includes(b.status)).reduce((sum, b) => sum + (b.cancellationFee || 0), 0),
             totalExpenses: prevExpenses.reduce((sum, e) => sum + e.amount, 0)
         };
 
@@ -81,7 +91,15 @@ router.get("/monthly", auth, async (req, res) => {
                 totalBookings: currentMonthStats.totalBookings,
                 activeBookings: currentMonthStats.activeBookings,
                 completedBookings: currentMonthStats.completedBookings,
+                pendingBookings: currentMonthStats.pendingBookings,
                 cancelledBookings: currentMonthStats.cancelledBookings,
+                noShowBookings: currentMonthStats.noShowBookings,
+                cancellationFees: currentMonthStats.cancellationFees,
+                refunds: currentMonthStats.refunds,
+                extendedBookings: currentMonthStats.extendedBookings,
+                extensionCharges: currentMonthStats.extensionCharges,
+                earlyReturns: currentMonthStats.earlyReturns,
+                earlyReturnCredits: currentMonthStats.earlyReturnCredits,
                 totalRevenue: currentMonthStats.totalRevenue,
                 revenuePercent: calculatePercentChange(
                     currentMonthStats.totalRevenue,
@@ -100,13 +118,17 @@ router.get("/monthly", auth, async (req, res) => {
             },
             bookingReportData: bookings.map(booking => ({
                 id: booking._id,
-                carModel: booking.carId.model,
-                registrationNumber: booking.carId.registrationNumber,
+                carModel: booking.carId?.model || booking.carModel,
+                registrationNumber: booking.carId?.registrationNumber || 'Unallocated',
                 customerName: booking.customerId.fullName,
                 driverName: booking?.driverId?.name || "Self",
                 startDate: booking.startDate,
                 endDate: booking.endDate,
                 totalAmount: booking.totalBill * (100 - (booking.discountPercentage || 0)) / 100,
+                cancellationFee: booking.cancellationFee || 0,
+                refundAmount: booking.refundAmount || 0,
+                extensionCharges: (booking.extensions || []).reduce((sum, e) => sum + e.charge, 0),
+                earlyReturnCredit: booking.earlyReturn?.credit || 0,
                 status: booking.status
             })),
             revenueReportData: [
@@ -133,4 +155,101 @@ router.get("/monthly", auth, async (req, res) => {
     }
 });
 
-module.exports = router; 
\ No newline at end of file
+// Get kilometers driven per month on completed bookings
+router.get("/kilometers", auth, async (req, res) => {
+    try {
+        const year = Number(req.query.year) || new Date().getFullYear();
+
+        const monthlyStats = await Booking.aggregate([
+            {
+                $match: {
+                    status: 'completed',
+                    finalMeterReading: { $ne: null },
+                    completedAt: {
+                        $gte: new Date(year, 0, 1),
+                        $lt: new Date(year + 1, 0, 1)
+                    }
+                }
+            },
+            {
+                $group: {
+                    _id: { $month: "$completedAt" },
+                    totalKilometers: {
+                        $sum: { $subtract: ["$finalMeterReading", "$meterReading"] }
+                    },
+                    bookings: { $sum: 1 }
+                }
+            },
+            {
+                $sort: { _id: 1 }
+            }
+        ]);
+
+        const months = Array.from({ length: 12 }, (_, i) => {
+            const monthData = monthlyStats.find(stat => stat._id === i + 1) ||
+                { totalKilometers: 0, bookings: 0 };
+            return {
+                month: new Date(year, i, 1).toLocaleString('default', { month: 'short' }),
+                totalKilometers: monthData.totalKilometers,
+                bookings: monthData.bookings,
+                averageKilometers: monthData.bookings > 0
+                    ? Math.round(monthData.totalKilometers / monthData.bookings)
+                    : 0
+            };
+        });
+
+        res.json({
+            year,
+            months,
+            totalKilometers: months.reduce((sum, month) => sum + month.totalKilometers, 0)
+        });
+
+    } catch (error) {
+        console.error("Error generating kilometers report:", error);
+        res.status(500).json({ error: "Failed to generate kilometers report" });
+    }
+});
+
+// Get the register of security deposits currently held
+router.get("/deposits", auth, async (req, res) => {
+    try {
+        const bookings = await Booking.find({ securityDepositStatus: 'held' })
+            .populate([
+                { path: 'carId', select: 'model registrationNumber category' },
+                { path: 'customerId', select: 'fullName phoneNumber' }
+            ])
+            .sort({ startDate: 1 });
+
+        const deposits = bookings
+            .filter(booking => booking.securityDepositHeld > 0)
+            .map(booking => {
+                const firstDeposit = booking.payments.find(payment => payment.type === 'security-deposit');
+                return {
+                    bookingId: booking._id,
+                    customerName: booking.customerId?.fullName || 'N/A',
+                    customerPhone: booking.customerId?.phoneNumber || 'N/A',
+                    carModel: booking.carId?.model || 'N/A',
+                    registrationNumber: booking.carId?.registrationNumber || 'N/A',
+                    category: booking.carId?.category || 'standard',
+                    bookingStatus: booking.status,
+                    startDate: booking.startDate,
+                    endDate: booking.endDate,
+                    required: booking.securityDepositRequired || 0,
+                    held: booking.securityDepositHeld,
+                    collectedAt: firstDeposit ? firstDeposit.receivedAt : null
+                };
+            });
+
+        res.json({
+            deposits,
+            totalHeld: deposits.reduce((sum, deposit) => sum + deposit.held, 0),
+            count: deposits.length
+        });
+
+    } catch (error) {
+        console.error("Error generating deposit register:", error);
+        res.status(500).json({ error: "Failed to generate deposit register" });
+    }
+});
+
+module.exports = router;
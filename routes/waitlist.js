@@ -0,0 +1,193 @@
+const express = require("express");
+const router = express.Router();
+const WaitlistEntry = require("../models/WaitlistEntry");
+const Booking = require("../models/Booking");
+const Customer = require("../models/Customer");
+const Car = require("../models/Car");
+const auth = require("../middleware/auth");
+
+const formatWaitlistEntry = (entry) => ({
+    id: entry._id,
+    customerId: entry.customerId?._id || entry.customerId || null,
+    customerName: entry.customerName,
+    phoneNumber: entry.phoneNumber,
+    carModel: entry.carModel,
+    carColor: entry.carColor || null,
+    carVariant: entry.carVariant || null,
+    startAt: entry.startAt,
+    endAt: entry.endAt,
+    priority: entry.priority,
+    notes: entry.notes || "",
+    status: entry.status,
+    matchedBookingId: entry.matchedBookingId || null,
+    matchedAt: entry.matchedAt || null,
+    bookingId: entry.bookingId || null,
+    closedAt: entry.closedAt || null,
+    createdAt: entry.createdAt
+});
+
+// Get waitlist entries, highest priority and longest waiting first
+router.get("/", auth, async (req, res) => {
+    try {
+        const { status, carModel } = req.query;
+
+        const query = {};
+        if (status) query.status = status;
+        if (carModel) query.carModel = carModel;
+
+        const entries = await WaitlistEntry.find(query).sort({ createdAt: 1 });
+        entries.sort((a, b) =>
+            WaitlistEntry.PRIORITIES.indexOf(b.priority) - WaitlistEntry.PRIORITIES.indexOf(a.priority)
+        );
+
+        res.json({ waitlist: entries.map(formatWaitlistEntry) });
+
+    } catch (error) {
+        console.error("Error fetching waitlist:", error);
+        res.status(500).json({ error: "Failed to fetch waitlist" });
+    }
+});
+
+// Put a customer on the waitlist for a fully booked model
+router.post("/", auth, async (req, res) => {
+    try {
+        const {
+            customerId,
+            customerName,
+            cellNumber,
+            carModel,
+            carColor,
+            carVariant,
+            startDate,
+            endDate,
+            tripStartTime,
+            tripEndTime,
+            priority,
+            notes
+        } = req.body;
+
+        if ((!customerId && (!customerName || !cellNumber)) || !carModel || !startDate || !endDate || !tripStartTime) {
+            return res.status(400).json({ error: "All required fields must be provided" });
+        }
+
+        if (priority && !WaitlistEntry.PRIORITIES.includes(priority)) {
+            return res.status(400).json({
+                error: `Priority must be one of: ${WaitlistEntry.PRIORITIES.join(', ')}`
+            });
+        }
+
+        // Link the entry to the customer's record when they are already on file
+        const customer = customerId
+            ? await Customer.findById(customerId)
+            : await Customer.findOne({ phoneNumber: cellNumber });
+        if (customerId && !customer) {
+            return res.status(404).json({ error: "Customer not found" });
+        }
+
+        const modelCar = await Car.findOne({ model: carModel, deleted: false });
+        if (!modelCar) {
+            return res.status(404).json({ error: "No cars found with this model name" });
+        }
+
+        const { startAt, endAt } = Booking.intervalFor({
+            startDate: new Date(startDate),
+            endDate: new Date(endDate),
+            tripStartTime,
+            tripEndTime
+        });
+
+        if (isNaN(startAt.getTime()) || endAt <= startAt) {
+            return res.status(400).json({ error: "Trip must end after it starts" });
+        }
+
+        const available = await Booking.hasModelCapacity({ carModel, carColor, carVariant, startAt, endAt });
+        if (available) {
+            return res.status(400).json({ error: `A ${carModel} is available for these dates, book it instead` });
+        }
+
+        const entry = new WaitlistEntry({
+            customerId: customer?._id,
+            customerName: customer?.fullName || customerName,
+            phoneNumber: customer?.phoneNumber || cellNumber,
+            carModel,
+            carColor,
+            carVariant,
+            startAt,
+            endAt,
+            priority,
+            notes,
+            createdBy: req.user.id
+        });
+
+        await entry.save();
+
+        res.status(201).json({
+            message: "Customer added to the waitlist successfully",
+            entry: formatWaitlistEntry(entry)
+        });
+
+    } catch (error) {
+        console.error("Error adding waitlist entry:", error);
+        if (error.kind === 'ObjectId') {
+            return res.status(400).json({ error: "Invalid customer ID" });
+        }
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({ error: error.message });
+        }
+        res.status(500).json({ error: "Failed to add waitlist entry" });
+    }
+});
+
+// Close a waitlist entry once the customer has booked or declined, or put a matched entry back to waiting
+router.patch("/:entryId/status", auth, async (req, res) => {
+    try {
+        const { status, bookingId } = req.body;
+
+        const entry = await WaitlistEntry.findById(req.params.entryId);
+        if (!entry) {
+            return res.status(404).json({ error: "Waitlist entry not found" });
+        }
+
+        if (!entry.canTransitionTo(status)) {
+            return res.status(400).json({
+                error: `A ${entry.status} waitlist entry cannot be marked as ${status}`
+            });
+        }
+
+        if (status === 'booked') {
+            const booking = bookingId && await Booking.findById(bookingId);
+            if (!booking) {
+                return res.status(404).json({ error: "Booking not found" });
+            }
+            entry.bookingId = booking._id;
+        }
+
+        if (status === 'waiting') {
+            entry.matchedBookingId = undefined;
+            entry.matchedAt = undefined;
+        } else if (['booked', 'cancelled'].includes(status)) {
+            entry.closedAt = new Date();
+            entry.closedBy = req.user.id;
+        }
+
+        entry.status = status;
+        await entry.save();
+
+        res.json({
+            message: `Waitlist entry marked as ${status} successfully`,
+            entry: formatWaitlistEntry(entry)
+        });
+
+    } catch (error) {
+        console.error("Error updating waitlist entry:", error);
+        if (error.kind === 'ObjectId') {
+            return res.status(400).json({ error: "Invalid waitlist entry or booking ID" });
+        }
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({ error: error.message });
+        }
+        res.status(500).json({ error: "Failed to update waitlist entry" });
+    }
+});
+
+module.exports = router;
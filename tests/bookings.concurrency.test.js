@@ -0,0 +1,161 @@
+const request = require('supertest');
+const app = require('../app');
+const Booking = require('../models/Booking');
+const BookingHistory = require('../models/BookingHistory');
+const Counter = require('../models/Counter');
+const db = require('./helpers/db');
+const { tokenFor, createCar, createDriver, createRateCard, daysFromNow, bookingRequest } = require('./helpers/fixtures');
+
+const employee = tokenFor('employee');
+
+const createBooking = (body) => request(app)
+    .post('/bookings')
+    .set('Authorization', employee)
+    .send(body);
+
+const statusesOf = (responses) => responses.map(response => response.status).sort();
+
+beforeAll(db.connect);
+beforeEach(async () => {
+    await createRateCard();
+    await createRateCard({ model: 'Civic' });
+});
+afterEach(db.clear);
+afterAll(db.disconnect);
+
+describe('concurrent booking creation', () => {
+    test('books a car only once when two requests race for it', async () => {
+        const car = await createCar();
+
+        const responses = await Promise.all([
+            createBooking(bookingRequest({ carId: car._id })),
+            createBooking(bookingRequest({ carId: car._id }))
+        ]);
+
+        expect(statusesOf(responses)).toEqual([201, 400]);
+        expect(await Booking.countDocuments({ carId: car._id })).toBe(1);
+    });
+
+    test('gives a driver only one of two overlapping trips', async () => {
+        const [firstCar, secondCar] = [await createCar(), await createCar()];
+        const driver = await createDriver();
+        const withDriver = { driverPreference: 'driver', driverId: driver._id, customerLicenseNumber: undefined };
+
+        const responses = await Promise.all([
+            createBooking(bookingRequest({ carId: firstCar._id, ...withDriver })),
+            createBooking(bookingRequest({ carId: secondCar._id, ...withDriver }))
+        ]);
+
+        expect(statusesOf(responses)).toEqual([201, 400]);
+        expect(await Booking.countDocuments({ driverId: driver._id })).toBe(1);
+    });
+
+    test('does not oversell a model to concurrent model-level bookings', async () => {
+        await createCar({ model: 'Civic' });
+
+        const responses = await Promise.all([
+            createBooking(bookingRequest({ carModel: 'Civic', meterReading: undefined })),
+            createBooking(bookingRequest({ carModel: 'Civic', meterReading: undefined }))
+        ]);
+
+        expect(statusesOf(responses)).toEqual([201, 400]);
+        expect(await Booking.countDocuments({ carModel: 'Civic' })).toBe(1);
+    });
+
+    test('books different cars at the same time', async () => {
+        const [firstCar, secondCar] = [await createCar(), await createCar()];
+
+        const responses = await Promise.all([
+            createBooking(bookingRequest({ carId: firstCar._id })),
+            createBooking(bookingRequest({ carId: secondCar._id }))
+        ]);
+
+        expect(statusesOf(responses)).toEqual([201, 201]);
+    });
+});
+
+describe('concurrent booking updates', () => {
+    test('lets only one of two edits move onto the same dates', async () => {
+        const car = await createCar();
+        const first = await createBooking(bookingRequest({ carId: car._id, startDate: daysFromNow(2), endDate: daysFromNow(3) }));
+        const second = await createBooking(bookingRequest({ carId: car._id, startDate: daysFromNow(6), endDate: daysFromNow(7) }));
+        expect([first.status, second.status]).toEqual([201, 201]);
+
+        const edit = { startDate: daysFromNow(10), endDate: daysFromNow(11), tripType: 'within-city' };
+        const responses = await Promise.all([first, second].map(created => request(app)
+            .patch(`/bookings/${created.body.booking.id}`)
+            .set('Authorization', employee)
+            .send(edit)));
+
+        expect(statusesOf(responses)).toEqual([200, 400]);
+    });
+});
+
+describe('concurrent cancellation', () => {
+    test('refunds a booking only once when it is cancelled twice at once', async () => {
+        const car = await createCar();
+        const created = await createBooking(bookingRequest({ carId: car._id }));
+        expect(created.status).toBe(201);
+
+        const cancel = () => request(app)
+            .patch(`/bookings/${created.body.booking.id}/cancel`)
+            .set('Authorization', employee)
+            .send({ cancellationReason: 'Plans changed' });
+
+        const responses = await Promise.all([cancel(), cancel()]);
+        expect(statusesOf(responses)).toEqual([200, 400]);
+
+        const booking = await Booking.findById(created.body.booking.id);
+        expect(booking.status).toBe('cancelled');
+        expect(booking.payments.filter(payment => payment.type === 'refund')).toHaveLength(1);
+    });
+});
+
+describe('concurrent payments', () => {
+    test('records both of two payments taken at once, each with its own history version', async () => {
+        const car = await createCar();
+        const created = await createBooking(bookingRequest({ carId: car._id }));
+        expect(created.status).toBe(201);
+
+        const bookingId = created.body.booking.id;
+        const pay = () => request(app)
+            .post(`/bookings/${bookingId}/payments`)
+            .set('Authorization', employee)
+            .send({ amount: 1000, type: 'installment' });
+
+        const responses = await Promise.all([pay(), pay()]);
+        expect(statusesOf(responses)).toEqual([201, 201]);
+
+        const booking = await Booking.findById(bookingId);
+        expect(booking.payments.filter(payment => payment.type === 'installment')).toHaveLength(2);
+        expect(await BookingHistory.countDocuments({ bookingId, action: 'payment' })).toBe(2);
+    });
+});
+
+describe('concurrent completion', () => {
+    test('completes a trip and numbers its invoice only once when it is ended twice at once', async () => {
+        const car = await createCar();
+        const created = await createBooking(bookingRequest({ carId: car._id, startDate: daysFromNow(0), endDate: daysFromNow(1), tripStartTime: '00:00' }));
+        expect(created.status).toBe(201);
+
+        const bookingId = created.body.booking.id;
+        const started = await request(app)
+            .patch(`/bookings/${bookingId}/start`)
+            .set('Authorization', employee)
+            .send({ meterReading: 1000 });
+        expect(started.status).toBe(200);
+
+        const end = () => request(app)
+            .patch(`/bookings/${bookingId}/end`)
+            .set('Authorization', employee)
+            .send({ endTime: new Date().toISOString(), finalMeterReading: 1100 });
+
+        const responses = await Promise.all([end(), end()]);
+        const statuses = statusesOf(responses);
+        expect(statuses[0]).toBe(200);
+        expect([400, 409]).toContain(statuses[1]);
+
+        const counter = await Counter.findOne({ name: `invoice-${new Date().getFullYear()}` });
+        expect(counter.seq).toBe(1);
+    });
+});
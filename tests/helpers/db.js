@@ -0,0 +1,27 @@
+const mongoose = require('mongoose');
+const { MongoMemoryReplSet } = require('mongodb-memory-server');
+
+let replSet;
+
+// Start an in-memory single node replica set, as bookings are written in transactions
+const connect = async () => {
+    replSet = await MongoMemoryReplSet.create({ replSet: { count: 1, storageEngine: 'wiredTiger' } });
+    await mongoose.connect(replSet.getUri());
+
+    // Collections and indexes must exist before transactions write to them
+    await Promise.all(Object.values(mongoose.models).map(model => model.init()));
+};
+
+const clear = async () => {
+    await Promise.all(Object.values(mongoose.connection.collections)
+        .map(collection => collection.deleteMany({})));
+};
+
+const disconnect = async () => {
+    await mongoose.disconnect();
+    if (replSet) {
+        await replSet.stop();
+    }
+};
+
+module.exports = { connect, clear, disconnect };
@@ -0,0 +1,77 @@
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const Car = require('../../models/Car');
+const Driver = require('../../models/Driver');
+const RateCard = require('../../models/RateCard');
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+let sequence = 0;
+const next = () => ++sequence;
+
+// Authorization header for a signed-in user of the given role
+const tokenFor = (role, id = new mongoose.Types.ObjectId()) =>
+    `Bearer ${jwt.sign({ user: { id: id.toString(), role } }, process.env.JWT_SECRET)}`;
+
+const createCar = (fields = {}) => {
+    const n = next();
+    return Car.create({
+        model: 'Corolla',
+        year: 2022,
+        color: 'White',
+        registrationNumber: `TST-${n}`,
+        chassisNumber: `CH-${n}`,
+        engineNumber: `EN-${n}`,
+        user: new mongoose.Types.ObjectId(),
+        ...fields
+    });
+};
+
+const createDriver = (fields = {}) => {
+    const n = next();
+    return Driver.create({
+        name: `Driver ${n}`,
+        idNumber: `ID-${n}`,
+        address: 'Test address',
+        lisenceNumber: `LIC-${n}`,
+        ...fields
+    });
+};
+
+const createRateCard = (fields = {}) => RateCard.create({
+    model: 'Corolla',
+    withinCityDailyRate: 5000,
+    outOfCityDailyRate: 7000,
+    createdBy: new mongoose.Types.ObjectId(),
+    ...fields
+});
+
+// Date n days from today as YYYY-MM-DD
+const daysFromNow = (days) => {
+    const date = new Date();
+    date.setDate(date.getDate() + days);
+    return date.toISOString().slice(0, 10);
+};
+
+// Body of POST /bookings for a self-drive trip within the city, priced from the model's rate card
+const bookingRequest = (fields = {}) => {
+    const n = next();
+    return {
+        tripType: 'within-city',
+        startDate: daysFromNow(2),
+        endDate: daysFromNow(3),
+        tripStartTime: '10:00',
+        tripEndTime: '18:00',
+        meterReading: 1000,
+        advancePaid: 2000,
+        customerName: `Customer ${n}`,
+        cellNumber: `0300${String(n).padStart(7, '0')}`,
+        careOf: 'Test',
+        idCardNumber: `35202-${String(n).padStart(7, '0')}-1`,
+        driverPreference: 'self',
+        customerLicenseNumber: `CL-${n}`,
+        ...fields
+    };
+};
+
+module.exports = { tokenFor, createCar, createDriver, createRateCard, daysFromNow, bookingRequest };
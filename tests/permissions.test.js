@@ -0,0 +1,72 @@
+const express = require('express');
+const request = require('supertest');
+const permissions = require('../middleware/permissions');
+const { ROLES, PERMISSIONS, ruleFor, roleOf } = permissions;
+const { tokenFor } = require('./helpers/fixtures');
+
+// Only the permission map is under test, so every route that gets past it answers 200
+const app = express();
+app.use(permissions);
+app.use((req, res) => res.status(200).json({ reached: true }));
+
+// A concrete path for a route pattern, with an ID standing in for every parameter
+const pathFor = (pattern) => pattern.replace(/:[^/]+/g, '507f1f77bcf86cd799439011');
+
+const send = (method, path, role) => {
+    const call = request(app)[method.toLowerCase()](path);
+    return role === undefined ? call : call.set('Authorization', tokenFor(role));
+};
+
+const routes = Object.entries(PERMISSIONS).map(([route, allowed]) => {
+    const [method, pattern] = route.split(' ');
+    return { route, method, path: pathFor(pattern), allowed };
+});
+
+describe('permission map', () => {
+    test.each(routes)('$route resolves to its own rule', ({ method, path, allowed }) => {
+        expect(ruleFor(method, path).allowed).toBe(allowed);
+    });
+
+    test.each(routes)('$route admits exactly the roles it lists', async ({ method, path, allowed }) => {
+        if (allowed === 'public') {
+            expect((await send(method, path)).status).toBe(200);
+            return;
+        }
+
+        expect((await send(method, path)).status).toBe(401);
+
+        // Accounts without a role and legacy role spellings are checked alongside the current roles
+        for (const role of [...ROLES, 'Admin', null]) {
+            const expected = allowed === 'authenticated' || allowed.includes(roleOf({ role })) ? 200 : 403;
+            expect({ role, status: (await send(method, path, role)).status }).toEqual({ role, status: expected });
+        }
+    });
+});
+
+describe('permission middleware', () => {
+    test('refuses routes missing from the map', async () => {
+        const response = await send('GET', '/not-a-route', 'admin');
+        expect(response.status).toBe(403);
+    });
+
+    test('rejects an invalid token', async () => {
+        const response = await request(app).get('/bookings').set('Authorization', 'Bearer not-a-token');
+        expect(response.status).toBe(401);
+    });
+
+    test('answers HEAD like GET', async () => {
+        expect((await send('HEAD', '/bookings', 'employee')).status).toBe(200);
+        expect((await send('HEAD', '/bookings', 'driver')).status).toBe(403);
+        expect((await send('HEAD', '/status')).status).toBe(200);
+    });
+
+    test('matches literal segments before parameters', () => {
+        expect(ruleFor('GET', '/cars/download').allowed).toBe(PERMISSIONS['GET /cars/download']);
+        expect(ruleFor('GET', '/cars/mine').allowed).toEqual(['stakeholder']);
+    });
+
+    test('keeps drivers out of driver schedules', async () => {
+        const response = await send('GET', pathFor('/drivers/:driverId/schedule'), 'driver');
+        expect(response.status).toBe(403);
+    });
+});
@@ -0,0 +1,7 @@
+// Read a non-negative number from the environment, falling back when unset or invalid
+const envNumber = (name, fallback) => {
+    const value = Number(process.env[name] ?? fallback);
+    return isNaN(value) || value < 0 ? fallback : value;
+};
+
+module.exports = { envNumber };